@@ -327,6 +327,84 @@ function App() {
         {`}`}
       </pre>
     </div>
+
+    {/* Vue and Svelte bindings */}
+    <div className="bg-gray-800 p-8 rounded-lg shadow-lg hover:shadow-2xl transition-all duration-300">
+      <h3 className="text-2xl font-bold">Vue & Svelte</h3>
+      <p className="mt-4">The same wallet, gas and transaction logic as composables and Svelte stores.</p>
+      <pre className="bg-gray-700 text-green-400 p-4 rounded-lg overflow-auto mt-4">
+        {`// Vue: <script setup>`}
+        <br />
+        {`import { useTransactionStatus } from './Hooks/vue';`}
+        <br />
+        {`const { info } = useTransactionStatus(provider, txHash);`}
+        <br />
+        {`// <p>Transaction Status: {{ info.status }}</p>`}
+        <br />
+        <br />
+        {`// Svelte`}
+        <br />
+        {`import { transactionStatusStore } from './Hooks/svelte';`}
+        <br />
+        {`$: status = transactionStatusStore(provider, txHash);`}
+        <br />
+        {`// <p>Transaction Status: {$status.status}</p>`}
+      </pre>
+    </div>
+
+    {/* Error handling */}
+    <div className="bg-gray-800 p-8 rounded-lg shadow-lg hover:shadow-2xl transition-all duration-300">
+      <h3 className="text-2xl font-bold">Error Handling</h3>
+      <p className="mt-4">Every hook reports a typed error with a stable code, a message to show and the original cause.</p>
+      <pre className="bg-gray-700 text-green-400 p-4 rounded-lg overflow-auto mt-4">
+        {`import { UserRejectedError } from './Hooks/errors';`}
+        <br />
+        <br />
+        {`connectWallet().catch((error) => {`}
+        <br />
+        {`  if (error instanceof UserRejectedError) return;`}
+        <br />
+        {`  console.error(error.code, error.cause);`}
+        <br />
+        {`});`}
+        <br />
+        {`// <p>{wallet.error?.message}</p>`}
+      </pre>
+    </div>
+
+    {/* useTransactionPreflight */}
+    <div className="bg-gray-800 p-8 rounded-lg shadow-lg hover:shadow-2xl transition-all duration-300">
+      <h3 className="text-2xl font-bold">useTransactionPreflight</h3>
+      <p className="mt-4">Check a transaction before sending it: reverts, total cost against the balance, likely mistakes and state changes.</p>
+      <pre className="bg-gray-700 text-green-400 p-4 rounded-lg overflow-auto mt-4">
+        {`import { useTransactionPreflight } from './Hooks/useTransactionPreflight';`}
+        <br />
+        <br />
+        {`const { result } = useTransactionPreflight({ provider, transaction: { from, to, value } });`}
+        <br />
+        {`// <button disabled={!result?.ok}>Send</button>`}
+        <br />
+        {`// {result?.warnings.map((warning) => <p>{warning.message}</p>)}`}
+      </pre>
+    </div>
+
+    {/* useSendTransaction */}
+    <div className="bg-gray-800 p-8 rounded-lg shadow-lg hover:shadow-2xl transition-all duration-300">
+      <h3 className="text-2xl font-bold">useSendTransaction</h3>
+      <p className="mt-4">Send transactions with estimated fees and locally managed nonces, one after another.</p>
+      <pre className="bg-gray-700 text-green-400 p-4 rounded-lg overflow-auto mt-4">
+        {`import { useSendTransaction } from './Hooks/useSendTransaction';`}
+        <br />
+        <br />
+        {`const { sendQueue, queue, transaction } = useSendTransaction({ signer, onSent: (tx, chainId) => addTransaction(tx.hash, chainId) });`}
+        <br />
+        {`await sendQueue([approveTx, swapTx], { waitForConfirmation: true });`}
+        <br />
+        {`// <p>Latest: {transaction.status}</p>`}
+        <br />
+        {`// {queue.map((item) => <p key={item.id}>{item.status}</p>)}`}
+      </pre>
+    </div>
   </div>
 </section>
 
@@ -1,57 +1,125 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
 import { ethers } from 'ethers';
 import { useTransactionStatus } from './Hooks/useTransactionStatus';
 import { useGasEstimator } from './Hooks/useGasEstimator';
+import { useTransactionPreflight } from './Hooks/useTransactionPreflight';
+import { useSendTransaction } from './Hooks/useSendTransaction';
 import { useWalletMultiChain } from './Hooks/useWalletMultiChain';
+import { useTransactionTracker } from './Hooks/useTransactionTracker';
+import { useTokenBalances } from './Hooks/useTokenBalances';
+import { useEnsAvatar } from './Hooks/useEns';
+import { useSiwe } from './Hooks/useSiwe';
+import { getChainName } from './Hooks/chains';
+import { WalletNotConnectedError } from './Hooks/errors';
 import { motion } from "framer-motion";
 
-const supportedChains = [1, 11155111, 3, 4, 42, 56, 137, 250, 42161, 43114];
-
-const networkNames = {
-  1: 'Ethereum Mainnet',
-  3: 'Ropsten Testnet',
-  4: 'Rinkeby Testnet',
-  42: 'Kovan Testnet',
-  56: 'Binance Smart Chain',
-  137: 'Polygon Mainnet',
-  250: 'Fantom Opera',
-  42161: 'Arbitrum One',
-  43114: 'Avalanche C-Chain',
-  11155111: 'Sepolia Testnet',
+const supportedChains = [1, 11155111, 10, 56, 137, 250, 8453, 42161, 43114];
+
+// ERC-20 tokens whose balances are shown per chain
+const demoTokens = {
+  1: ['0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', '0x6B175474E89094C44Da98b954EedeAC495271d0F'], // USDC, DAI
+  137: ['0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359'], // USDC
 };
 
 
-function TransactionMonitor({ txHash }) {
-  const provider = new ethers.providers.Web3Provider(window.ethereum);
+// `provider` comes from the wallet hook, so nothing reads window.ethereum during render
+function TransactionMonitor({ provider, txHash }) {
+  const [actionError, setActionError] = useState(null);
   const transactionInfo = useTransactionStatus(provider, txHash, {
     onStatusChange: (newStatus, oldStatus) =>
       console.log(`Status changed from ${oldStatus} to ${newStatus}`),
     onConfirmation: (info) => console.log('Transaction confirmed:', info),
-    onError: (error) => console.error('Transaction error:', error),
+    onError: (error) => console.error(`Transaction error (${error.code}):`, error),
+    onReorg: (event) => console.warn('Transaction block reorged out:', event),
   });
 
   return (
     <div className="mt-6 p-4 bg-gray-100 rounded shadow">
       <h2 className="text-xl font-bold mb-2">Transaction Status</h2>
       <p><strong>Status:</strong> {transactionInfo.status}</p>
-      <p><strong>Confirmations:</strong> {transactionInfo.confirmations}</p>
+      <p><strong>Confirmations:</strong> {transactionInfo.confirmations}{transactionInfo.finalized ? ' (finalized)' : ''}</p>
       <p><strong>Gas Used:</strong> {transactionInfo.gasUsed || 'N/A'}</p>
       <p><strong>Effective Gas Price:</strong> {transactionInfo.effectiveGasPrice || 'N/A'}</p>
       <p><strong>Mempool Position:</strong> {transactionInfo.mempoolPosition || 'N/A'}</p>
+      {transactionInfo.failureReason && (
+        <p><strong>Failure Reason:</strong> {transactionInfo.failureReason.message}</p>
+      )}
+      {transactionInfo.error && <p className="text-red-500">{transactionInfo.error.message}</p>}
+      {transactionInfo.replacement && (
+        <p>
+          <strong>Replaced ({transactionInfo.replacement.reason}) by:</strong> {transactionInfo.replacement.hash}
+        </p>
+      )}
+      {transactionInfo.status === 'pending' && (
+        <div className="mt-2 flex gap-2">
+          <button
+            onClick={() => transactionInfo.speedUp('fast').then(() => setActionError(null), setActionError)}
+            className="bg-yellow-500 text-white px-3 py-1 rounded"
+          >
+            Speed Up
+          </button>
+          <button
+            onClick={() => transactionInfo.cancel().then(() => setActionError(null), setActionError)}
+            className="bg-red-500 text-white px-3 py-1 rounded"
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+      {actionError && <p className="mt-2 text-red-500">{actionError.message}</p>}
     </div>
   );
 }
 
+TransactionMonitor.propTypes = {
+  provider: PropTypes.object,
+  txHash: PropTypes.string.isRequired,
+};
+
 function DemoComponent() {
-  const { wallet, actions } = useWalletMultiChain(supportedChains);
-  const { provider, network, walletAddress } = wallet;
+  const { wallet, connectors, chains, readProvider, getReadProvider, actions } = useWalletMultiChain(supportedChains, { persist: true, resolveEnsName: true });
+  const { status, provider, network, walletAddress, ensName, error: walletError } = wallet;
+  const { avatar } = useEnsAvatar(ensName, { provider: getReadProvider(1) });
+  const { session, status: signInStatus, error: signInError, signIn, signOut } = useSiwe({
+    provider,
+    walletAddress,
+    network,
+    statement: 'Sign in to the Web3 hooks demo.',
+  });
   const { connectWallet, disconnectWallet, switchNetwork } = actions;
 
   const [availableChains, setAvailableChains] = useState([]);
   const [selectedChain, setSelectedChain] = useState(network);
-  const [transactionHash, setTransactionHash] = useState('');
-  const [pendingTransaction, setPendingTransaction] = useState(null);
+  const { recent: recentTransactions, pending: pendingTransactions, addTransaction } = useTransactionTracker({
+    getProvider: getReadProvider,
+    onConfirmation: (entry) => console.log('Tracked transaction confirmed:', entry),
+  });
+  // Resume monitoring the latest pending transaction after a reload
+  const [transactionHash, setTransactionHash] = useState(() => pendingTransactions[0]?.hash || '');
+  const [proposedTransaction, setProposedTransaction] = useState(null);
+  const [transactionError, setTransactionError] = useState(null);
+  // Sends with managed nonces and hands every sent transaction to the tracker
+  const signer = useMemo(() => (provider ? provider.getSigner() : null), [provider]);
+  const { status: sendStatus, queue: sendQueueItems, sendTransaction, sendQueue } = useSendTransaction({
+    signer,
+    onSent: (response, chainId) => {
+      setTransactionHash(response.hash);
+      addTransaction(response.hash, chainId, { from: response.from, nonce: response.nonce, metadata: { description: 'Demo transfer' } });
+    },
+  });
+  // Checks the proposed transaction before anything is sent to the wallet
+  const { status: preflightStatus, result: preflight, error: preflightError } = useTransactionPreflight({
+    provider: provider || readProvider,
+    transaction: proposedTransaction,
+  });
   const [balance, setBalance] = useState('0');
+  const { balances: tokenBalances } = useTokenBalances({
+    provider: readProvider,
+    account: walletAddress,
+    chainId: network,
+    tokens: demoTokens[network] || [],
+  });
 
   const {
     loading,
@@ -60,29 +128,30 @@ function DemoComponent() {
     estimateGas,
     blockHistory,
   } = useGasEstimator({
-    provider,
-    refreshInterval: 15000, // Refresh every 15 seconds
+    provider: readProvider, // Works before a wallet is connected
+    refreshInterval: 15000, // Poll for new blocks every 15 seconds
     historicalBlocks: 10, // Use fewer blocks for faster results in local testing
-    priorityFeeBump: 5, // Smaller bump for testing
+    priorityFeeBump: 5, // Fallback priority fee when recent blocks are empty
+    currency: 'USD', // Price costs with the chain's Chainlink feed
     onError: (err) => console.error('Gas estimation error:', err),
     onSuccess: (estimation) => {
         console.log('Gas estimation success:', estimation), 
-        console.log('Provider : ', provider)
+        console.log('Provider : ', readProvider)
     }
   });
 
   useEffect(() => {
     if (window.ethereum) {
-      setAvailableChains(supportedChains);
+      setAvailableChains(supportedChains.map((chainId) => chains[chainId]).filter(Boolean));
     }
-  }, []);
+  }, [chains]);
 
   useEffect(() => {
-    if (walletAddress && provider) {
+    if (walletAddress && readProvider) {
       // Fetch the balance when the wallet address is set
       const getBalance = async () => {
         try {
-          const balance = await provider.getBalance(walletAddress);
+          const balance = await readProvider.getBalance(walletAddress);
           setBalance(ethers.utils.formatEther(balance));
         } catch (error) {
           console.error('Error fetching balance:', error);
@@ -91,40 +160,62 @@ function DemoComponent() {
 
       getBalance();
     }
-  }, [walletAddress, provider]);
+  }, [walletAddress, readProvider]);
 
   const handleSwitchNetwork = async (chainId) => {
     try {
       await switchNetwork(chainId);
       setSelectedChain(chainId);
     } catch (error) {
-      alert(error.message || 'Failed to switch network');
+      // Shown through wallet.error
       console.error('Failed to switch network:', error);
     }
   };
 
-  const handleSimulateTransaction = async () => {
-    if (!provider) {
-      alert('Connect your wallet first!');
+  const handleSimulateTransaction = () => {
+    if (!walletAddress) {
+      setTransactionError(new WalletNotConnectedError());
       return;
     }
 
-    const transaction = {
+    setTransactionError(null);
+    setProposedTransaction({
+      from: walletAddress,
       to: walletAddress,
       value: ethers.utils.parseEther('0.001'),
-    };
+    });
+  };
 
-    setPendingTransaction(transaction);
+  const handleSendTransaction = async () => {
+    if (!provider) {
+      setTransactionError(new WalletNotConnectedError());
+      return;
+    }
 
+    setTransactionError(null);
     try {
-      const signer = provider.getSigner();
-      const tx = await signer.sendTransaction(transaction);
-      setTransactionHash(tx.hash);
-      setPendingTransaction(null);
+      await sendTransaction(proposedTransaction);
+      setProposedTransaction(null);
     } catch (error) {
       console.error('Transaction error:', error);
-      alert('Transaction failed. Check the console for details.');
-      setPendingTransaction(null);
+      setTransactionError(error);
+    }
+  };
+
+  // Two transfers in a row, numbered locally so they don't collide
+  const handleSendBatch = async () => {
+    if (!provider) {
+      setTransactionError(new WalletNotConnectedError());
+      return;
+    }
+
+    setTransactionError(null);
+    const transfer = { to: walletAddress, value: ethers.utils.parseEther('0.001') };
+    try {
+      await sendQueue([transfer, transfer]);
+    } catch (error) {
+      console.error('Batch error:', error);
+      setTransactionError(error);
     }
   };
 
@@ -178,11 +269,42 @@ function DemoComponent() {
             {error && <p className="text-red-500">Error: {error.message}</p>}
             {estimation && (
               <div className="mt-4 text-sm text-gray-300">
-                <p><span className="font-semibold">Base Fee:</span> {estimation.baseFee.toString()}</p>
-                <p><span className="font-semibold">Max Fee Per Gas:</span> {estimation.maxFeePerGas.toString()}</p>
-                <p><span className="font-semibold">Max Priority Fee Per Gas:</span> {estimation.maxPriorityFeePerGas.toString()}</p>
+                {estimation.feeModel === 'legacy' ? (
+                  <p><span className="font-semibold">Gas Price:</span> {estimation.gasPrice.toString()}</p>
+                ) : (
+                  <>
+                    <p><span className="font-semibold">Base Fee:</span> {estimation.baseFee.toString()}</p>
+                    <p><span className="font-semibold">Max Fee Per Gas:</span> {estimation.maxFeePerGas.toString()}</p>
+                    <p><span className="font-semibold">Max Priority Fee Per Gas:</span> {estimation.maxPriorityFeePerGas.toString()}</p>
+                  </>
+                )}
                 <p><span className="font-semibold">Gas Limit:</span> {estimation.gasLimit.toString()}</p>
-                <p><span className="font-semibold">Estimated Cost:</span> {estimation.estimatedCost.toString()}</p>
+                <p>
+                  <span className="font-semibold">Estimated Cost:</span> {estimation.formattedCost.native}
+                  {estimation.formattedCost.fiat && ` (${estimation.formattedCost.fiat})`}
+                </p>
+                {estimation.rollup && (
+                  <p>
+                    <span className="font-semibold">L1 Data Fee:</span>{' '}
+                    {estimation.tiers.standard.costBreakdown.l1DataFeeKnown ? estimation.tiers.standard.costBreakdown.l1DataFee.toString() : 'unknown'}
+                  </p>
+                )}
+                <p>
+                  <span className="font-semibold">
+                    {estimation.feeModel === 'legacy' ? 'Gas Price' : 'Priority Fee'} (slow / standard / fast):
+                  </span>{' '}
+                  {['slow', 'standard', 'fast']
+                    .map((tier) => estimation.tiers[tier].maxPriorityFeePerGas || estimation.tiers[tier].gasPrice)
+                    .map((price) => ethers.utils.formatUnits(price, 'gwei'))
+                    .join(' / ')} gwei
+                </p>
+                <p>
+                  <span className="font-semibold">Expected Wait (slow / standard / fast):</span>{' '}
+                  {['slow', 'standard', 'fast']
+                    .map((tier) => estimation.timeEstimates[tier])
+                    .map((eta) => (eta?.seconds != null ? `~${Math.round(eta.seconds)}s` : 'unknown'))
+                    .join(' / ')}
+                </p>
               </div>
             )}
           </div>
@@ -219,20 +341,45 @@ function DemoComponent() {
             Connect your wallet and view your balance, network, and transactions.
           </motion.p>
 
-          {!walletAddress ? (
-            <motion.button
-              onClick={connectWallet}
-              className="w-full bg-indigo-600 hover:bg-indigo-700 text-white px-6 py-3 rounded-lg font-semibold transition duration-200 mt-6"
-              whileHover={{ scale: 1.1 }}
-              transition={{ type: "spring", stiffness: 200 }}
-            >
-              Connect Wallet
-            </motion.button>
+          {walletError && <p className="mt-4 text-red-400">{walletError.message}</p>}
+          {status === 'reconnecting' || status === 'connecting' ? (
+            <p className="mt-6 text-yellow-400">
+              {status === 'reconnecting' ? 'Restoring wallet session...' : 'Waiting for wallet approval...'}
+            </p>
+          ) : !walletAddress ? (
+            connectors.length > 0 ? (
+              connectors.map((connector) => (
+                <motion.button
+                  key={connector.id}
+                  onClick={() => connectWallet(connector.id).catch(() => {})}
+                  className="w-full flex items-center justify-center gap-3 bg-indigo-600 hover:bg-indigo-700 text-white px-6 py-3 rounded-lg font-semibold transition duration-200 mt-6"
+                  whileHover={{ scale: 1.1 }}
+                  transition={{ type: "spring", stiffness: 200 }}
+                >
+                  {connector.icon && <img src={connector.icon} alt="" className="w-6 h-6" />}
+                  Connect {connector.name}
+                </motion.button>
+              ))
+            ) : (
+              <p className="mt-6 text-gray-400">No Web3 wallet detected.</p>
+            )
           ) : (
             <div className="mt-6 text-sm text-gray-300">
-              <p><span className="font-semibold">Connected Address:</span> {walletAddress}</p>
+              {avatar && <img src={avatar} alt={ensName} className="w-12 h-12 rounded-full mb-2" />}
+              <p><span className="font-semibold">Connected Address:</span> {ensName ? `${ensName} (${walletAddress})` : walletAddress}</p>
               <p><span className="font-semibold">Balance:</span> {balance} ETH</p>
-              <p><span className="font-semibold">Network:</span> {networkNames[network] || `Chain ID ${network}`}</p>
+              {Object.values(tokenBalances).map(({ token, formatted }) => (
+                <p key={token.address}><span className="font-semibold">{token.symbol}:</span> {formatted}</p>
+              ))}
+              <p><span className="font-semibold">Network:</span> {getChainName(chains, network)}</p>
+              <p><span className="font-semibold">Sign-In:</span> {signInStatus}</p>
+              <button
+                onClick={() => (session ? signOut() : signIn().catch(() => {}))}
+                className="mt-2 bg-purple-500 hover:bg-purple-600 text-white px-4 py-2 rounded-lg font-semibold"
+              >
+                {session ? 'Sign Out' : 'Sign In with Ethereum'}
+              </button>
+              {signInError && <p className="mt-2 text-red-400">{signInError.message}</p>}
 
               <div className="mt-4">
                 <motion.button
@@ -251,9 +398,9 @@ function DemoComponent() {
                   whileHover={{ scale: 1.05 }}
                   transition={{ type: "spring", stiffness: 200 }}
                 >
-                  {availableChains.map((chainId) => (
-                    <option key={chainId} value={chainId}>
-                      {networkNames[chainId] || `Chain ID ${chainId}`}
+                  {availableChains.map((chain) => (
+                    <option key={chain.id} value={chain.id}>
+                      {chain.name}
                     </option>
                   ))}
                 </motion.select>
@@ -289,21 +436,94 @@ function DemoComponent() {
             {transactionHash ? (
               <div className="text-sm text-gray-300">
                 <p><span className="font-semibold">Transaction Hash:</span> {transactionHash}</p>
-                <TransactionMonitor txHash={transactionHash} />
+                <TransactionMonitor provider={provider || readProvider} txHash={transactionHash} />
               </div>
             ) : (
               <p className="text-gray-400">No transaction in progress.</p>
             )}
+
+            {recentTransactions.length > 0 && (
+              <div className="mt-4 text-sm text-gray-300">
+                <p className="font-semibold">Recent Activity</p>
+                {recentTransactions.map((entry) => (
+                  <p key={`${entry.chainId}:${entry.hash}`}>
+                    {entry.metadata.description || 'Transaction'} on {getChainName(chains, entry.chainId)}: {entry.status}
+                  </p>
+                ))}
+              </div>
+            )}
+            {proposedTransaction && (
+              <div className="mt-4 text-sm text-gray-300">
+                <p className="font-semibold">Preflight: send 0.001 to yourself</p>
+                {preflightStatus === 'checking' && <p>Checking transaction...</p>}
+                {preflightError && <p className="text-red-400">{preflightError.message}</p>}
+                {preflight && (
+                  <>
+                    <p>
+                      {preflight.failureReason
+                        ? `Would revert: ${preflight.failureReason.message}`
+                        : 'Simulation succeeded'}
+                    </p>
+                    <p>
+                      Max cost: {preflight.maxCost ? ethers.utils.formatEther(preflight.maxCost) : 'unknown'} (balance {ethers.utils.formatEther(preflight.balance)})
+                      {preflight.insufficientFunds && <span className="text-red-400"> - insufficient funds</span>}
+                    </p>
+                    {preflight.estimation && (
+                      <p>Network fee: {preflight.estimation.formattedCost.native}</p>
+                    )}
+                    {preflight.warnings.map((warning) => (
+                      <p key={warning.code} className="text-yellow-400">{warning.message}</p>
+                    ))}
+                    <p>
+                      State changes: {preflight.stateChanges
+                        ? `${preflight.stateChanges.balanceChanges.length} balance changes (${preflight.stateChanges.method})`
+                        : 'not available from this node'}
+                    </p>
+                  </>
+                )}
+              </div>
+            )}
+            {sendQueueItems.length > 0 && (
+              <div className="mt-4 text-sm text-gray-300">
+                <p className="font-semibold">Send Queue</p>
+                {sendQueueItems.map((item) => (
+                  <p key={item.id}>
+                    #{item.id}: {item.status}{item.nonce !== null && ` (nonce ${item.nonce})`}
+                  </p>
+                ))}
+              </div>
+            )}
+            {transactionError && <p className="mt-4 text-red-400">{transactionError.message}</p>}
           </div>
 
-          <motion.button
-            onClick={handleSimulateTransaction}
-            className="bg-blue-500 text-white px-6 py-3 rounded-lg font-semibold hover:bg-blue-600 transition duration-200 mt-6"
-            whileHover={{ scale: 1.1 }}
-            transition={{ type: "spring", stiffness: 200 }}
-          >
-            Simulate Transaction
-          </motion.button>
+          <div className="flex justify-center space-x-4 mt-6">
+            <motion.button
+              onClick={handleSimulateTransaction}
+              className="bg-blue-500 text-white px-6 py-3 rounded-lg font-semibold hover:bg-blue-600 transition duration-200"
+              whileHover={{ scale: 1.1 }}
+              transition={{ type: "spring", stiffness: 200 }}
+            >
+              Simulate Transaction
+            </motion.button>
+            <motion.button
+              onClick={handleSendTransaction}
+              disabled={!preflight?.ok || sendStatus === 'sending'}
+              className="bg-green-500 text-white px-6 py-3 rounded-lg font-semibold hover:bg-green-600 transition duration-200 disabled:opacity-50"
+              whileHover={{ scale: 1.1 }}
+              transition={{ type: "spring", stiffness: 200 }}
+            >
+              Send Transaction
+            </motion.button>
+            <motion.button
+              onClick={handleSendBatch}
+              disabled={sendStatus === 'sending'}
+              className="bg-purple-500 text-white px-6 py-3 rounded-lg font-semibold hover:bg-purple-600 transition duration-200 disabled:opacity-50"
+              whileHover={{ scale: 1.1 }}
+              transition={{ type: "spring", stiffness: 200 }}
+            >
+              Send Two in a Row
+            </motion.button>
+          </div>
         </motion.div>
       </div>
     </section>
@@ -0,0 +1,103 @@
+import { providers } from 'ethers';
+
+type BlockListener = (blockNumber: number) => void;
+
+// One block stream per provider, fanned out to every subscriber
+interface SharedBlockSubscription {
+  listeners: Map<BlockListener, number>; // Listener -> polling interval it asked for
+  lastBlock: number | null;
+  pendingBlock: number | null;
+  handleBlock: (blockNumber: number) => void;
+  handleNetwork: () => void;
+}
+
+const subscriptions = new WeakMap<object, SharedBlockSubscription>();
+
+// Providers that push new heads over eth_subscribe instead of polling
+const isSubscriptionProvider = (provider: any) => provider instanceof providers.WebSocketProvider;
+
+// Poll as fast as the most demanding subscriber asked for
+const updatePollingInterval = (provider: any, subscription: SharedBlockSubscription) => {
+  if (isSubscriptionProvider(provider) || subscription.listeners.size === 0) return;
+  provider.pollingInterval = Math.min(...Array.from(subscription.listeners.values()));
+};
+
+const createSubscription = (provider: any): SharedBlockSubscription => {
+  const subscription: SharedBlockSubscription = {
+    listeners: new Map(),
+    lastBlock: null,
+    pendingBlock: null,
+    handleBlock: () => {},
+    handleNetwork: () => {},
+  };
+
+  // A poll can report several blocks at once (fast chains); coalesce them so
+  // subscribers only ever see the newest head, once
+  subscription.handleBlock = (blockNumber: number) => {
+    if (subscription.lastBlock !== null && blockNumber <= subscription.lastBlock) return;
+
+    const flushScheduled = subscription.pendingBlock !== null;
+    subscription.pendingBlock = Math.max(blockNumber, subscription.pendingBlock ?? blockNumber);
+    if (flushScheduled) return;
+
+    setTimeout(() => {
+      const latest = subscription.pendingBlock;
+      subscription.pendingBlock = null;
+      if (latest === null || (subscription.lastBlock !== null && latest <= subscription.lastBlock)) return;
+
+      subscription.lastBlock = latest;
+      subscription.listeners.forEach((_, listener) => listener(latest));
+    }, 0);
+  };
+
+  // Block numbers restart on a different chain
+  subscription.handleNetwork = () => {
+    subscription.lastBlock = null;
+  };
+
+  provider.on('block', subscription.handleBlock);
+  provider.on('network', subscription.handleNetwork);
+
+  // Push subscriptions only fire on the next block; start from the current one
+  provider.getBlockNumber()
+    .then(subscription.handleBlock)
+    .catch((error: Error) => console.error('Failed to get block number', error));
+
+  return subscription;
+};
+
+// Subscribe to new blocks on a provider. All subscribers of the same provider share one
+// eth_subscribe stream (WebSocket providers) or one poller, and each new head is delivered
+// exactly once. Returns an unsubscribe function.
+export const subscribeToBlocks = (
+  provider: providers.Provider,
+  listener: BlockListener,
+  pollingInterval = 4000
+) => {
+  const existing = subscriptions.get(provider);
+  const subscription = existing || createSubscription(provider);
+  if (!existing) subscriptions.set(provider, subscription);
+
+  // Late subscribers start from the newest block already seen
+  if (existing && existing.lastBlock !== null) {
+    const { lastBlock } = existing;
+    setTimeout(() => {
+      if (subscription.listeners.has(listener)) listener(lastBlock);
+    }, 0);
+  }
+
+  subscription.listeners.set(listener, pollingInterval);
+  updatePollingInterval(provider, subscription);
+
+  return () => {
+    subscription.listeners.delete(listener);
+    if (subscription.listeners.size > 0) {
+      updatePollingInterval(provider, subscription);
+      return;
+    }
+
+    provider.off('block', subscription.handleBlock);
+    provider.off('network', subscription.handleNetwork);
+    subscriptions.delete(provider);
+  };
+};
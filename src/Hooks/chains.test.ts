@@ -0,0 +1,23 @@
+import { describe, expect, it } from 'vitest';
+import { createChainRegistry, defaultChains } from './chains';
+
+describe('createChainRegistry', () => {
+  it('merges overrides into built-in chains and adds new ones', () => {
+    const registry = createChainRegistry({
+      1: { rpcUrls: ['https://eth.example.com'] },
+      31337: { name: 'Hardhat', nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 }, rpcUrls: ['http://127.0.0.1:8545'] },
+    });
+
+    expect(registry[1]).toMatchObject({ name: defaultChains[1].name, rpcUrls: ['https://eth.example.com'], nativeCurrency: defaultChains[1].nativeCurrency });
+    expect(registry[31337]).toMatchObject({ id: 31337, name: 'Hardhat', blockExplorerUrls: [], eip1559: true });
+  });
+
+  it('names the invalid fields of an entry', () => {
+    expect(() => createChainRegistry({ 31337: { name: 'Hardhat' } }))
+      .toThrow('Chain 31337 is not in the default registry and needs a valid rpcUrls, nativeCurrency.name, nativeCurrency.symbol, nativeCurrency.decimals.');
+    expect(() => createChainRegistry({ 1: { rpcUrls: [] } }))
+      .toThrow('Chain 1 override has invalid rpcUrls.');
+    expect(() => createChainRegistry({ 1: { nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: -1 } } }))
+      .toThrow('Chain 1 override has invalid nativeCurrency.decimals.');
+  });
+});
@@ -0,0 +1,164 @@
+// Metadata describing an EVM chain
+export interface ChainConfig {
+  id: number;
+  name: string;
+  nativeCurrency: {
+    name: string;
+    symbol: string;
+    decimals: number;
+  };
+  rpcUrls: string[];
+  blockExplorerUrls: string[];
+  eip1559: boolean; // Whether blocks carry baseFeePerGas
+  rollup?: 'op-stack' | 'arbitrum'; // L2s that charge a separate L1 data fee
+  testnet?: boolean;
+  priceFeeds?: Record<string, string>; // Chainlink-style aggregators pricing the native currency, by fiat currency code
+}
+
+export type ChainRegistry = Record<number, ChainConfig>;
+
+// Per-chain overrides; unknown chain ids must provide a full entry
+export type ChainRegistryOverrides = Record<number, Partial<ChainConfig>>;
+
+const ETH = { name: 'Ether', symbol: 'ETH', decimals: 18 };
+
+// Built-in chain metadata
+export const defaultChains: ChainRegistry = {
+  1: {
+    id: 1,
+    name: 'Ethereum Mainnet',
+    nativeCurrency: ETH,
+    rpcUrls: ['https://cloudflare-eth.com', 'https://eth.llamarpc.com'],
+    blockExplorerUrls: ['https://etherscan.io'],
+    eip1559: true,
+    priceFeeds: { USD: '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419' },
+  },
+  10: {
+    id: 10,
+    name: 'OP Mainnet',
+    nativeCurrency: ETH,
+    rpcUrls: ['https://mainnet.optimism.io'],
+    blockExplorerUrls: ['https://optimistic.etherscan.io'],
+    eip1559: true,
+    rollup: 'op-stack',
+    priceFeeds: { USD: '0x13e3Ee699D1909E989722E753853AE30b17e08c5' },
+  },
+  56: {
+    id: 56,
+    name: 'BNB Smart Chain',
+    nativeCurrency: { name: 'BNB', symbol: 'BNB', decimals: 18 },
+    rpcUrls: ['https://bsc-dataseed.bnbchain.org', 'https://bsc-dataseed1.defibit.io'],
+    blockExplorerUrls: ['https://bscscan.com'],
+    eip1559: false,
+    priceFeeds: { USD: '0x0567F2323251f0Aab15c8dFb1967E4e8A7D42aeE' },
+  },
+  137: {
+    id: 137,
+    name: 'Polygon Mainnet',
+    nativeCurrency: { name: 'POL', symbol: 'POL', decimals: 18 },
+    rpcUrls: ['https://polygon-rpc.com'],
+    blockExplorerUrls: ['https://polygonscan.com'],
+    eip1559: true,
+    priceFeeds: { USD: '0xAB594600376Ec9fD91F8e885dADF0CE036862dE0' },
+  },
+  250: {
+    id: 250,
+    name: 'Fantom Opera',
+    nativeCurrency: { name: 'Fantom', symbol: 'FTM', decimals: 18 },
+    rpcUrls: ['https://rpc.ftm.tools'],
+    blockExplorerUrls: ['https://ftmscan.com'],
+    eip1559: false,
+    priceFeeds: { USD: '0xf4766552D15AE4d256Ad41B6cf2933482B0680dc' },
+  },
+  8453: {
+    id: 8453,
+    name: 'Base',
+    nativeCurrency: ETH,
+    rpcUrls: ['https://mainnet.base.org'],
+    blockExplorerUrls: ['https://basescan.org'],
+    eip1559: true,
+    rollup: 'op-stack',
+    priceFeeds: { USD: '0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70' },
+  },
+  42161: {
+    id: 42161,
+    name: 'Arbitrum One',
+    nativeCurrency: ETH,
+    rpcUrls: ['https://arb1.arbitrum.io/rpc'],
+    blockExplorerUrls: ['https://arbiscan.io'],
+    eip1559: true,
+    rollup: 'arbitrum',
+    priceFeeds: { USD: '0x639Fe6ab55C921f74e7fac1ee960C0B6293ba612' },
+  },
+  43114: {
+    id: 43114,
+    name: 'Avalanche C-Chain',
+    nativeCurrency: { name: 'Avalanche', symbol: 'AVAX', decimals: 18 },
+    rpcUrls: ['https://api.avax.network/ext/bc/C/rpc'],
+    blockExplorerUrls: ['https://snowtrace.io'],
+    eip1559: true,
+    priceFeeds: { USD: '0x0A77230d17318075983913bC2145DB16C7366156' },
+  },
+  11155111: {
+    id: 11155111,
+    name: 'Sepolia Testnet',
+    nativeCurrency: { name: 'Sepolia Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls: ['https://rpc.sepolia.org', 'https://ethereum-sepolia-rpc.publicnode.com'],
+    blockExplorerUrls: ['https://sepolia.etherscan.io'],
+    eip1559: true,
+    testnet: true,
+    priceFeeds: { USD: '0x694AA1769357215DE4FAC081bf1f309aDC325306' },
+  },
+};
+
+// Fields a merged entry is missing or has in the wrong shape
+const invalidChainFields = (chain: ChainConfig) => {
+  const invalid: string[] = [];
+  if (typeof chain.name !== 'string' || !chain.name) invalid.push('name');
+  if (!Array.isArray(chain.rpcUrls) || chain.rpcUrls.length === 0) invalid.push('rpcUrls');
+  if (typeof chain.nativeCurrency.name !== 'string' || !chain.nativeCurrency.name) invalid.push('nativeCurrency.name');
+  if (typeof chain.nativeCurrency.symbol !== 'string' || !chain.nativeCurrency.symbol) invalid.push('nativeCurrency.symbol');
+  if (!Number.isInteger(chain.nativeCurrency.decimals) || chain.nativeCurrency.decimals < 0) invalid.push('nativeCurrency.decimals');
+  return invalid;
+};
+
+// Merge app-provided overrides into the built-in registry
+export const createChainRegistry = (overrides: ChainRegistryOverrides = {}): ChainRegistry => {
+  const registry: ChainRegistry = { ...defaultChains };
+
+  Object.entries(overrides).forEach(([key, override]) => {
+    const id = Number(key);
+    const base = registry[id];
+    const merged = {
+      ...base,
+      ...override,
+      nativeCurrency: { ...base?.nativeCurrency, ...override.nativeCurrency },
+      priceFeeds: { ...base?.priceFeeds, ...override.priceFeeds },
+      id,
+    } as ChainConfig;
+
+    const invalid = invalidChainFields(merged);
+    if (invalid.length > 0) {
+      throw new Error(base
+        ? `Chain ${id} override has invalid ${invalid.join(', ')}.`
+        : `Chain ${id} is not in the default registry and needs a valid ${invalid.join(', ')}.`);
+    }
+
+    registry[id] = { blockExplorerUrls: [], eip1559: true, ...merged };
+  });
+
+  return registry;
+};
+
+// Look up a chain's display name, falling back to its id
+export const getChainName = (registry: ChainRegistry, chainId: number | null) =>
+  (chainId !== null && registry[chainId]?.name) || `Chain ID ${chainId}`;
+
+// Convert a registry entry into wallet_addEthereumChain params (EIP-3085)
+export const toAddEthereumChainParameter = (chain: ChainConfig) => ({
+  chainId: `0x${chain.id.toString(16)}`,
+  chainName: chain.name,
+  nativeCurrency: chain.nativeCurrency,
+  rpcUrls: chain.rpcUrls,
+  blockExplorerUrls: chain.blockExplorerUrls.length > 0 ? chain.blockExplorerUrls : undefined,
+});
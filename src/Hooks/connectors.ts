@@ -0,0 +1,86 @@
+// Minimal EIP-1193 provider interface exposed by browser wallets
+export interface EIP1193Provider {
+  request: (args: { method: string; params?: unknown[] | object }) => Promise<any>;
+  on: (event: string, listener: (...args: any[]) => void) => void;
+  removeListener: (event: string, listener: (...args: any[]) => void) => void;
+}
+
+declare global {
+  interface Window {
+    ethereum?: EIP1193Provider & { isMetaMask?: boolean }; // Legacy injection, absent on the server and without a wallet
+  }
+}
+
+// Wallet metadata announced through EIP-6963
+export interface EIP6963ProviderInfo {
+  uuid: string;
+  name: string;
+  icon: string;
+  rdns: string;
+}
+
+interface EIP6963ProviderDetail {
+  info: EIP6963ProviderInfo;
+  provider: EIP1193Provider;
+}
+
+// A wallet the user can choose to connect with
+export interface Connector {
+  id: string;
+  name: string;
+  icon: string | null;
+  rdns: string | null;
+  provider: EIP1193Provider;
+}
+
+// Id of the fallback connector wrapping the legacy window.ethereum injection
+export const INJECTED_CONNECTOR_ID = 'injected';
+
+// Build a connector for window.ethereum, used by wallets that don't support EIP-6963
+const getInjectedConnector = (): Connector | null => {
+  if (typeof window === 'undefined' || !window.ethereum) return null;
+  return {
+    id: INJECTED_CONNECTOR_ID,
+    name: window.ethereum.isMetaMask ? 'MetaMask' : 'Browser Wallet',
+    icon: null,
+    rdns: null,
+    provider: window.ethereum,
+  };
+};
+
+// Discover injected wallets via EIP-6963 and report the list whenever it changes.
+// Returns an unsubscribe function.
+export const watchConnectors = (onChange: (connectors: Connector[]) => void) => {
+  if (typeof window === 'undefined') {
+    onChange([]);
+    return () => {};
+  }
+
+  const announced = new Map<string, Connector>();
+
+  const emit = () => {
+    const connectors = Array.from(announced.values());
+    const injected = getInjectedConnector();
+    // Only list window.ethereum separately if no announced wallet owns it
+    if (injected && !connectors.some((connector) => connector.provider === injected.provider)) {
+      connectors.push(injected);
+    }
+    onChange(connectors);
+  };
+
+  const handleAnnounce = (event: Event) => {
+    const { info, provider } = (event as CustomEvent<EIP6963ProviderDetail>).detail || ({} as EIP6963ProviderDetail);
+    if (!info || !provider) return;
+
+    // rdns is stable across page loads, uuid is only unique per session
+    const id = info.rdns || info.uuid;
+    announced.set(id, { id, name: info.name, icon: info.icon || null, rdns: info.rdns || null, provider });
+    emit();
+  };
+
+  window.addEventListener('eip6963:announceProvider', handleAnnounce);
+  window.dispatchEvent(new Event('eip6963:requestProvider'));
+  emit();
+
+  return () => window.removeEventListener('eip6963:announceProvider', handleAnnounce);
+};
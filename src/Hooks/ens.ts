@@ -0,0 +1,67 @@
+import { providers, utils } from 'ethers';
+import { defaultChains } from './chains';
+import { createReadProvider } from './rpc';
+
+// How long resolved names, addresses and avatars are reused
+export const ENS_CACHE_TTL = 5 * 60 * 1000;
+
+// Lookups shared by every component, including the ones still in flight
+const cache = new Map<string, { value: Promise<string | null>; expires: number }>();
+
+const cached = (key: string, load: () => Promise<string | null>) => {
+  const entry = cache.get(key);
+  if (entry && entry.expires > Date.now()) return entry.value;
+
+  const value = load();
+  cache.set(key, { value, expires: Date.now() + ENS_CACHE_TTL });
+  // Don't cache failures, the next attempt may succeed
+  value.catch(() => cache.delete(key));
+  return value;
+};
+
+// ENS lives on Ethereum mainnet; used when the caller doesn't pass a mainnet provider
+let defaultMainnetProvider: providers.JsonRpcProvider | null = null;
+export const getMainnetProvider = () => {
+  if (!defaultMainnetProvider) {
+    defaultMainnetProvider = createReadProvider(1, defaultChains[1].rpcUrls);
+  }
+  return defaultMainnetProvider!;
+};
+
+// Guard against resolving on the wallet's current chain, where ENS records don't exist
+const assertMainnet = async (provider: providers.Provider) => {
+  const { chainId } = await provider.getNetwork();
+  if (chainId !== 1) {
+    throw new Error(`ENS must be resolved on Ethereum mainnet, got chain ${chainId}`);
+  }
+};
+
+// Forward-resolve a name to an address
+export const resolveEnsAddress = (provider: providers.Provider, name: string) =>
+  cached(`address:${name.toLowerCase()}`, async () => {
+    await assertMainnet(provider);
+    const address = await provider.resolveName(name);
+    return address ? utils.getAddress(address) : null;
+  });
+
+// Reverse-resolve an address to its primary name. The reverse record is set by the address
+// owner alone, so it only counts if the name forward-resolves back to the same address.
+export const lookupEnsName = (provider: providers.Provider, address: string) =>
+  cached(`name:${address.toLowerCase()}`, async () => {
+    await assertMainnet(provider);
+    const name = await provider.lookupAddress(address);
+    if (!name) return null;
+
+    const resolved = await resolveEnsAddress(provider, name);
+    return resolved && resolved.toLowerCase() === address.toLowerCase() ? name : null;
+  });
+
+// URL of a name's avatar, with NFT avatars (eip155:) resolved to their image
+export const resolveEnsAvatar = (provider: providers.Provider, name: string) =>
+  cached(`avatar:${name.toLowerCase()}`, async () => {
+    await assertMainnet(provider);
+    const resolver = await (provider as providers.BaseProvider).getResolver(name);
+    if (!resolver) return null;
+    const avatar = await resolver.getAvatar();
+    return avatar?.url || null;
+  });
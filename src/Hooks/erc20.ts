@@ -0,0 +1,159 @@
+import { BigNumber, BigNumberish, Signer, providers, utils } from 'ethers';
+import { batchCall } from './multicall';
+
+export const ERC20_ABI = [
+  'function name() view returns (string)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function totalSupply() view returns (uint256)',
+  'function balanceOf(address owner) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function transferFrom(address from, address to, uint256 amount) returns (bool)',
+];
+
+// EIP-2612 extension
+export const ERC20_PERMIT_ABI = [
+  'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+  'function nonces(address owner) view returns (uint256)',
+  'function DOMAIN_SEPARATOR() view returns (bytes32)',
+  'function version() view returns (string)',
+];
+
+export const erc20Interface = new utils.Interface([...ERC20_ABI, ...ERC20_PERMIT_ABI]);
+
+// Older tokens such as MKR return name and symbol as bytes32
+const bytes32Interface = new utils.Interface([
+  'function name() view returns (bytes32)',
+  'function symbol() view returns (bytes32)',
+]);
+
+export interface TokenMetadata {
+  address: string;
+  chainId: number;
+  name: string;
+  symbol: string;
+  decimals: number;
+}
+
+// Signed EIP-2612 approval, ready to pass to permit() or a contract that calls it
+export interface PermitSignature {
+  owner: string;
+  spender: string;
+  value: BigNumber;
+  deadline: BigNumber;
+  nonce: BigNumber;
+  v: number;
+  r: string;
+  s: string;
+}
+
+// Token metadata never changes, so it is cached for the page lifetime
+const metadataCache = new Map<string, Promise<TokenMetadata>>();
+
+// Read a string field, accepting bytes32 from older tokens
+const decodeText = (field: 'name' | 'symbol', returnData: string) => {
+  try {
+    return erc20Interface.decodeFunctionResult(field, returnData)[0] as string;
+  } catch (error) {
+    return utils.parseBytes32String(bytes32Interface.decodeFunctionResult(field, returnData)[0]);
+  }
+};
+
+// Fetch name, symbol and decimals in one batched call
+export const fetchTokenMetadata = async (provider: providers.Provider, token: string): Promise<TokenMetadata> => {
+  const { chainId } = await provider.getNetwork();
+  const address = utils.getAddress(token);
+  const key = `${chainId}:${address}`;
+
+  if (!metadataCache.has(key)) {
+    const request = Promise.all(['name', 'symbol', 'decimals'].map((field) =>
+      batchCall(provider, address, erc20Interface.encodeFunctionData(field))
+    )).then(([name, symbol, decimals]) => {
+      if (!decimals.success || decimals.returnData === '0x') {
+        throw new Error(`${address} is not an ERC-20 token on chain ${chainId}`);
+      }
+      return {
+        address,
+        chainId,
+        // name and symbol are optional in the standard
+        name: name.success ? decodeText('name', name.returnData) : '',
+        symbol: symbol.success ? decodeText('symbol', symbol.returnData) : '',
+        decimals: erc20Interface.decodeFunctionResult('decimals', decimals.returnData)[0],
+      };
+    });
+
+    // Don't cache failures, the next attempt may succeed
+    request.catch(() => metadataCache.delete(key));
+    metadataCache.set(key, request);
+  }
+  return metadataCache.get(key)!;
+};
+
+// Read the EIP-2612 nonce and domain version, or null when the token doesn't support permit
+export const fetchPermitSupport = async (provider: providers.Provider, token: string, owner: string) => {
+  const [nonce, domainSeparator, version] = await Promise.all([
+    batchCall(provider, token, erc20Interface.encodeFunctionData('nonces', [owner])),
+    batchCall(provider, token, erc20Interface.encodeFunctionData('DOMAIN_SEPARATOR')),
+    batchCall(provider, token, erc20Interface.encodeFunctionData('version')),
+  ]);
+  if (!nonce.success || nonce.returnData === '0x' || !domainSeparator.success || domainSeparator.returnData === '0x') {
+    return null;
+  }
+
+  return {
+    nonce: erc20Interface.decodeFunctionResult('nonces', nonce.returnData)[0] as BigNumber,
+    domainSeparator: domainSeparator.returnData,
+    // Most permit tokens use version "1" and don't expose version()
+    version: version.success && version.returnData !== '0x'
+      ? erc20Interface.decodeFunctionResult('version', version.returnData)[0] as string
+      : '1',
+  };
+};
+
+// Sign an EIP-2612 permit for the signer's tokens
+export const signPermit = async (
+  signer: Signer,
+  token: TokenMetadata,
+  spender: string,
+  value: BigNumberish,
+  deadline: BigNumberish
+): Promise<PermitSignature> => {
+  const provider = signer.provider;
+  if (!provider) {
+    throw new Error('Signer is not connected to a provider');
+  }
+  const owner = await signer.getAddress();
+  const support = await fetchPermitSupport(provider, token.address, owner);
+  if (!support) {
+    throw new Error(`${token.symbol || token.address} does not support permit`);
+  }
+
+  const domain = { name: token.name, version: support.version, chainId: token.chainId, verifyingContract: token.address };
+
+  // A mismatch means the token builds its domain differently; its permit would revert
+  if (utils._TypedDataEncoder.hashDomain(domain) !== support.domainSeparator) {
+    throw new Error(`Could not reproduce the permit domain of ${token.symbol || token.address}`);
+  }
+
+  const message = {
+    owner,
+    spender,
+    value: BigNumber.from(value),
+    nonce: support.nonce,
+    deadline: BigNumber.from(deadline),
+  };
+  const signature = await (signer as providers.JsonRpcSigner)._signTypedData(domain, {
+    Permit: [
+      { name: 'owner', type: 'address' },
+      { name: 'spender', type: 'address' },
+      { name: 'value', type: 'uint256' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' },
+    ],
+  }, message);
+
+  const { v, r, s } = utils.splitSignature(signature);
+  return { ...message, v, r, s };
+};
@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import { utils } from 'ethers';
+import {
+  DisconnectedError,
+  ExecutionRevertedError,
+  InsufficientFundsError,
+  InternalRpcError,
+  NetworkError,
+  NonceTooLowError,
+  ReplacementUnderpricedError,
+  RequestPendingError,
+  UnauthorizedError,
+  UnrecognizedChainError,
+  UserRejectedError,
+  Web3Error,
+  normalizeError,
+} from './errors';
+import { rpcError } from './testing/mockChain';
+
+describe('normalizeError', () => {
+  it.each([
+    [4001, UserRejectedError, 'USER_REJECTED'],
+    [4100, UnauthorizedError, 'UNAUTHORIZED'],
+    [4900, DisconnectedError, 'DISCONNECTED'],
+    [4901, DisconnectedError, 'DISCONNECTED'],
+    [4902, UnrecognizedChainError, 'UNRECOGNIZED_CHAIN'],
+    [-32002, RequestPendingError, 'REQUEST_PENDING'],
+    [-32603, InternalRpcError, 'INTERNAL'],
+  ])('maps EIP-1193 code %i', (rpcCode, ErrorClass, code) => {
+    const cause = rpcError(rpcCode, 'Provider message');
+    const error = normalizeError(cause);
+
+    expect(error).toBeInstanceOf(ErrorClass);
+    expect(error).toBeInstanceOf(Web3Error);
+    expect(error).toMatchObject({ code, rpcCode, cause });
+    expect(error.message).not.toBe('Provider message');
+  });
+
+  it('finds codes nested by MetaMask mobile and ethers', () => {
+    expect(normalizeError({ code: -32603, data: { originalError: { code: 4902 } } })).toBeInstanceOf(UnrecognizedChainError);
+    expect(normalizeError({ code: 'ACTION_REJECTED', reason: 'user rejected transaction' })).toBeInstanceOf(UserRejectedError);
+    expect(normalizeError({
+      code: 'SERVER_ERROR',
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, error: { code: 4100, message: 'Unauthorized' } }),
+    })).toMatchObject({ code: 'UNAUTHORIZED', rpcCode: 4100 });
+  });
+
+  it('recognizes transaction errors by their node message', () => {
+    const internal = (message: string) => ({ code: -32603, message: 'Internal JSON-RPC error.', data: { code: -32000, message } });
+
+    expect(normalizeError(internal('insufficient funds for gas * price + value'))).toBeInstanceOf(InsufficientFundsError);
+    expect(normalizeError(internal('nonce too low'))).toBeInstanceOf(NonceTooLowError);
+    expect(normalizeError(internal('replacement transaction underpriced'))).toBeInstanceOf(ReplacementUnderpricedError);
+    expect(normalizeError({ code: 'NONCE_EXPIRED', message: 'nonce has already been used' })).toBeInstanceOf(NonceTooLowError);
+  });
+
+  it('decodes revert data into the reason', () => {
+    const data = new utils.Interface(['function Error(string)']).encodeFunctionData('Error', ['Not allowed']);
+    const error = normalizeError({ code: 'CALL_EXCEPTION', message: 'call revert exception', data });
+
+    expect(error).toBeInstanceOf(ExecutionRevertedError);
+    expect((error as ExecutionRevertedError).reason).toMatchObject({ name: 'Error', args: ['Not allowed'] });
+    expect(error.message).toBe('Transaction reverted: Not allowed');
+  });
+
+  it('treats transport failures as network errors', () => {
+    expect(normalizeError({ code: 'TIMEOUT', message: 'timeout' })).toBeInstanceOf(NetworkError);
+    expect(normalizeError({ code: 'SERVER_ERROR', message: 'bad response' })).toBeInstanceOf(NetworkError);
+  });
+
+  it('keeps the message of anything else', () => {
+    const cause = new Error('Contract address is not set');
+    expect(normalizeError(cause)).toMatchObject({ code: 'UNKNOWN', message: 'Contract address is not set', cause });
+    expect(normalizeError(undefined, 'Failed to read balanceOf')).toMatchObject({ code: 'UNKNOWN', message: 'Failed to read balanceOf' });
+  });
+
+  it('returns errors that are already normalized unchanged', () => {
+    const error = new UserRejectedError();
+    expect(normalizeError(error)).toBe(error);
+  });
+});
@@ -0,0 +1,237 @@
+import { FailureReason, decodeRevertData, extractRevertData } from './revertReason';
+
+// Stable codes for every error the hooks report; match on these rather than on messages
+export type Web3ErrorCode =
+  | 'USER_REJECTED' // 4001
+  | 'UNAUTHORIZED' // 4100
+  | 'DISCONNECTED' // 4900, 4901
+  | 'UNRECOGNIZED_CHAIN' // 4902
+  | 'REQUEST_PENDING' // -32002
+  | 'INTERNAL' // -32603
+  | 'INSUFFICIENT_FUNDS'
+  | 'NONCE_TOO_LOW'
+  | 'REPLACEMENT_UNDERPRICED'
+  | 'EXECUTION_REVERTED'
+  | 'TRANSACTION_NOT_FOUND'
+  | 'TRANSACTION_DROPPED'
+  | 'INVALID_ARGUMENT'
+  | 'NETWORK'
+  | 'WALLET_NOT_FOUND'
+  | 'WALLET_NOT_CONNECTED'
+  | 'UNSUPPORTED_CHAIN'
+  | 'UNKNOWN';
+
+export interface Web3ErrorOptions {
+  message?: string; // Replaces the default user-facing message
+  cause?: unknown; // Original provider, node or wallet error
+  rpcCode?: number | null; // EIP-1193 / JSON-RPC code reported with the original error
+}
+
+// Base class of all errors returned by the hooks. `message` is safe to show to users;
+// the original error is kept in `cause` for logging.
+export class Web3Error extends Error {
+  name = 'Web3Error';
+  readonly code: Web3ErrorCode;
+  readonly cause: unknown;
+  readonly rpcCode: number | null;
+
+  constructor(code: Web3ErrorCode, message: string, { cause, rpcCode = null }: Web3ErrorOptions = {}) {
+    super(message);
+    this.code = code;
+    this.cause = cause;
+    this.rpcCode = rpcCode;
+  }
+}
+
+export class UserRejectedError extends Web3Error {
+  name = 'UserRejectedError';
+  constructor(options: Web3ErrorOptions = {}) {
+    super('USER_REJECTED', options.message ?? 'The request was rejected in your wallet.', options);
+  }
+}
+
+export class UnauthorizedError extends Web3Error {
+  name = 'UnauthorizedError';
+  constructor(options: Web3ErrorOptions = {}) {
+    super('UNAUTHORIZED', options.message ?? 'This site is not authorized to use your wallet account. Please connect again.', options);
+  }
+}
+
+export class DisconnectedError extends Web3Error {
+  name = 'DisconnectedError';
+  constructor(options: Web3ErrorOptions = {}) {
+    super('DISCONNECTED', options.message ?? (options.rpcCode === 4901
+      ? 'Your wallet is not connected to the requested network.'
+      : 'Your wallet is disconnected. Please unlock or reconnect it.'), options);
+  }
+}
+
+export class UnrecognizedChainError extends Web3Error {
+  name = 'UnrecognizedChainError';
+  constructor(options: Web3ErrorOptions = {}) {
+    super('UNRECOGNIZED_CHAIN', options.message ?? 'This network has not been added to your wallet.', options);
+  }
+}
+
+export class RequestPendingError extends Web3Error {
+  name = 'RequestPendingError';
+  constructor(options: Web3ErrorOptions = {}) {
+    super('REQUEST_PENDING', options.message ?? 'A request is already waiting in your wallet. Open your wallet to continue.', options);
+  }
+}
+
+export class InternalRpcError extends Web3Error {
+  name = 'InternalRpcError';
+  constructor(options: Web3ErrorOptions = {}) {
+    super('INTERNAL', options.message ?? 'Your wallet or the network ran into an internal error. Please try again.', options);
+  }
+}
+
+export class InsufficientFundsError extends Web3Error {
+  name = 'InsufficientFundsError';
+  constructor(options: Web3ErrorOptions = {}) {
+    super('INSUFFICIENT_FUNDS', options.message ?? 'Insufficient funds to cover the transaction value and gas.', options);
+  }
+}
+
+export class NonceTooLowError extends Web3Error {
+  name = 'NonceTooLowError';
+  constructor(options: Web3ErrorOptions = {}) {
+    super('NONCE_TOO_LOW', options.message ?? 'A transaction with this nonce was already sent from your account.', options);
+  }
+}
+
+export class ReplacementUnderpricedError extends Web3Error {
+  name = 'ReplacementUnderpricedError';
+  constructor(options: Web3ErrorOptions = {}) {
+    super('REPLACEMENT_UNDERPRICED', options.message ?? 'The fee is too low to replace the pending transaction.', options);
+  }
+}
+
+export class ExecutionRevertedError extends Web3Error {
+  name = 'ExecutionRevertedError';
+  readonly reason: FailureReason; // Decoded revert data
+
+  constructor(reason: FailureReason, options: Web3ErrorOptions = {}) {
+    super('EXECUTION_REVERTED', options.message ?? (reason.name ? `Transaction reverted: ${reason.message}` : reason.message), options);
+    this.reason = reason;
+  }
+}
+
+export class NetworkError extends Web3Error {
+  name = 'NetworkError';
+  constructor(options: Web3ErrorOptions = {}) {
+    super('NETWORK', options.message ?? 'Could not reach the network. Please check your connection.', options);
+  }
+}
+
+export class WalletNotFoundError extends Web3Error {
+  name = 'WalletNotFoundError';
+  constructor(options: Web3ErrorOptions = {}) {
+    super('WALLET_NOT_FOUND', options.message ?? 'Please install MetaMask or another Web3 wallet.', options);
+  }
+}
+
+export class WalletNotConnectedError extends Web3Error {
+  name = 'WalletNotConnectedError';
+  constructor(options: Web3ErrorOptions = {}) {
+    super('WALLET_NOT_CONNECTED', options.message ?? 'Connect your wallet first.', options);
+  }
+}
+
+export class UnsupportedChainError extends Web3Error {
+  name = 'UnsupportedChainError';
+  readonly chainId: number | null;
+
+  constructor(chainId: number | null, options: Web3ErrorOptions = {}) {
+    super('UNSUPPORTED_CHAIN', options.message ?? 'Unsupported chain. Please switch your network.', options);
+    this.chainId = chainId;
+  }
+}
+
+// Every level of nesting wallets, nodes and ethers wrap the actual error in
+const collectErrorLayers = (error: any, layers: any[] = [], depth = 0): any[] => {
+  if (!error || typeof error !== 'object' || depth > 5 || layers.includes(error)) return layers;
+  layers.push(error);
+
+  // MetaMask mobile nests the code inside data.originalError
+  for (const nested of [error.error, error.data?.originalError, error.data, error.cause, error.info?.error]) {
+    collectErrorLayers(nested, layers, depth + 1);
+  }
+
+  // Some nodes only return the JSON-RPC error in a serialized body
+  if (typeof error.body === 'string') {
+    try {
+      collectErrorLayers(JSON.parse(error.body).error, layers, depth + 1);
+    } catch {
+      // Not JSON
+    }
+  }
+  return layers;
+};
+
+const NUMERIC_CODE_ERRORS: Record<number, new (options: Web3ErrorOptions) => Web3Error> = {
+  4001: UserRejectedError,
+  4100: UnauthorizedError,
+  4900: DisconnectedError,
+  4901: DisconnectedError,
+  4902: UnrecognizedChainError,
+  [-32002]: RequestPendingError,
+};
+
+// Most specific message found, preferring ethers' short `reason` over its verbose `message`
+const describe = (error: any, layers: any[]) => {
+  if (typeof error === 'string') return error;
+  const described = [error?.reason, ...layers.slice(1).map((layer) => layer.message), error?.message]
+    .find((message) => typeof message === 'string' && message.length > 0);
+  return described as string | undefined;
+};
+
+// Map any error thrown by a wallet, node, ethers or the hooks themselves to a Web3Error.
+// Errors that are already normalized are returned unchanged.
+export const normalizeError = (error: unknown, fallbackMessage = 'Something went wrong. Please try again.'): Web3Error => {
+  if (error instanceof Web3Error) return error;
+
+  const layers = collectErrorLayers(error);
+  const numericCodes: number[] = layers.map((layer) => layer.code).filter((code) => typeof code === 'number');
+  const ethersCodes: string[] = layers.map((layer) => layer.code).filter((code) => typeof code === 'string');
+  const text = [typeof error === 'string' ? error : '', ...layers.map((layer) => `${layer.message || ''} ${layer.reason || ''}`)].join(' ');
+  const rpcCode = numericCodes[0] ?? null;
+
+  // Wallet codes win over anything else, wherever they are nested
+  const walletCode = numericCodes.find((code) => NUMERIC_CODE_ERRORS[code]);
+  if (walletCode !== undefined) {
+    return new NUMERIC_CODE_ERRORS[walletCode]({ cause: error, rpcCode: walletCode });
+  }
+  if (ethersCodes.includes('ACTION_REJECTED') || /user (rejected|denied)|rejected by (the )?user/i.test(text)) {
+    return new UserRejectedError({ cause: error, rpcCode });
+  }
+
+  // Nodes report these as -32000, and MetaMask wraps them in -32603, so go by the message
+  if (ethersCodes.includes('INSUFFICIENT_FUNDS') || /insufficient funds/i.test(text)) {
+    return new InsufficientFundsError({ cause: error, rpcCode });
+  }
+  if (ethersCodes.includes('NONCE_EXPIRED') || /nonce (too low|has already been used)/i.test(text)) {
+    return new NonceTooLowError({ cause: error, rpcCode });
+  }
+  if (ethersCodes.includes('REPLACEMENT_UNDERPRICED') || /replacement (transaction )?underpriced|underpriced replacement/i.test(text)) {
+    return new ReplacementUnderpricedError({ cause: error, rpcCode });
+  }
+  if (ethersCodes.includes('CALL_EXCEPTION') || /execution reverted|\brevert(ed)?\b/i.test(text)) {
+    return new ExecutionRevertedError(decodeRevertData(extractRevertData(error)), { cause: error, rpcCode });
+  }
+
+  const transportFailure = (error as any)?.code === 'SERVER_ERROR' && !(error as any).error;
+  if (ethersCodes.includes('TIMEOUT') || ethersCodes.includes('NETWORK_ERROR') || transportFailure) {
+    return new NetworkError({ cause: error, rpcCode });
+  }
+  const invalidArgument = ['INVALID_ARGUMENT', 'MISSING_ARGUMENT', 'UNEXPECTED_ARGUMENT'].some((code) => ethersCodes.includes(code));
+  if (invalidArgument || numericCodes.includes(-32602)) {
+    return new Web3Error('INVALID_ARGUMENT', describe(error, layers) || fallbackMessage, { cause: error, rpcCode });
+  }
+  if (numericCodes.includes(-32603)) {
+    return new InternalRpcError({ cause: error, rpcCode: -32603 });
+  }
+
+  return new Web3Error('UNKNOWN', describe(error, layers) || fallbackMessage, { cause: error, rpcCode });
+};
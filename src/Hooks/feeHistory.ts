@@ -0,0 +1,173 @@
+import { BigNumber, utils } from 'ethers';
+
+// Fee data for a single block
+export interface FeeHistoryBlock {
+  number: number;
+  baseFeePerGas: BigNumber;
+  gasUsedRatio: number;
+  rewards: BigNumber[]; // Priority fee paid at each requested percentile
+  timestamp?: number; // Seconds, when known
+}
+
+// Likely inclusion of a transaction paying a given fee
+export interface ConfirmationEstimate {
+  probability: number; // Chance of inclusion in any single block
+  blocks: number; // Expected number of blocks until inclusion
+  seconds: number | null; // Expected wait, null when block times are unknown
+}
+
+// Rolling window of fee data, oldest block first
+export interface FeeHistory {
+  blocks: FeeHistoryBlock[];
+  nextBaseFee: BigNumber; // Base fee of the block after the newest one
+}
+
+const ZERO = BigNumber.from(0);
+
+// Ascending comparator for BigNumber sorting
+export const compareBigNumbers = (a: BigNumber, b: BigNumber) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0);
+
+// Value at a percentile (0-100) of an ascending-sorted list
+export const percentileOf = (sorted: BigNumber[], percentile: number) =>
+  sorted[Math.min(sorted.length - 1, Math.floor((sorted.length * percentile) / 100))];
+
+// Median of an unsorted list
+export const medianOf = (values: BigNumber[]) => percentileOf([...values].sort(compareBigNumbers), 50);
+
+// Whether a JSON-RPC error means the node doesn't implement the method
+export const isMethodUnsupported = (error: any) => {
+  const code = error?.error?.code ?? error?.code;
+  return code === -32601 || code === 4200 || /method.*(not (found|supported|available)|does not exist)/i.test(error?.error?.message || error?.message || '');
+};
+
+// Base fee of the block following `block`, per the EIP-1559 update rule
+export const calculateNextBaseFee = (block: { baseFeePerGas?: BigNumber | null; gasUsed: BigNumber; gasLimit: BigNumber }) => {
+  const baseFee = block.baseFeePerGas;
+  if (!baseFee || baseFee.isZero()) return ZERO;
+
+  const gasTarget = block.gasLimit.div(2);
+  if (gasTarget.isZero() || block.gasUsed.eq(gasTarget)) return baseFee;
+
+  if (block.gasUsed.gt(gasTarget)) {
+    const delta = baseFee.mul(block.gasUsed.sub(gasTarget)).div(gasTarget).div(8);
+    return baseFee.add(delta.gt(0) ? delta : 1);
+  }
+  return baseFee.sub(baseFee.mul(gasTarget.sub(block.gasUsed)).div(gasTarget).div(8));
+};
+
+// Fetch fee data for blockCount blocks ending at newestBlock with a single eth_feeHistory call
+export const fetchFeeHistory = async (
+  provider: any,
+  blockCount: number,
+  newestBlock: number,
+  percentiles: number[]
+): Promise<FeeHistory> => {
+  const result = await provider.send('eth_feeHistory', [
+    utils.hexValue(blockCount),
+    utils.hexValue(newestBlock),
+    percentiles,
+  ]);
+
+  const oldestBlock = BigNumber.from(result.oldestBlock).toNumber();
+  const blocks = result.gasUsedRatio.map((gasUsedRatio: number, i: number) => ({
+    number: oldestBlock + i,
+    baseFeePerGas: BigNumber.from(result.baseFeePerGas?.[i] || 0),
+    gasUsedRatio,
+    rewards: percentiles.map((_, j) => BigNumber.from(result.reward?.[i]?.[j] || 0)),
+  }));
+
+  // baseFeePerGas has one extra trailing entry for the next block
+  const baseFees = result.baseFeePerGas || [];
+  return { blocks, nextBaseFee: BigNumber.from(baseFees[baseFees.length - 1] || 0) };
+};
+
+// Rebuild the same data from full blocks, for nodes without eth_feeHistory
+export const scanFeeHistory = async (
+  provider: any,
+  blockCount: number,
+  newestBlock: number,
+  percentiles: number[]
+): Promise<FeeHistory> => {
+  const fetched = await Promise.all(
+    Array.from({ length: blockCount }, (_, i) =>
+      provider.getBlockWithTransactions(newestBlock - blockCount + 1 + i)
+        .catch(() => null)
+    )
+  );
+  const validBlocks = fetched.filter(Boolean);
+
+  const blocks = validBlocks.map((block) => {
+    const baseFee: BigNumber = block.baseFeePerGas || ZERO;
+
+    // Effective priority fee each transaction paid above the base fee
+    const tips = block.transactions
+      .map((tx: any) => {
+        const tip = tx.maxPriorityFeePerGas && tx.maxFeePerGas
+          ? (tx.maxFeePerGas.sub(baseFee).lt(tx.maxPriorityFeePerGas) ? tx.maxFeePerGas.sub(baseFee) : tx.maxPriorityFeePerGas)
+          : (tx.gasPrice || ZERO).sub(baseFee);
+        return tip.isNegative() ? ZERO : tip;
+      })
+      .sort(compareBigNumbers);
+
+    return {
+      number: block.number,
+      baseFeePerGas: baseFee,
+      gasUsedRatio: block.gasLimit.isZero() ? 0 : block.gasUsed.mul(10000).div(block.gasLimit).toNumber() / 10000,
+      rewards: percentiles.map((percentile) => (tips.length > 0 ? percentileOf(tips, percentile) : ZERO)),
+      timestamp: block.timestamp,
+    };
+  });
+
+  const newest = validBlocks[validBlocks.length - 1];
+  return { blocks, nextBaseFee: newest ? calculateNextBaseFee(newest) : ZERO };
+};
+
+// Append newly fetched blocks to the window, keeping at most `size` of the newest blocks
+export const mergeFeeHistory = (previous: FeeHistory | null, next: FeeHistory, size: number): FeeHistory => {
+  const lastKnown = previous?.blocks[previous.blocks.length - 1]?.number ?? -1;
+  const blocks = [
+    ...(previous?.blocks || []),
+    ...next.blocks.filter((block) => block.number > lastKnown),
+  ].slice(-size);
+
+  return { blocks, nextBaseFee: next.blocks.length > 0 ? next.nextBaseFee : previous?.nextBaseFee || next.nextBaseFee };
+};
+
+// Average seconds per block across the timestamped blocks in the window
+export const averageBlockTime = (blocks: FeeHistoryBlock[]) => {
+  const timestamped = blocks.filter((block) => block.timestamp !== undefined);
+  if (timestamped.length < 2) return null;
+
+  const first = timestamped[0];
+  const last = timestamped[timestamped.length - 1];
+  const blockSpan = last.number - first.number;
+  return blockSpan > 0 ? (last.timestamp! - first.timestamp!) / blockSpan : null;
+};
+
+// Estimate how soon a transaction with the given fees would be included. A block is
+// counted as including it when the fee covers that block's base fee and the priority
+// fee reaches the lowest reward percentile paid in it (empty blocks take any tip).
+// Inclusion is treated as independent per block, so the expected wait is 1 / probability.
+export const estimateInclusion = (
+  history: FeeHistory,
+  maxFeePerGas: BigNumber,
+  maxPriorityFeePerGas: BigNumber,
+  blockTime: number | null
+): ConfirmationEstimate | null => {
+  if (history.blocks.length === 0) return null;
+
+  const included = history.blocks.filter((block) => {
+    if (maxFeePerGas.lt(block.baseFeePerGas)) return false;
+    const tip = maxFeePerGas.sub(block.baseFeePerGas).lt(maxPriorityFeePerGas)
+      ? maxFeePerGas.sub(block.baseFeePerGas)
+      : maxPriorityFeePerGas;
+    return block.gasUsedRatio === 0 || tip.gte(block.rewards[0] || ZERO);
+  }).length;
+
+  // Fee is below everything seen recently, no honest estimate possible
+  if (included === 0) return null;
+
+  const probability = included / history.blocks.length;
+  const blocks = 1 / probability;
+  return { probability, blocks, seconds: blockTime === null ? null : blocks * blockTime };
+};
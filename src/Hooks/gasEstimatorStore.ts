@@ -0,0 +1,422 @@
+import { BigNumber } from 'ethers';
+import {
+  ConfirmationEstimate,
+  FeeHistory,
+  FeeHistoryBlock,
+  averageBlockTime,
+  compareBigNumbers,
+  estimateInclusion,
+  fetchFeeHistory,
+  isMethodUnsupported,
+  medianOf,
+  mergeFeeHistory,
+  scanFeeHistory,
+} from './feeHistory';
+import { ChainRegistry, defaultChains } from './chains';
+import { estimateArbitrumL1Gas, estimateOpStackL1Fee } from './l2Fees';
+import { subscribeToBlocks } from './blockListener';
+import { createState } from './store';
+import { FormattedCost, NativePrice, PriceSource, createChainlinkPriceSource, formatCost } from './priceFeeds';
+import { Web3Error, WalletNotConnectedError, normalizeError } from './errors';
+
+// Reward percentiles for the slow, standard and fast tiers
+const DEFAULT_REWARD_PERCENTILES: [number, number, number] = [10, 50, 90];
+
+// Interface for options to configure the gas estimator
+export interface GasEstimatorOptions {
+  provider: any; // Ethereum provider 
+  refreshInterval?: number; // Block polling interval in ms when the provider can't push new blocks (default 15000)
+  historicalBlocks?: number; // Number of historical blocks to analyze (default 20)
+  rewardPercentiles?: [number, number, number]; // Priority fee percentiles for slow/standard/fast (default [10, 50, 90])
+  priorityFeeBump?: number; // Priority fee in GWEI used when recent blocks carry no reward data (default 10 GWEI)
+  chains?: ChainRegistry; // Chain metadata used to pick the fee model (default built-in registry)
+  watch?: boolean; // Refresh on every new block; disable to only estimate on demand (default true)
+  currency?: string; // Fiat currency to also express costs in, e.g. 'USD' (default none)
+  priceSource?: PriceSource; // Where fiat prices come from; create it once (default the chains' Chainlink price feeds)
+  maxPriceAge?: number; // Seconds after which a price is stale and no fiat amounts are given (default 86400)
+  locale?: string; // Locale for formatted amounts (default the runtime's locale)
+  onError?: (error: Web3Error) => void; // Callback for error handling
+  onSuccess?: (estimation: GasEstimation) => void; // Callback for successful estimation
+}
+
+// Fees for a single speed tier; legacy chains set gasPrice, EIP-1559 chains the max fee fields
+export interface FeeTier {
+  gasPrice: BigNumber | null;
+  maxFeePerGas: BigNumber | null;
+  maxPriorityFeePerGas: BigNumber | null;
+  estimatedCost: BigNumber; // Execution plus L1 data fee
+  formattedCost: FormattedCost; // estimatedCost in the native currency and, when priced, in fiat
+  costBreakdown: {
+    execution: BigNumber;
+    l1DataFee: BigNumber; // Zero outside rollups
+    l1DataFeeKnown: boolean; // False when the rollup's L1 fee couldn't be read; l1DataFee is then zero
+  };
+}
+
+// Interface for gas estimation result
+export interface GasEstimation {
+  feeModel: 'eip1559' | 'legacy';
+  rollup: 'op-stack' | 'arbitrum' | null;
+  baseFee: BigNumber; // Base fee expected for the next block, zero on legacy chains
+  gasPrice: BigNumber | null; // Standard tier, legacy chains only
+  maxFeePerGas: BigNumber | null; // Standard tier, EIP-1559 chains only
+  maxPriorityFeePerGas: BigNumber | null; // Standard tier, EIP-1559 chains only
+  gasLimit: BigNumber;
+  gasLimitEstimated: boolean; // False when gasLimit is the 21000 transfer default, also when estimating the transaction failed
+  estimatedCost: BigNumber; // Standard tier
+  formattedCost: FormattedCost; // Standard tier
+  nativePrice: (NativePrice & { stale: boolean }) | null; // Price used for fiat amounts, when a currency is set
+  tiers: {
+    slow: FeeTier;
+    standard: FeeTier;
+    fast: FeeTier;
+  };
+  confidence: {
+    low: BigNumber;
+    medium: BigNumber;
+    high: BigNumber;
+  };
+  historicalTrends: {
+    average: BigNumber;
+    median: BigNumber;
+    percentile90: BigNumber;
+  };
+  averageBlockTime: number | null; // Observed seconds per block
+  timeEstimates: {
+    slow: ConfirmationEstimate | null;
+    standard: ConfirmationEstimate | null;
+    fast: ConfirmationEstimate | null;
+  };
+}
+
+// State published by the gas estimator store
+export interface GasEstimatorSnapshot {
+  loading: boolean;
+  error: Web3Error | null;
+  estimation: GasEstimation | null;
+  blockHistory: FeeHistoryBlock[];
+}
+
+// Options that can change without restarting the store
+type GasEstimatorCallbacks = Pick<GasEstimatorOptions, 'onError' | 'onSuccess'>;
+
+// Store that estimates gas fees, refreshing once per block while it has subscribers
+export const createGasEstimatorStore = ({
+  provider,
+  refreshInterval = 15000,
+  historicalBlocks = 20,
+  rewardPercentiles = DEFAULT_REWARD_PERCENTILES,
+  priorityFeeBump = 10,
+  chains = defaultChains,
+  watch = true,
+  currency,
+  priceSource = createChainlinkPriceSource(chains),
+  maxPriceAge = 86400,
+  locale,
+  onError,
+  onSuccess
+}: GasEstimatorOptions) => {
+  let callbacks: GasEstimatorCallbacks = { onError, onSuccess };
+
+  const state = createState<GasEstimatorSnapshot>({
+    loading: true,
+    error: null,
+    estimation: null,
+    blockHistory: [],
+  }, { onStart: () => start() });
+
+  // Fee window kept between refreshes so only new blocks are fetched
+  let feeHistory: FeeHistory | null = null;
+  let feeHistorySupported = true;
+
+  // Fetch fee data for a range, falling back to scanning blocks when eth_feeHistory is missing
+  const loadFeeHistory = async (blockCount: number, newestBlock: number) => {
+    if (feeHistorySupported) {
+      try {
+        return await fetchFeeHistory(provider, blockCount, newestBlock, rewardPercentiles);
+      } catch (err) {
+        if (!isMethodUnsupported(err)) throw err;
+        feeHistorySupported = false;
+      }
+    }
+    return scanFeeHistory(provider, blockCount, newestBlock, rewardPercentiles);
+  };
+
+  // Fiat price of the native currency, checked for staleness against the chain's clock.
+  // Without a price the estimation still succeeds, just without fiat amounts.
+  const loadNativePrice = async (chainId: number, blockTimestamp: number) => {
+    if (!currency) return null;
+    try {
+      const price = await priceSource.getNativePrice({ provider, chainId, currency });
+      return price && { ...price, stale: blockTimestamp - price.updatedAt > maxPriceAge };
+    } catch (err) {
+      console.error('Failed to load the native currency price', err);
+      return null;
+    }
+  };
+
+  // Estimate fees, for a given transaction or a plain transfer. Only the plain estimate is
+  // published as the store's estimation; per-transaction results just go to the caller.
+  // Only the shared estimate drives `loading`, and background refreshes keep showing the
+  // previous estimation instead of loading.
+  const runEstimation = async (transaction: any, background: boolean): Promise<GasEstimation | undefined> => {
+    const shared = !transaction;
+    if (!provider) {
+      const error = new WalletNotConnectedError({ message: 'Provider not available' });
+      if (shared) state.setState((prev) => ({ ...prev, error, loading: false }));
+      return;
+    }
+
+    try {
+      if (shared && (!background || !state.getSnapshot().estimation)) {
+        state.setState((prev) => ({ ...prev, loading: true }));
+      }
+
+      // Only fetch blocks mined since the last refresh
+      const latestBlock = await provider.getBlock('latest');
+      const latestBlockNumber = latestBlock.number;
+      let history = feeHistory;
+      const newestKnown = history?.blocks[history.blocks.length - 1]?.number;
+
+      // Drop the window if the chain head moved backwards (reorg or provider switch)
+      if (newestKnown !== undefined && newestKnown > latestBlockNumber) {
+        history = null;
+      }
+
+      const blockCount = history && newestKnown !== undefined
+        ? Math.min(latestBlockNumber - newestKnown, historicalBlocks)
+        : historicalBlocks;
+
+      if (!history || blockCount > 0) {
+        const fetched = await loadFeeHistory(blockCount, latestBlockNumber);
+        history = mergeFeeHistory(history, fetched, historicalBlocks);
+      }
+
+      // Record timestamps so block times can be measured; eth_feeHistory doesn't return them
+      let blocks = history.blocks.map((block) => (
+        block.number === latestBlockNumber && block.timestamp === undefined
+          ? { ...block, timestamp: latestBlock.timestamp }
+          : block
+      ));
+      if (blocks.length > 1 && blocks.filter((block) => block.timestamp !== undefined).length < 2) {
+        const oldestBlock = await provider.getBlock(blocks[0].number);
+        blocks = [{ ...blocks[0], timestamp: oldestBlock.timestamp }, ...blocks.slice(1)];
+      }
+      history = { ...history, blocks };
+      feeHistory = history;
+      state.setState((prev) => ({ ...prev, blockHistory: blocks }));
+
+      // Pick the fee model: chains without a base fee only understand gasPrice
+      const { chainId } = await provider.getNetwork();
+      const chain = chains[chainId];
+      const legacy = chain?.eip1559 === false || !latestBlock.baseFeePerGas;
+      const rollup = chain?.rollup || null;
+      const baseFee = legacy ? BigNumber.from(0) : history.nextBaseFee;
+
+      // Read the price while the fees are worked out
+      const nativePriceRequest = loadNativePrice(chainId, latestBlock.timestamp);
+
+      // Estimate gas limit, default to ETH transfer gas limit if unavailable
+      let gasLimit;
+      let gasLimitEstimated = false;
+      try {
+        gasLimit = transaction ? 
+          await provider.estimateGas(transaction) : 
+          BigNumber.from(21000); // Default for ETH transfer
+        gasLimitEstimated = !!transaction;
+      } catch (err) {
+        gasLimit = BigNumber.from(21000); // Fallback if estimation fails
+      }
+
+      // The L1 fee comes from rollup contracts; if they can't be read, the L2 tiers are still
+      // returned, with the L1 part flagged as unknown
+      let l1DataFeeKnown = true;
+      const readL1Fee = async (estimate: () => Promise<BigNumber>) => {
+        try {
+          return await estimate();
+        } catch (err) {
+          console.error('Failed to estimate the L1 data fee', err);
+          l1DataFeeKnown = false;
+          return BigNumber.from(0);
+        }
+      };
+
+      // Arbitrum bills L1 data as extra L2 gas, already included by its eth_estimateGas
+      let executionGas = gasLimit;
+      let arbitrumL1Gas = BigNumber.from(0);
+      if (rollup === 'arbitrum') {
+        arbitrumL1Gas = await readL1Fee(() => estimateArbitrumL1Gas(provider, transaction));
+        if (gasLimitEstimated) {
+          executionGas = gasLimit.gt(arbitrumL1Gas) ? gasLimit.sub(arbitrumL1Gas) : gasLimit;
+        } else {
+          gasLimit = gasLimit.add(arbitrumL1Gas);
+        }
+      }
+
+      // Per tier: median of each reward percentile over non-empty blocks. Legacy chains price
+      // the whole gas price, so add back whatever base fee the node reports.
+      const busyBlocks = history.blocks.filter((block) => block.gasUsedRatio > 0);
+      const fallbackPrice = legacy && busyBlocks.length === 0
+        ? await provider.getGasPrice()
+        : BigNumber.from(priorityFeeBump).mul(1e9); // Convert to GWEI
+      const tierPrices = [0, 1, 2].map((index) => {
+        const rewards = busyBlocks.map((block) => (
+          legacy ? block.rewards[index].add(block.baseFeePerGas) : block.rewards[index]
+        ));
+        return rewards.length > 0 ? medianOf(rewards) : fallbackPrice;
+      });
+
+      // OP Stack bills L1 data as a flat wei amount on top of execution
+      const opStackL1Fee = rollup === 'op-stack'
+        ? await readL1Fee(() => estimateOpStackL1Fee(provider, chainId, transaction, {
+          gasLimit,
+          maxPriorityFeePerGas: tierPrices[1],
+          maxFeePerGas: baseFee.mul(2).add(tierPrices[1]),
+        }))
+        : BigNumber.from(0);
+
+      const nativePrice = await nativePriceRequest;
+      const nativeCurrency = chain?.nativeCurrency || { symbol: 'ETH', decimals: 18 };
+      const usablePrice = nativePrice && !nativePrice.stale ? nativePrice : null;
+
+      const [slow, standard, fast]: FeeTier[] = tierPrices.map((price) => {
+        // Leave headroom for the base fee doubling before inclusion
+        const maxFeePerGas = legacy ? null : baseFee.mul(2).add(price);
+        const effectivePrice = maxFeePerGas || price;
+        const execution = executionGas.mul(effectivePrice);
+        const l1DataFee = rollup === 'arbitrum' ? arbitrumL1Gas.mul(effectivePrice) : opStackL1Fee;
+        const estimatedCost = execution.add(l1DataFee);
+        return {
+          gasPrice: legacy ? price : null,
+          maxFeePerGas,
+          maxPriorityFeePerGas: legacy ? null : price,
+          estimatedCost,
+          formattedCost: formatCost(estimatedCost, nativeCurrency, usablePrice, locale),
+          costBreakdown: { execution, l1DataFee, l1DataFeeKnown },
+        };
+      });
+
+      // Process historical base fees for trend analysis
+      const historicalBaseFees = history.blocks
+        .map(block => block.baseFeePerGas)
+        .filter(fee => fee && !fee.isZero());
+
+      // Use current base fee if historical data is insufficient
+      if (historicalBaseFees.length === 0) {
+        historicalBaseFees.push(baseFee);
+      }
+
+      // Sort historical fees for confidence and trend calculations
+      const sortedFees = [...historicalBaseFees].sort(compareBigNumbers);
+
+      // Calculate confidence levels (low, medium, high) based on sorted fees
+      const confidence = {
+        low: sortedFees[0] || baseFee,
+        medium: sortedFees[Math.floor(sortedFees.length / 2)] || baseFee,
+        high: sortedFees[sortedFees.length - 1] || baseFee
+      };
+
+      // Calculate historical trends (average, median, percentile90)
+      const average = historicalBaseFees.reduce((acc, fee) => acc.add(fee), BigNumber.from(0))
+        .div(BigNumber.from(historicalBaseFees.length)); // Average fee
+
+      const median = sortedFees[Math.floor(sortedFees.length / 2)] || baseFee;
+      const percentile90 = sortedFees[Math.floor(sortedFees.length * 0.9)] || baseFee;
+
+      // Expected confirmation time per tier from observed block times and tips
+      const blockTime = averageBlockTime(history.blocks);
+      const estimateTier = (tier: FeeTier) => estimateInclusion(
+        history,
+        tier.maxFeePerGas || tier.gasPrice,
+        tier.maxPriorityFeePerGas || tier.gasPrice,
+        blockTime
+      );
+      const timeEstimates = {
+        slow: estimateTier(slow),
+        standard: estimateTier(standard),
+        fast: estimateTier(fast),
+      };
+
+      // Construct the gas estimation result
+      const estimationResult: GasEstimation = {
+        feeModel: legacy ? 'legacy' : 'eip1559',
+        rollup,
+        baseFee,
+        gasPrice: standard.gasPrice,
+        maxFeePerGas: standard.maxFeePerGas,
+        maxPriorityFeePerGas: standard.maxPriorityFeePerGas,
+        gasLimit,
+        gasLimitEstimated,
+        estimatedCost: standard.estimatedCost,
+        formattedCost: standard.formattedCost,
+        nativePrice,
+        tiers: { slow, standard, fast },
+        confidence,
+        historicalTrends: {
+          average,
+          median,
+          percentile90
+        },
+        averageBlockTime: blockTime,
+        timeEstimates
+      };
+
+      if (shared) {
+        state.setState((prev) => ({ ...prev, estimation: estimationResult, error: null }));
+      }
+      callbacks.onSuccess?.(estimationResult); // Call success callback if provided
+      return estimationResult;
+      
+    } catch (err) {
+      const error = normalizeError(err, 'Failed to estimate gas');
+      if (shared) {
+        state.setState((prev) => ({ ...prev, error }));
+      }
+      callbacks.onError?.(error); // Call error callback if provided
+    } finally {
+      if (shared) state.setState((prev) => (prev.loading ? { ...prev, loading: false } : prev));
+    }
+  };
+
+  // Function to estimate gas fees for a given transaction; resolves undefined if estimation fails
+  const estimateGas = (transaction?: any) => runEstimation(transaction, false);
+
+  // Estimate how long a transaction paying arbitrary fees would likely take, from the current window.
+  // On legacy chains pass the gas price for both arguments.
+  const estimateConfirmationTime = (maxFeePerGas: BigNumber, maxPriorityFeePerGas: BigNumber) => {
+    if (!feeHistory) return null;
+    return estimateInclusion(feeHistory, BigNumber.from(maxFeePerGas), BigNumber.from(maxPriorityFeePerGas), averageBlockTime(feeHistory.blocks));
+  };
+
+  // Refresh the estimation once per new block
+  let refreshing = false;
+  const refreshOnBlock = async () => {
+    // Skip heads that arrive while the previous refresh is still running
+    if (refreshing) return;
+    refreshing = true;
+    try {
+      await runEstimation(undefined, true);
+    } finally {
+      refreshing = false;
+    }
+  };
+
+  const start = () => {
+    if (!watch || !provider) return;
+    return subscribeToBlocks(provider, refreshOnBlock, refreshInterval);
+  };
+
+  const setOptions = (options: GasEstimatorCallbacks) => {
+    callbacks = options;
+  };
+
+  return {
+    getSnapshot: state.getSnapshot,
+    subscribe: state.subscribe,
+    estimateGas,
+    estimateConfirmationTime,
+    setOptions,
+  };
+};
+
+export type GasEstimatorStore = ReturnType<typeof createGasEstimatorStore>;
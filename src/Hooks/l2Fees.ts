@@ -0,0 +1,55 @@
+import { BigNumber, constants, utils } from 'ethers';
+
+// OP Stack predeploy that prices the L1 data portion of a transaction
+export const OP_GAS_PRICE_ORACLE = '0x420000000000000000000000000000000000000F';
+
+// Arbitrum virtual contract, only reachable through eth_call
+export const ARBITRUM_NODE_INTERFACE = '0x00000000000000000000000000000000000000C8';
+
+const gasPriceOracle = new utils.Interface([
+  'function getL1Fee(bytes _data) view returns (uint256)',
+]);
+
+const nodeInterface = new utils.Interface([
+  'function gasEstimateL1Component(address to, bool contractCreation, bytes data) payable returns (uint64 gasEstimateForL1, uint256 baseFee, uint256 l1BaseFeeEstimate)',
+]);
+
+// L1 data fee in wei on OP Stack chains (OP Mainnet, Base, ...)
+export const estimateOpStackL1Fee = async (
+  provider: any,
+  chainId: number,
+  transaction: any,
+  fees: { maxFeePerGas: BigNumber; maxPriorityFeePerGas: BigNumber; gasLimit: BigNumber }
+): Promise<BigNumber> => {
+  // The oracle takes the unsigned RLP-encoded transaction
+  const serialized = utils.serializeTransaction({
+    type: 2,
+    chainId,
+    nonce: transaction?.nonce ?? 0,
+    to: transaction?.to,
+    value: transaction?.value ?? 0,
+    data: transaction?.data ?? '0x',
+    gasLimit: fees.gasLimit,
+    maxFeePerGas: fees.maxFeePerGas,
+    maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+  });
+
+  const result = await provider.call({
+    to: OP_GAS_PRICE_ORACLE,
+    data: gasPriceOracle.encodeFunctionData('getL1Fee', [serialized]),
+  });
+  return gasPriceOracle.decodeFunctionResult('getL1Fee', result)[0];
+};
+
+// L2 gas units Arbitrum charges for posting the transaction to L1
+export const estimateArbitrumL1Gas = async (provider: any, transaction: any): Promise<BigNumber> => {
+  const result = await provider.call({
+    to: ARBITRUM_NODE_INTERFACE,
+    data: nodeInterface.encodeFunctionData('gasEstimateL1Component', [
+      transaction?.to || constants.AddressZero,
+      !!transaction && !transaction.to, // Without a transaction, price a plain transfer
+      transaction?.data || '0x',
+    ]),
+  });
+  return BigNumber.from(nodeInterface.decodeFunctionResult('gasEstimateL1Component', result).gasEstimateForL1);
+};
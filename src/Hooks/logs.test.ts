@@ -0,0 +1,51 @@
+import { describe, expect, it, vi } from 'vitest';
+import { providers } from 'ethers';
+import { fetchLogsInRange, isLogRangeError } from './logs';
+import { rpcError } from './testing/mockChain';
+
+const filter = { address: '0x00000000000000000000000000000000000000cc', topics: [] };
+
+// Provider whose getLogs refuses ranges wider than maxRange, and returns one log per block otherwise
+const rangeLimitedProvider = (maxRange: number) => ({
+  getLogs: vi.fn(async ({ fromBlock, toBlock }: { fromBlock: number; toBlock: number }) => {
+    if (toBlock - fromBlock + 1 > maxRange) throw rpcError(-32602, 'query returned more than 10000 results');
+    return Array.from({ length: toBlock - fromBlock + 1 }, (_, i) => ({ blockNumber: fromBlock + i }));
+  }),
+});
+
+describe('isLogRangeError', () => {
+  it('recognizes the range errors of common nodes', () => {
+    expect(isLogRangeError(rpcError(-32005, 'limit exceeded'))).toBe(true);
+    expect(isLogRangeError({ error: { code: -32000, message: 'block range is too wide' } })).toBe(true);
+    expect(isLogRangeError(new Error('Log response size exceeded. You can make eth_getLogs requests with up to a 2K block range'))).toBe(true);
+    expect(isLogRangeError(rpcError(-32603, 'Internal error'))).toBe(false);
+  });
+});
+
+describe('fetchLogsInRange', () => {
+  it('halves the page size until the node accepts it and reports pages in order', async () => {
+    const provider = rangeLimitedProvider(3);
+    const pages: Array<[number, number, number]> = [];
+    const completed = await fetchLogsInRange(provider as unknown as providers.Provider, filter, 10, 19,
+      (logs, from, to) => pages.push([from, to, logs.length]), { blockRange: 8 });
+
+    expect(completed).toBe(true);
+    expect(pages).toEqual([[10, 11, 2], [12, 13, 2], [14, 15, 2], [16, 17, 2], [18, 19, 2]]);
+    // 8 and 4 blocks were refused once each
+    expect(provider.getLogs).toHaveBeenCalledTimes(7);
+  });
+
+  it('rethrows other errors and stops when cancelled', async () => {
+    const failing = { getLogs: vi.fn().mockRejectedValue(rpcError(-32603, 'Internal error')) };
+    await expect(fetchLogsInRange(failing as unknown as providers.Provider, filter, 0, 100, () => undefined))
+      .rejects.toMatchObject({ code: -32603 });
+    expect(failing.getLogs).toHaveBeenCalledTimes(1);
+
+    const provider = rangeLimitedProvider(10);
+    let pages = 0;
+    const completed = await fetchLogsInRange(provider as unknown as providers.Provider, filter, 0, 99,
+      () => pages++, { blockRange: 10, isCancelled: () => pages === 2 });
+    expect(completed).toBe(false);
+    expect(pages).toBe(2);
+  });
+});
@@ -0,0 +1,41 @@
+import { providers } from 'ethers';
+
+// Block span per eth_getLogs request; most public RPCs cap ranges somewhere between 1k and 10k blocks
+export const DEFAULT_LOG_BLOCK_RANGE = 2000;
+
+// Whether an eth_getLogs error means the range or result set was too large, rather than a real failure
+export const isLogRangeError = (error: any) => {
+  const message = `${error?.error?.message || ''} ${error?.message || ''} ${error?.body || ''}`;
+  return /block range|range (is )?too (large|wide)|too many (results|logs|blocks)|query returned more than|limit exceeded|exceed.*(range|limit|results)|response size|-32005/i.test(message)
+    || error?.error?.code === -32005
+    || error?.code === -32005;
+};
+
+// Fetch logs for a block range in pages, halving the page size whenever the node rejects it
+// as too large. Pages are reported in order as they arrive; returns false if cancelled midway.
+export const fetchLogsInRange = async (
+  provider: providers.Provider,
+  filter: { address: string; topics: Array<string | string[] | null> },
+  fromBlock: number,
+  toBlock: number,
+  onPage: (logs: providers.Log[], from: number, to: number) => void,
+  { blockRange = DEFAULT_LOG_BLOCK_RANGE, isCancelled = () => false }: { blockRange?: number; isCancelled?: () => boolean } = {}
+) => {
+  let range = blockRange;
+  let from = fromBlock;
+
+  while (from <= toBlock) {
+    if (isCancelled()) return false;
+    const to = Math.min(from + range - 1, toBlock);
+    try {
+      const logs = await provider.getLogs({ ...filter, fromBlock: from, toBlock: to });
+      if (isCancelled()) return false;
+      onPage(logs, from, to);
+      from = to + 1;
+    } catch (error) {
+      if (!isLogRangeError(error) || range === 1) throw error;
+      range = Math.max(1, Math.floor(range / 2));
+    }
+  }
+  return true;
+};
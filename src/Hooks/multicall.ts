@@ -0,0 +1,109 @@
+import { providers, utils } from 'ethers';
+import { extractRevertData, isRevertError } from './revertReason';
+
+// Multicall3 is deployed at the same address on almost every EVM chain
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const multicallInterface = new utils.Interface([
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+]);
+
+// Calls per aggregate3, to stay below node eth_call gas and response size limits
+const MAX_BATCH_SIZE = 100;
+
+// Outcome of one call; failed calls carry the revert data in returnData
+export interface CallResult {
+  success: boolean;
+  returnData: string;
+}
+
+interface PendingCall {
+  target: string;
+  callData: string;
+  resolve: (result: CallResult) => void;
+  reject: (error: any) => void;
+}
+
+// Calls queued in the current tick, per provider
+const queues = new WeakMap<providers.Provider, PendingCall[]>();
+
+// Chains where Multicall3 turned out not to be deployed, per provider
+const unsupportedChains = new WeakMap<providers.Provider, Set<number>>();
+
+// Run a call on its own, turning reverts into failed results. JSON-RPC providers go through
+// send(): their call() hands revert data back as if it were a result.
+const callDirectly = async (provider: providers.Provider, call: PendingCall) => {
+  try {
+    const request = { to: call.target, data: call.callData };
+    const returnData = provider instanceof providers.JsonRpcProvider
+      ? await provider.send('eth_call', [request, 'latest'])
+      : await provider.call(request);
+    call.resolve({ success: true, returnData });
+  } catch (error: any) {
+    if (isRevertError(error)) {
+      call.resolve({ success: false, returnData: extractRevertData(error) || '0x' });
+    } else {
+      call.reject(error);
+    }
+  }
+};
+
+// Send one chunk of calls as a single aggregate3 eth_call
+const callAggregated = async (provider: providers.Provider, chainId: number, calls: PendingCall[]) => {
+  const data = multicallInterface.encodeFunctionData('aggregate3', [
+    calls.map(({ target, callData }) => ({ target, allowFailure: true, callData })),
+  ]);
+
+  let result: string;
+  try {
+    result = await provider.call({ to: MULTICALL3_ADDRESS, data });
+  } catch (error) {
+    calls.forEach((call) => call.reject(error));
+    return;
+  }
+
+  // No code at the Multicall3 address: remember it and fall back to separate calls
+  if (result === '0x') {
+    if (!unsupportedChains.has(provider)) unsupportedChains.set(provider, new Set());
+    unsupportedChains.get(provider)!.add(chainId);
+    await Promise.all(calls.map((call) => callDirectly(provider, call)));
+    return;
+  }
+
+  const [results] = multicallInterface.decodeFunctionResult('aggregate3', result);
+  calls.forEach((call, i) => call.resolve({ success: results[i].success, returnData: results[i].returnData }));
+};
+
+const flush = async (provider: providers.Provider) => {
+  const calls = queues.get(provider) || [];
+  queues.delete(provider);
+
+  try {
+    const { chainId } = await provider.getNetwork();
+    if (calls.length === 1 || unsupportedChains.get(provider)?.has(chainId)) {
+      await Promise.all(calls.map((call) => callDirectly(provider, call)));
+      return;
+    }
+
+    const chunks = [];
+    for (let i = 0; i < calls.length; i += MAX_BATCH_SIZE) {
+      chunks.push(calls.slice(i, i + MAX_BATCH_SIZE));
+    }
+    await Promise.all(chunks.map((chunk) => callAggregated(provider, chainId, chunk)));
+  } catch (error) {
+    calls.forEach((call) => call.reject(error));
+  }
+};
+
+// Queue a read-only call; calls made in the same tick on the same provider are sent together
+// through Multicall3. Reverts resolve with success false, transport errors reject.
+export const batchCall = (provider: providers.Provider, target: string, callData: string) =>
+  new Promise<CallResult>((resolve, reject) => {
+    let queue = queues.get(provider);
+    if (!queue) {
+      queue = [];
+      queues.set(provider, queue);
+      setTimeout(() => flush(provider), 0);
+    }
+    queue.push({ target, callData, resolve, reject });
+  });
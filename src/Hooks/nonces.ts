@@ -0,0 +1,30 @@
+import { providers } from 'ethers';
+
+// Next nonce to hand out per chain and account, shared by every hook in the page
+const nextNonces = new Map<string, number>();
+
+// Last reservation per chain and account; the next one waits for it so nonces are handed out one at a time
+const reservations = new Map<string, Promise<number>>();
+
+const nonceKey = (chainId: number, address: string) => `${chainId}:${address.toLowerCase()}`;
+
+// Take the next nonce for an account. The first reservation reads the node's pending count and
+// later ones count up locally, so transactions sent in quick succession don't reuse a nonce.
+export const reserveNonce = (provider: providers.Provider, chainId: number, address: string): Promise<number> => {
+  const key = nonceKey(chainId, address);
+  const previous = reservations.get(key) || Promise.resolve(0);
+
+  const reservation = previous.catch(() => 0).then(async () => {
+    const nonce = nextNonces.get(key) ?? await provider.getTransactionCount(address, 'pending');
+    nextNonces.set(key, nonce + 1);
+    return nonce;
+  });
+  reservations.set(key, reservation);
+  return reservation;
+};
+
+// Forget the local count so the next reservation reads the node's pending count again, e.g.
+// after a send failed or the account sent a transaction from outside the app
+export const resyncNonce = (chainId: number, address: string) => {
+  nextNonces.delete(nonceKey(chainId, address));
+};
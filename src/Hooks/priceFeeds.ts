@@ -0,0 +1,79 @@
+import { BigNumber, providers, utils } from 'ethers';
+import { ChainConfig, ChainRegistry, defaultChains } from './chains';
+import { batchCall } from './multicall';
+
+// Price of one whole unit of a chain's native currency
+export interface NativePrice {
+  currency: string; // ISO 4217 code, e.g. 'USD'
+  price: BigNumber; // Scaled by 10^decimals
+  decimals: number;
+  updatedAt: number; // Unix time in seconds of the last price update
+}
+
+// Where fiat prices come from. Implement it to use your own price API, or a fixed price in tests.
+export interface PriceSource {
+  // Resolves null when there is no price for the chain and currency
+  getNativePrice: (request: { provider: providers.Provider; chainId: number; currency: string }) => Promise<NativePrice | null>;
+}
+
+// A cost ready for display
+export interface FormattedCost {
+  native: string; // e.g. '0.00042 ETH'
+  fiat: string | null; // e.g. '$1.05'; null without a currency or a fresh price
+  fiatValue: number | null; // The fiat amount as a number, e.g. to add up costs
+}
+
+const aggregatorInterface = new utils.Interface([
+  'function decimals() view returns (uint8)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+]);
+
+// Read prices from the Chainlink-style aggregators in the registry's priceFeeds, through the
+// provider passed with each request
+export const createChainlinkPriceSource = (chains: ChainRegistry = defaultChains): PriceSource => ({
+  getNativePrice: async ({ provider, chainId, currency }) => {
+    const feed = chains[chainId]?.priceFeeds?.[currency.toUpperCase()];
+    if (!feed) return null;
+
+    const [decimals, round] = await Promise.all(['decimals', 'latestRoundData'].map((method) =>
+      batchCall(provider, feed, aggregatorInterface.encodeFunctionData(method))
+    ));
+    if (!decimals.success || !round.success) {
+      throw new Error(`Failed to read the ${currency} price feed ${feed} on chain ${chainId}`);
+    }
+
+    const { answer, updatedAt } = aggregatorInterface.decodeFunctionResult('latestRoundData', round.returnData);
+    // A feed that was never updated or reports a non-positive price has no usable answer
+    if ((answer as BigNumber).lte(0) || (updatedAt as BigNumber).isZero()) return null;
+
+    return {
+      currency: currency.toUpperCase(),
+      price: answer,
+      decimals: aggregatorInterface.decodeFunctionResult('decimals', decimals.returnData)[0],
+      updatedAt: (updatedAt as BigNumber).toNumber(),
+    };
+  },
+});
+
+// Format an amount in the smallest native unit, converting it with the price when one is given
+export const formatCost = (
+  amount: BigNumber,
+  nativeCurrency: Pick<ChainConfig['nativeCurrency'], 'symbol' | 'decimals'>,
+  price: NativePrice | null,
+  locale?: string
+): FormattedCost => {
+  const nativeValue = Number(utils.formatUnits(amount, nativeCurrency.decimals));
+  const native = `${new Intl.NumberFormat(locale, { maximumSignificantDigits: 4 }).format(nativeValue)} ${nativeCurrency.symbol}`;
+  if (!price) return { native, fiat: null, fiatValue: null };
+
+  const fiatAmount = amount.mul(price.price).div(BigNumber.from(10).pow(nativeCurrency.decimals));
+  const fiatValue = Number(utils.formatUnits(fiatAmount, price.decimals));
+  // Rollup fees are often a fraction of a cent, which would otherwise round to zero
+  const fiat = new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency: price.currency,
+    ...(fiatValue > 0 && fiatValue < 0.01 ? { maximumSignificantDigits: 2 } : {}),
+  }).format(fiatValue);
+
+  return { native, fiat, fiatValue };
+};
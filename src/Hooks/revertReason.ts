@@ -0,0 +1,144 @@
+import { BigNumber, ContractInterface, providers, utils } from 'ethers';
+
+// Structured explanation of why a transaction reverted
+export interface FailureReason {
+  selector: string | null; // First 4 bytes of the revert data
+  name: string | null; // Error, Panic, or the custom error's name
+  args: any[] | null;
+  message: string; // Human readable summary
+  data: string | null; // Raw revert data
+}
+
+const ERROR_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+// Solidity panic codes
+const PANIC_REASONS: Record<number, string> = {
+  0x00: 'Generic compiler panic',
+  0x01: 'Assertion failed',
+  0x11: 'Arithmetic overflow or underflow',
+  0x12: 'Division or modulo by zero',
+  0x21: 'Invalid enum value',
+  0x22: 'Invalid storage byte array encoding',
+  0x31: 'Pop on an empty array',
+  0x32: 'Array index out of bounds',
+  0x41: 'Out of memory',
+  0x51: 'Call to an uninitialized function',
+};
+
+// Dig the revert data out of the differently nested error shapes nodes and wallets return
+export const extractRevertData = (error: any, depth = 0): string | null => {
+  if (!error || depth > 5) return null;
+
+  if (typeof error === 'string') {
+    return /^0x([0-9a-f]{2})*$/i.test(error) ? error : null;
+  }
+  if (typeof error !== 'object') return null;
+
+  for (const key of ['data', 'error', 'originalError', 'cause']) {
+    const found = extractRevertData(error[key], depth + 1);
+    if (found) return found;
+  }
+
+  // Some nodes only put the data in a serialized body
+  if (typeof error.body === 'string') {
+    try {
+      return extractRevertData(JSON.parse(error.body), depth + 1);
+    } catch {
+      return null;
+    }
+  }
+  return null;
+};
+
+// Whether an eth_call error means the call reverted, rather than the node failing to answer it
+export const isRevertError = (error: any) => {
+  if (extractRevertData(error) || error?.code === 'CALL_EXCEPTION') return true;
+  return /revert/i.test(error?.error?.message || error?.message || '');
+};
+
+// Decode revert data into Error(string), Panic(uint256) or a custom error from the given ABI
+export const decodeRevertData = (data: string | null, abi?: ContractInterface): FailureReason => {
+  if (!data || data === '0x') {
+    return { selector: null, name: null, args: null, message: 'Transaction reverted without a reason', data };
+  }
+
+  const selector = data.slice(0, 10).toLowerCase();
+  try {
+    if (selector === ERROR_SELECTOR) {
+      const [reason] = utils.defaultAbiCoder.decode(['string'], utils.hexDataSlice(data, 4));
+      return { selector, name: 'Error', args: [reason], message: reason, data };
+    }
+
+    if (selector === PANIC_SELECTOR) {
+      const [code] = utils.defaultAbiCoder.decode(['uint256'], utils.hexDataSlice(data, 4));
+      const description = PANIC_REASONS[(code as BigNumber).toNumber()] || 'Unknown panic';
+      return { selector, name: 'Panic', args: [code], message: `${description} (panic code ${code.toHexString()})`, data };
+    }
+
+    if (abi) {
+      const iface = abi instanceof utils.Interface ? abi : new utils.Interface(abi as any);
+      const parsed = iface.parseError(data);
+      const args = Array.from(parsed.args);
+      return {
+        selector,
+        name: parsed.name,
+        args,
+        message: `${parsed.name}(${args.map((arg) => arg.toString()).join(', ')})`,
+        data,
+      };
+    }
+  } catch (error) {
+    // Malformed data or an error the ABI doesn't know; fall through to the raw selector
+  }
+
+  return { selector, name: null, args: null, message: `Reverted with custom error ${selector}`, data };
+};
+
+// Run a transaction with eth_call and decode why it would revert.
+// Returns null if the call succeeds; other failures, e.g. a timeout, are rethrown.
+export const simulateTransaction = async (
+  provider: providers.JsonRpcProvider,
+  tx: providers.TransactionRequest,
+  abi?: ContractInterface,
+  blockTag: providers.BlockTag = 'latest'
+): Promise<FailureReason | null> => {
+  const call = providers.JsonRpcProvider.hexlifyTransaction({
+    from: tx.from,
+    to: tx.to,
+    data: tx.data,
+    value: tx.value,
+    gasLimit: tx.gasLimit,
+  }, { from: true });
+
+  try {
+    // Use send() directly: provider.call() hands revert data back as if it were a result
+    await provider.send('eth_call', [call, typeof blockTag === 'number' ? utils.hexValue(blockTag) : blockTag]);
+    return null;
+  } catch (error: any) {
+    if (!isRevertError(error)) throw error;
+    const data = extractRevertData(error);
+    if (data) return decodeRevertData(data, abi);
+    return {
+      ...decodeRevertData(null),
+      message: error?.error?.message || error?.message || 'Transaction reverted without a reason',
+    };
+  }
+};
+
+// Re-run a mined transaction at its block to recover why it reverted.
+// Returns null if the call now succeeds, i.e. the failure can't be reproduced.
+export const replayFailedTransaction = async (
+  provider: providers.JsonRpcProvider,
+  tx: providers.TransactionResponse,
+  receipt: providers.TransactionReceipt,
+  abi?: ContractInterface
+): Promise<FailureReason | null> => {
+  const failure = await simulateTransaction(provider, tx, abi, receipt.blockNumber);
+
+  // Without revert data, a receipt that used its whole gas limit ran out of gas
+  if (failure && !failure.data && receipt.gasUsed.eq(tx.gasLimit)) {
+    return { ...failure, message: 'Transaction ran out of gas' };
+  }
+  return failure;
+};
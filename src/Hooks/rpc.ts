@@ -0,0 +1,49 @@
+import { providers } from 'ethers';
+
+// Transport failures worth retrying on another endpoint. JSON-RPC errors returned by a
+// healthy node (reverts, bad params) surface as SERVER_ERROR with a nested `error` and
+// would fail the same way everywhere, so they are passed straight through.
+const isTransportError = (error: any) =>
+  error?.code === 'TIMEOUT' ||
+  error?.code === 'NETWORK_ERROR' ||
+  (error?.code === 'SERVER_ERROR' && !error.error);
+
+// Read-only JSON-RPC provider that fails over across several RPC URLs for one chain
+export class FallbackJsonRpcProvider extends providers.StaticJsonRpcProvider {
+  readonly urls: string[];
+  private readonly endpoints: providers.StaticJsonRpcProvider[];
+  private activeIndex = 0;
+
+  constructor(urls: string[], chainId: number) {
+    if (urls.length === 0) {
+      throw new Error(`No RPC URLs configured for chain ${chainId}`);
+    }
+    super(urls[0], chainId);
+    this.urls = urls;
+    this.endpoints = urls.map((url) => new providers.StaticJsonRpcProvider(url, chainId));
+  }
+
+  // Every read goes through send(), so failing over here covers the whole provider API
+  async send(method: string, params: Array<any>): Promise<any> {
+    let lastError: any;
+
+    for (let attempt = 0; attempt < this.endpoints.length; attempt++) {
+      const index = (this.activeIndex + attempt) % this.endpoints.length;
+      try {
+        const result = await this.endpoints[index].send(method, params);
+        // Stick with the endpoint that answered
+        this.activeIndex = index;
+        return result;
+      } catch (error) {
+        if (!isTransportError(error)) throw error;
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+}
+
+// Create a read-only provider for a chain, or null when it has no RPC URLs
+export const createReadProvider = (chainId: number, urls: string[] | undefined) =>
+  urls && urls.length > 0 ? new FallbackJsonRpcProvider(urls, chainId) : null;
@@ -0,0 +1,27 @@
+import { PersistOptions, readStored, writeStored, removeStored } from './storage';
+
+// Last wallet session, remembered so the hook can reconnect after a reload
+export interface WalletSession {
+  connectorId: string;
+  chainId: number | null;
+  address?: string | null; // Lets server rendering show the account before the wallet reconnects
+}
+
+// Storage configuration for session persistence
+export type SessionPersistOptions = PersistOptions;
+
+export const DEFAULT_SESSION_KEY = 'web3-react-hooks.session';
+
+// Read the stored session, ignoring malformed entries
+export const loadSession = (options: SessionPersistOptions): WalletSession | null => {
+  const session = readStored<WalletSession>(options, DEFAULT_SESSION_KEY);
+  return session && typeof session.connectorId === 'string' ? session : null;
+};
+
+// Store the current session
+export const saveSession = (options: SessionPersistOptions, session: WalletSession) =>
+  writeStored(options, DEFAULT_SESSION_KEY, session);
+
+// Forget the session, e.g. after an explicit disconnect
+export const clearSession = (options: SessionPersistOptions) =>
+  removeStored(options, DEFAULT_SESSION_KEY);
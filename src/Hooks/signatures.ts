@@ -0,0 +1,56 @@
+import { BytesLike, TypedDataDomain, TypedDataField, providers, utils } from 'ethers';
+
+// Return value of isValidSignature for a valid signature (EIP-1271)
+export const EIP1271_MAGIC_VALUE = '0x1626ba7e';
+
+const eip1271Interface = new utils.Interface([
+  'function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)',
+]);
+
+// Check a signature over a digest: ECDSA recovery for regular accounts, then isValidSignature
+// for contract wallets. Contract wallets can only be checked with a provider on their chain.
+export const verifyHashSignature = async (
+  address: string,
+  hash: BytesLike,
+  signature: BytesLike,
+  provider?: providers.Provider | null
+) => {
+  try {
+    if (utils.recoverAddress(hash, signature).toLowerCase() === address.toLowerCase()) return true;
+  } catch (error) {
+    // Not a 65-byte ECDSA signature, may still be a contract wallet signature
+  }
+
+  if (!provider) return false;
+  const code = await provider.getCode(address);
+  if (code === '0x') return false;
+
+  try {
+    const result = await provider.call({
+      to: address,
+      data: eip1271Interface.encodeFunctionData('isValidSignature', [hash, signature]),
+    });
+    return utils.hexDataSlice(result, 0, 4).toLowerCase() === EIP1271_MAGIC_VALUE;
+  } catch (error) {
+    // Reverting is how many wallets reject a signature
+    return false;
+  }
+};
+
+// Check a personal_sign (EIP-191) signature
+export const verifyMessageSignature = (
+  address: string,
+  message: string | utils.Bytes,
+  signature: BytesLike,
+  provider?: providers.Provider | null
+) => verifyHashSignature(address, utils.hashMessage(message), signature, provider);
+
+// Check an eth_signTypedData_v4 (EIP-712) signature
+export const verifyTypedDataSignature = (
+  address: string,
+  domain: TypedDataDomain,
+  types: Record<string, TypedDataField[]>,
+  value: Record<string, any>,
+  signature: BytesLike,
+  provider?: providers.Provider | null
+) => verifyHashSignature(address, utils._TypedDataEncoder.hash(domain, types, value), signature, provider);
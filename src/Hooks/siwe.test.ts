@@ -0,0 +1,132 @@
+import { describe, expect, it } from 'vitest';
+import { Wallet, utils } from 'ethers';
+import { SiweMessageFields, createSiweMessage, generateNonce, parseSiweMessage, verifySiweMessage } from './siwe';
+import { EIP1271_MAGIC_VALUE } from './signatures';
+import { setupTestChain } from './testing/testChain';
+
+// The example message from EIP-4361
+const EXAMPLE = [
+  'service.invalid wants you to sign in with your Ethereum account:',
+  '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+  '',
+  'I accept the ServiceOrg Terms of Service: https://service.invalid/tos',
+  '',
+  'URI: https://service.invalid/login',
+  'Version: 1',
+  'Chain ID: 1',
+  'Nonce: 32891756',
+  'Issued At: 2021-09-30T16:25:24Z',
+  'Resources:',
+  '- ipfs://bafybeiemxf5abjwjbikoz4mc3a3dla6ual3jsgpdr4cjr3oz3evfyavhwq/',
+  '- https://example.com/my-web2-claim.json',
+].join('\n');
+
+const signer = new Wallet('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
+
+const fieldsFor = (address: string, overrides: Partial<SiweMessageFields> = {}): SiweMessageFields => ({
+  domain: 'example.com',
+  address,
+  uri: 'https://example.com/login',
+  version: '1',
+  chainId: 1,
+  nonce: 'abcdef123456',
+  issuedAt: '2026-01-01T00:00:00.000Z',
+  ...overrides,
+});
+
+const signed = async (overrides: Partial<SiweMessageFields> = {}) => {
+  const message = createSiweMessage(fieldsFor(signer.address, overrides));
+  return { message, signature: await signer.signMessage(message) };
+};
+
+describe('SIWE messages', () => {
+  it('parses and recreates the EIP-4361 example', () => {
+    const fields = parseSiweMessage(EXAMPLE);
+    expect(fields).toEqual({
+      domain: 'service.invalid',
+      address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+      statement: 'I accept the ServiceOrg Terms of Service: https://service.invalid/tos',
+      uri: 'https://service.invalid/login',
+      version: '1',
+      chainId: 1,
+      nonce: '32891756',
+      issuedAt: '2021-09-30T16:25:24Z',
+      resources: [
+        'ipfs://bafybeiemxf5abjwjbikoz4mc3a3dla6ual3jsgpdr4cjr3oz3evfyavhwq/',
+        'https://example.com/my-web2-claim.json',
+      ],
+    });
+    expect(createSiweMessage(fields)).toBe(EXAMPLE);
+  });
+
+  it('round-trips messages without a statement and with every optional field', () => {
+    const fields = fieldsFor(signer.address, {
+      expirationTime: '2026-01-02T00:00:00.000Z',
+      notBefore: '2026-01-01T00:00:00.000Z',
+      requestId: 'request-1',
+    });
+    const message = createSiweMessage(fields);
+
+    expect(message.split('\n').slice(2, 5)).toEqual(['', '', 'URI: https://example.com/login']);
+    expect(parseSiweMessage(message)).toEqual(fields);
+  });
+
+  it('rejects malformed messages', () => {
+    expect(() => parseSiweMessage('Sign this')).toThrow(/Not a Sign-In with Ethereum message/);
+    expect(() => parseSiweMessage(EXAMPLE.replace('0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2')))
+      .toThrow(/checksummed/);
+    expect(() => parseSiweMessage(EXAMPLE.replace('Nonce: 32891756', 'Nonce: 1234'))).toThrow(/nonce/);
+    expect(() => createSiweMessage(fieldsFor(signer.address, { statement: 'two\nlines' }))).toThrow(/single line/);
+    expect(generateNonce()).toMatch(/^[a-f0-9]{32}$/);
+  });
+});
+
+describe('verifySiweMessage', () => {
+  it('checks the signature, domain and nonce', async () => {
+    const { message, signature } = await signed();
+
+    await expect(verifySiweMessage({ message, signature, domain: 'example.com', nonce: 'abcdef123456' }))
+      .resolves.toMatchObject({ address: signer.address });
+    await expect(verifySiweMessage({ message, signature, domain: 'evil.com' })).rejects.toThrow(/domain mismatch/);
+    await expect(verifySiweMessage({ message, signature, nonce: 'otherNonce1' })).rejects.toThrow(/nonce mismatch/);
+
+    const other = await signed({ nonce: 'otherNonce1' });
+    await expect(verifySiweMessage({ message, signature: other.signature })).rejects.toThrow(/does not match/);
+  });
+
+  it('checks the validity window', async () => {
+    const { message, signature } = await signed({
+      notBefore: '2026-01-01T00:00:00.000Z',
+      expirationTime: '2026-01-02T00:00:00.000Z',
+    });
+
+    await expect(verifySiweMessage({ message, signature, time: new Date('2026-01-01T12:00:00Z') })).resolves.toBeDefined();
+    await expect(verifySiweMessage({ message, signature, time: new Date('2025-12-31T23:59:59Z') })).rejects.toThrow(/not valid yet/);
+    await expect(verifySiweMessage({ message, signature, time: new Date('2026-01-02T00:00:00Z') })).rejects.toThrow(/expired/);
+  });
+
+  it('accepts contract wallet signatures through EIP-1271', async () => {
+    const { chain, provider, wallet } = setupTestChain();
+    const contractWallet = utils.getAddress('0x0000000000000000000000000000000000000c01');
+    const owner = wallet.wallets[1];
+    const eip1271 = new utils.Interface(['function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)']);
+    // A wallet contract that accepts signatures of its owner
+    chain.setCallHandler(contractWallet, ({ data }) => {
+      const [hash, signature] = eip1271.decodeFunctionData('isValidSignature', data);
+      const valid = utils.recoverAddress(hash, signature) === owner.address;
+      return eip1271.encodeFunctionResult('isValidSignature', [valid ? EIP1271_MAGIC_VALUE : '0xffffffff']);
+    });
+
+    const message = createSiweMessage(fieldsFor(contractWallet));
+    const ownerSignature = await owner.signMessage(message);
+    const strangerSignature = await signer.signMessage(message);
+
+    await expect(verifySiweMessage({ message, signature: ownerSignature, provider })).resolves.toMatchObject({ address: contractWallet });
+    await expect(verifySiweMessage({ message, signature: strangerSignature, provider })).rejects.toThrow(/does not match/);
+    // Without a provider the contract can't be asked
+    await expect(verifySiweMessage({ message, signature: ownerSignature })).rejects.toThrow(/does not match/);
+
+    const { provider: otherChain } = setupTestChain({ chainId: 10 });
+    await expect(verifySiweMessage({ message, signature: ownerSignature, provider: otherChain })).rejects.toThrow(/chain 1/);
+  });
+});
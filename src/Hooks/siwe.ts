@@ -0,0 +1,152 @@
+import { providers, utils } from 'ethers';
+import { verifyMessageSignature } from './signatures';
+
+// Sign-In with Ethereum (EIP-4361). Nothing here touches the browser or React, so the
+// same module builds messages in the app and verifies them in a Node backend.
+
+export interface SiweMessageFields {
+  domain: string; // Host requesting the sign-in, e.g. example.com
+  address: string; // EIP-55 checksummed
+  statement?: string; // Human readable text shown to the user
+  uri: string;
+  version: '1';
+  chainId: number;
+  nonce: string; // At least 8 alphanumeric characters, issued by the backend
+  issuedAt: string; // ISO 8601
+  expirationTime?: string;
+  notBefore?: string;
+  requestId?: string;
+  resources?: string[];
+}
+
+// Options for checking a signed sign-in message
+export interface SiweVerifyOptions {
+  message: string;
+  signature: string;
+  domain?: string; // Expected domain; must match when given
+  nonce?: string; // Expected nonce; must match when given
+  time?: Date; // Point in time to check expiry against (default now)
+  provider?: providers.Provider | null; // Provider on the message's chain, needed for contract wallet (EIP-1271) signatures
+}
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+// Fields after the statement, in their required order
+const FIELD_LABELS: Array<[keyof SiweMessageFields, string]> = [
+  ['uri', 'URI'],
+  ['version', 'Version'],
+  ['chainId', 'Chain ID'],
+  ['nonce', 'Nonce'],
+  ['issuedAt', 'Issued At'],
+  ['expirationTime', 'Expiration Time'],
+  ['notBefore', 'Not Before'],
+  ['requestId', 'Request ID'],
+];
+
+// Random alphanumeric nonce; a backend should issue and remember its own
+export const generateNonce = () => utils.hexlify(utils.randomBytes(16)).slice(2);
+
+// Render the fields as the exact text the wallet signs
+export const createSiweMessage = (fields: SiweMessageFields) => {
+  if (fields.statement?.includes('\n')) {
+    throw new Error('SIWE statement must be a single line');
+  }
+
+  const lines = [`${fields.domain}${HEADER_SUFFIX}`, utils.getAddress(fields.address), ''];
+  if (fields.statement) lines.push(fields.statement, '');
+  else lines.push('');
+
+  FIELD_LABELS.forEach(([key, label]) => {
+    if (fields[key] !== undefined) lines.push(`${label}: ${fields[key]}`);
+  });
+  if (fields.resources?.length) {
+    lines.push('Resources:', ...fields.resources.map((resource) => `- ${resource}`));
+  }
+  return lines.join('\n');
+};
+
+// Parse a message produced by createSiweMessage or any other EIP-4361 implementation
+export const parseSiweMessage = (message: string): SiweMessageFields => {
+  const lines = message.split('\n');
+  if (!lines[0]?.endsWith(HEADER_SUFFIX)) {
+    throw new Error('Not a Sign-In with Ethereum message');
+  }
+
+  const fields: Partial<SiweMessageFields> = {
+    domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+    address: lines[1],
+  };
+
+  // A statement sits between two blank lines; without one there are two blank lines in a row
+  let index = 3;
+  if (lines[3] !== '') {
+    fields.statement = lines[3];
+    index = 4;
+  }
+  if (lines[2] !== '' || lines[index] !== '') {
+    throw new Error('Malformed Sign-In with Ethereum message');
+  }
+  index += 1;
+
+  const labels = new Map(FIELD_LABELS.map(([key, label]) => [label, key]));
+  for (; index < lines.length; index++) {
+    const line = lines[index];
+    if (line === 'Resources:') {
+      fields.resources = lines.slice(index + 1).map((resource) => resource.replace(/^- /, ''));
+      break;
+    }
+    const separator = line.indexOf(': ');
+    const key = labels.get(line.slice(0, separator));
+    if (separator < 0 || !key) {
+      throw new Error(`Unexpected line in Sign-In with Ethereum message: ${line}`);
+    }
+    (fields as any)[key] = key === 'chainId' ? Number(line.slice(separator + 2)) : line.slice(separator + 2);
+  }
+
+  if (!fields.address || utils.getAddress(fields.address) !== fields.address) {
+    throw new Error('SIWE address must be EIP-55 checksummed');
+  }
+  if (!fields.uri || fields.version !== '1' || !fields.chainId || !fields.nonce || !fields.issuedAt) {
+    throw new Error('Sign-In with Ethereum message is missing required fields');
+  }
+  if (!/^[a-zA-Z0-9]{8,}$/.test(fields.nonce)) {
+    throw new Error('SIWE nonce must be at least 8 alphanumeric characters');
+  }
+  return fields as SiweMessageFields;
+};
+
+// Check a signed sign-in message; resolves with its fields or throws explaining why it's invalid
+export const verifySiweMessage = async ({
+  message,
+  signature,
+  domain,
+  nonce,
+  time = new Date(),
+  provider,
+}: SiweVerifyOptions): Promise<SiweMessageFields> => {
+  const fields = parseSiweMessage(message);
+
+  if (domain !== undefined && fields.domain !== domain) {
+    throw new Error(`SIWE domain mismatch: expected ${domain}, got ${fields.domain}`);
+  }
+  if (nonce !== undefined && fields.nonce !== nonce) {
+    throw new Error('SIWE nonce mismatch');
+  }
+  if (fields.expirationTime && time >= new Date(fields.expirationTime)) {
+    throw new Error('SIWE message has expired');
+  }
+  if (fields.notBefore && time < new Date(fields.notBefore)) {
+    throw new Error('SIWE message is not valid yet');
+  }
+
+  if (provider) {
+    const { chainId } = await provider.getNetwork();
+    if (chainId !== fields.chainId) {
+      throw new Error(`SIWE message is for chain ${fields.chainId}, but the provider is on chain ${chainId}`);
+    }
+  }
+  if (!(await verifyMessageSignature(fields.address, message, signature, provider))) {
+    throw new Error('SIWE signature does not match the address');
+  }
+  return fields;
+};
@@ -0,0 +1,134 @@
+import { BigNumber, providers, utils } from 'ethers';
+import { isMethodUnsupported } from './feeHistory';
+
+// eth_simulateV1 reports native currency moves as Transfer logs from this pseudo-token
+const NATIVE_TRANSFER_ADDRESS = '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee';
+const TRANSFER_TOPIC = utils.id('Transfer(address,address,uint256)');
+const ZERO_WORD = utils.hexZeroPad('0x', 32);
+
+// Change of one account's balance of the native currency or an ERC-20 token
+export interface BalanceChange {
+  address: string;
+  token: string | null; // ERC-20 contract, null for the native currency
+  delta: BigNumber; // Signed, in the smallest unit
+}
+
+// Contract storage slot written by the transaction
+export interface StorageChange {
+  address: string;
+  slot: string;
+  before: string;
+  after: string;
+}
+
+// What a transaction would change, as reported by the node
+export interface StateChanges {
+  method: 'eth_simulateV1' | 'debug_traceCall';
+  balanceChanges: BalanceChange[]; // Token changes only come from eth_simulateV1
+  storageChanges: StorageChange[]; // Only from debug_traceCall
+}
+
+type RpcCall = ReturnType<typeof providers.JsonRpcProvider.hexlifyTransaction>;
+
+// Methods the node turned out not to support, per provider
+const unsupportedMethods = new WeakMap<providers.JsonRpcProvider, Set<string>>();
+
+// Sums balance deltas per account and token
+const createBalanceLedger = () => {
+  const changes = new Map<string, BalanceChange>();
+  return {
+    add: (address: string, token: string | null, delta: BigNumber) => {
+      const key = `${token?.toLowerCase()}:${address.toLowerCase()}`;
+      const previous = changes.get(key);
+      changes.set(key, { address: utils.getAddress(address), token, delta: previous ? previous.delta.add(delta) : delta });
+    },
+    list: () => [...changes.values()].filter((change) => !change.delta.isZero()),
+  };
+};
+
+// Balance changes from the Transfer logs of a simulated call, including traced native transfers
+const simulateV1 = async (provider: providers.JsonRpcProvider, call: RpcCall): Promise<StateChanges> => {
+  const blocks = await provider.send('eth_simulateV1', [{ blockStateCalls: [{ calls: [call] }], traceTransfers: true }, 'latest']);
+  const result = blocks?.[0]?.calls?.[0];
+  if (!result) {
+    throw new Error('eth_simulateV1 returned no call result');
+  }
+
+  const ledger = createBalanceLedger();
+  (result.logs || []).forEach((log: providers.Log) => {
+    // ERC-721 Transfer logs index the token id as a fourth topic
+    if (log.topics[0] !== TRANSFER_TOPIC || log.topics.length !== 3) return;
+    const from = utils.hexDataSlice(log.topics[1], 12);
+    const to = utils.hexDataSlice(log.topics[2], 12);
+    const value = BigNumber.from(log.data);
+    const token = log.address.toLowerCase() === NATIVE_TRANSFER_ADDRESS ? null : utils.getAddress(log.address);
+    ledger.add(from, token, value.mul(-1));
+    ledger.add(to, token, value);
+  });
+
+  return { method: 'eth_simulateV1', balanceChanges: ledger.list(), storageChanges: [] };
+};
+
+// Native balance and storage changes from the prestate tracer's diff. In diff mode `post` only
+// lists what changed, and accounts missing from it were deleted.
+const traceCall = async (provider: providers.JsonRpcProvider, call: RpcCall): Promise<StateChanges> => {
+  const { pre = {}, post = {} } = await provider.send('debug_traceCall', [
+    call,
+    'latest',
+    { tracer: 'prestateTracer', tracerConfig: { diffMode: true } },
+  ]);
+
+  const ledger = createBalanceLedger();
+  const storageChanges: StorageChange[] = [];
+  new Set([...Object.keys(pre), ...Object.keys(post)]).forEach((address) => {
+    const before = pre[address] || {};
+    const after = post[address] || (address in pre ? { balance: '0x0', storage: {} } : {});
+
+    if (after.balance !== undefined) {
+      ledger.add(address, null, BigNumber.from(after.balance).sub(before.balance || 0));
+    }
+
+    const slots = new Set([...Object.keys(before.storage || {}), ...Object.keys(after.storage || {})]);
+    slots.forEach((slot) => {
+      const previous = before.storage?.[slot] || ZERO_WORD;
+      const next = after.storage?.[slot] || ZERO_WORD;
+      if (previous !== next) {
+        storageChanges.push({ address: utils.getAddress(address), slot, before: previous, after: next });
+      }
+    });
+  });
+
+  return { method: 'debug_traceCall', balanceChanges: ledger.list(), storageChanges };
+};
+
+// Ask the node what a transaction would change, through eth_simulateV1 or else debug_traceCall.
+// Resolves null when the node supports neither; these are optional extras, so other failures do too.
+export const simulateStateChanges = async (
+  provider: providers.JsonRpcProvider,
+  tx: providers.TransactionRequest
+): Promise<StateChanges | null> => {
+  const call = providers.JsonRpcProvider.hexlifyTransaction({
+    from: tx.from,
+    to: tx.to,
+    data: tx.data,
+    value: tx.value,
+    gasLimit: tx.gasLimit,
+  }, { from: true });
+
+  if (!unsupportedMethods.has(provider)) unsupportedMethods.set(provider, new Set());
+  const unsupported = unsupportedMethods.get(provider)!;
+
+  for (const [method, simulate] of [['eth_simulateV1', simulateV1], ['debug_traceCall', traceCall]] as const) {
+    if (unsupported.has(method)) continue;
+    try {
+      return await simulate(provider, call);
+    } catch (error) {
+      if (isMethodUnsupported(error)) {
+        unsupported.add(method);
+      } else {
+        console.error(`Failed to simulate state changes with ${method}`, error);
+      }
+    }
+  }
+  return null;
+};
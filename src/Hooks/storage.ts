@@ -0,0 +1,92 @@
+// Where persisted hook state is kept
+export interface PersistOptions {
+  storage?: Pick<Storage, 'getItem' | 'setItem' | 'removeItem'>;
+  key?: string;
+}
+
+// Resolve the storage to use, or null when persistence is unavailable
+export const getStorage = (options: PersistOptions) => {
+  if (options.storage) return options.storage;
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch {
+    // Accessing localStorage throws when storage is blocked (e.g. some private modes)
+    return null;
+  }
+};
+
+// Read a JSON value, or null when it's missing or malformed
+export const readStored = <T>(options: PersistOptions, defaultKey: string): T | null => {
+  const storage = getStorage(options);
+  if (!storage) return null;
+
+  try {
+    return JSON.parse(storage.getItem(options.key || defaultKey) || 'null');
+  } catch {
+    return null;
+  }
+};
+
+// Write a JSON value
+export const writeStored = (options: PersistOptions, defaultKey: string, value: unknown) => {
+  try {
+    getStorage(options)?.setItem(options.key || defaultKey, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Failed to persist ${options.key || defaultKey}`, error);
+  }
+};
+
+// Remove a stored value
+export const removeStored = (options: PersistOptions, defaultKey: string) => {
+  try {
+    getStorage(options)?.removeItem(options.key || defaultKey);
+  } catch (error) {
+    console.error(`Failed to clear ${options.key || defaultKey}`, error);
+  }
+};
+
+// Options for cookie-backed storage
+export interface CookieStorageOptions {
+  cookies?: string; // Cookie header to read from, e.g. on the server (default document.cookie)
+  maxAge?: number; // Lifetime in seconds (default 30 days)
+  path?: string; // (default '/')
+  sameSite?: 'Strict' | 'Lax' | 'None'; // (default 'Lax')
+  secure?: boolean; // (default true on https pages)
+}
+
+// Read a cookie from a Cookie header or document.cookie string
+export const readCookie = (cookies: string, name: string) => {
+  for (const part of cookies.split(';')) {
+    const separator = part.indexOf('=');
+    if (separator === -1 || part.slice(0, separator).trim() !== name) continue;
+    try {
+      return decodeURIComponent(part.slice(separator + 1).trim());
+    } catch {
+      return null;
+    }
+  }
+  return null;
+};
+
+// Storage that keeps values in cookies, so the server can read them from the request.
+// Writes are ignored outside the browser.
+export const createCookieStorage = ({
+  cookies,
+  maxAge = 30 * 24 * 60 * 60,
+  path = '/',
+  sameSite = 'Lax',
+  secure,
+}: CookieStorageOptions = {}): Pick<Storage, 'getItem' | 'setItem' | 'removeItem'> => {
+  const hasDocument = typeof document !== 'undefined';
+  const useSecure = secure ?? (typeof location !== 'undefined' && location.protocol === 'https:');
+  const write = (key: string, value: string, age: number) => {
+    if (!hasDocument) return;
+    document.cookie = `${key}=${encodeURIComponent(value)}; Max-Age=${age}; Path=${path}; SameSite=${sameSite}${useSecure ? '; Secure' : ''}`;
+  };
+
+  return {
+    getItem: (key) => readCookie(cookies ?? (hasDocument ? document.cookie : ''), key),
+    setItem: (key, value) => write(key, value, maxAge),
+    removeItem: (key) => write(key, '', 0),
+  };
+};
@@ -0,0 +1,42 @@
+// Framework-agnostic state container behind the React hooks, Vue composables and Svelte stores.
+// It follows the useSyncExternalStore contract: getSnapshot returns an immutable value that
+// only changes identity when the state changes, and subscribe registers a change listener.
+export interface ReadableStore<T> {
+  getSnapshot: () => T;
+  subscribe: (listener: () => void) => () => void;
+}
+
+interface StateOptions {
+  // Side effects (polling, wallet listeners) run only while someone is subscribed: onStart
+  // runs for the first subscriber and its cleanup once the last one unsubscribes
+  onStart?: () => (() => void) | void;
+}
+
+// Create an observable value with lazily started side effects
+export const createState = <T>(initial: T, { onStart }: StateOptions = {}) => {
+  let state = initial;
+  let stop: (() => void) | void = undefined;
+  const listeners = new Set<() => void>();
+
+  const getSnapshot = () => state;
+
+  const setState = (update: T | ((prev: T) => T)) => {
+    const next = typeof update === 'function' ? (update as (prev: T) => T)(state) : update;
+    if (Object.is(next, state)) return;
+    state = next;
+    listeners.forEach((listener) => listener());
+  };
+
+  const subscribe = (listener: () => void) => {
+    listeners.add(listener);
+    if (listeners.size === 1) stop = onStart?.();
+
+    return () => {
+      if (!listeners.delete(listener) || listeners.size > 0) return;
+      if (stop) stop();
+      stop = undefined;
+    };
+  };
+
+  return { getSnapshot, setState, subscribe };
+};
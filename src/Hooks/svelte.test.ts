@@ -0,0 +1,43 @@
+import { describe, expect, it, vi } from 'vitest';
+import { gasEstimatorStore, transactionStatusStore } from './svelte';
+import { TransactionStatusSnapshot } from './transactionStatusStore';
+import { GasEstimatorSnapshot } from './gasEstimatorStore';
+import { setupTestChain } from './testing/testChain';
+
+describe('svelte stores', () => {
+  it('deliver the current value on subscribe and every update after it', async () => {
+    const { chain, wallet, provider } = setupTestChain();
+    const hash = chain.submitTransaction({ from: wallet.accounts[0], to: wallet.accounts[1], value: 1 });
+    const status = transactionStatusStore(provider, hash, { initialPollingInterval: 50 });
+
+    const values: TransactionStatusSnapshot[] = [];
+    const unsubscribe = status.subscribe((value) => values.push(value));
+    expect(values).toHaveLength(1);
+    expect(values[0].status).toBe('pending');
+
+    chain.mine();
+    await vi.waitFor(() => expect(values[values.length - 1].status).toBe('confirmed'));
+
+    unsubscribe();
+    expect(provider.listenerCount('block')).toBe(0);
+  });
+
+  it('share one estimation between subscribers', async () => {
+    const { chain, provider } = setupTestChain();
+    const gas = gasEstimatorStore({ provider, refreshInterval: 50, historicalBlocks: 2 });
+
+    let first: GasEstimatorSnapshot | null = null;
+    let second: GasEstimatorSnapshot | null = null;
+    const unsubscribeFirst = gas.subscribe((value) => { first = value; });
+    const unsubscribeSecond = gas.subscribe((value) => { second = value; });
+
+    chain.mine();
+    await vi.waitFor(() => expect(first!.estimation).not.toBeNull());
+    expect(second).toBe(first);
+
+    unsubscribeFirst();
+    expect(provider.listenerCount('block')).toBe(1);
+    unsubscribeSecond();
+    expect(provider.listenerCount('block')).toBe(0);
+  });
+});
@@ -0,0 +1,56 @@
+import { providers } from 'ethers';
+import { ReadableStore } from './store';
+import { WalletOptions, createWalletStore } from './walletStore';
+import { GasEstimatorOptions, createGasEstimatorStore } from './gasEstimatorStore';
+import { TransactionStatusOptions, createTransactionStatusStore } from './transactionStatusStore';
+
+// Svelte stores over the same stores as the React hooks. They implement Svelte's store
+// contract, so components read them with `$store` and no dependency on svelte is needed.
+
+// Svelte's store contract: call `run` with the current value now and on every change
+export interface SvelteReadable<T> {
+  subscribe: (run: (value: T) => void) => () => void;
+}
+
+// Adapt a store to the Svelte store contract
+export const toSvelteStore = <T>(store: ReadableStore<T>): SvelteReadable<T> => ({
+  subscribe: (run) => {
+    run(store.getSnapshot());
+    return store.subscribe(() => run(store.getSnapshot()));
+  },
+});
+
+// Wallet state with support for multiple chains; `$wallet.wallet.walletAddress` etc.
+export const walletStore = (supportedChains: number[], options: WalletOptions = {}) => {
+  const store = createWalletStore(supportedChains, options);
+  return {
+    ...toSvelteStore(store),
+    chains: store.chains,
+    getReadProvider: store.getReadProvider,
+    actions: store.actions,
+  };
+};
+
+// Gas fee estimation, refreshed on every block while subscribed
+export const gasEstimatorStore = (options: GasEstimatorOptions) => {
+  const store = createGasEstimatorStore(options);
+  return {
+    ...toSvelteStore(store),
+    estimateGas: store.estimateGas,
+    estimateConfirmationTime: store.estimateConfirmationTime,
+  };
+};
+
+// Status of a transaction; create a new store (e.g. in a `$:` statement) when the hash changes
+export const transactionStatusStore = (
+  provider: providers.JsonRpcProvider,
+  txHash: string,
+  options: TransactionStatusOptions = {}
+) => {
+  const store = createTransactionStatusStore(provider, txHash, options);
+  return {
+    ...toSvelteStore(store),
+    speedUp: store.speedUp,
+    cancel: store.cancel,
+  };
+};
@@ -0,0 +1,615 @@
+import { BigNumber, BigNumberish, utils } from 'ethers';
+import { calculateNextBaseFee, compareBigNumbers, percentileOf } from '../feeHistory';
+
+// In-memory EVM chain for tests. It models what the hooks observe over JSON-RPC (blocks,
+// fees, the mempool, receipts, reverts, reorgs) rather than executing EVM code: contract
+// behaviour is scripted with call handlers, and balances only move with mined value transfers.
+
+const GWEI = BigNumber.from(10).pow(9);
+const ZERO = BigNumber.from(0);
+
+export interface MockLog {
+  address: string;
+  topics: string[];
+  data: string;
+}
+
+// A transaction as held by the chain
+export interface MockTransaction {
+  hash: string;
+  type: 0 | 2;
+  from: string;
+  to: string | null;
+  value: BigNumber;
+  data: string;
+  nonce: number;
+  gasLimit: BigNumber;
+  gasPrice: BigNumber | null;
+  maxFeePerGas: BigNumber | null;
+  maxPriorityFeePerGas: BigNumber | null;
+  gasUsed: BigNumber; // Gas the tx consumes when mined
+  revertData: string | null; // Revert data when the tx is scripted to fail, '0x' for a bare revert
+  outOfGas: boolean; // Scripted to fail by exhausting its gas limit
+  logs: MockLog[]; // Logs emitted when it succeeds
+}
+
+interface MockReceipt {
+  status: 0 | 1;
+  gasUsed: BigNumber;
+  cumulativeGasUsed: BigNumber;
+  effectiveGasPrice: BigNumber;
+  logs: MockLog[];
+}
+
+export interface MockBlock {
+  number: number;
+  hash: string;
+  parentHash: string;
+  timestamp: number;
+  baseFeePerGas: BigNumber | null;
+  gasLimit: BigNumber;
+  gasUsed: BigNumber;
+  transactions: MockTransaction[];
+  receipts: MockReceipt[];
+}
+
+// A read-only call, as passed to eth_call
+export interface MockCall {
+  from: string | null;
+  to: string;
+  data: string;
+  value: BigNumber;
+}
+
+// Scripted contract behaviour: return the result data, or throw revertError(...) to revert
+export type MockCallHandler = (call: MockCall, blockNumber: number) => string;
+
+export interface MockChainOptions {
+  chainId: number;
+  eip1559?: boolean; // Blocks carry baseFeePerGas (default true)
+  baseFeePerGas?: BigNumberish; // Base fee of the first block (default 1 gwei)
+  gasPrice?: BigNumberish; // eth_gasPrice on legacy chains (default 5 gwei)
+  gasLimit?: BigNumberish; // Block gas limit (default 30M)
+  blockTime?: number; // Seconds between mined blocks (default 12)
+  finalityDepth?: number; // Blocks behind the head reported as 'finalized' (default 64)
+  unsupportedMethods?: string[]; // Methods answered with "method not found", e.g. ['eth_feeHistory']
+  maxLogBlockRange?: number; // eth_getLogs rejects wider block ranges, like public RPCs (default unlimited)
+  balances?: Record<string, BigNumberish>;
+}
+
+// Options for transactions entering the mempool
+export interface MockTransactionRequest {
+  from: string;
+  to?: string | null;
+  value?: BigNumberish;
+  data?: string;
+  nonce?: number;
+  gasLimit?: BigNumberish;
+  gasPrice?: BigNumberish;
+  maxFeePerGas?: BigNumberish;
+  maxPriorityFeePerGas?: BigNumberish;
+  gasUsed?: BigNumberish; // Default 21000 for plain transfers, otherwise the gas limit
+  revertData?: string | null; // Make the tx revert when mined
+  logs?: MockLog[];
+}
+
+// Error thrown for JSON-RPC failures, shaped like the errors nodes and wallets return
+export const rpcError = (code: number, message: string, data?: string) =>
+  Object.assign(new Error(message), { code, data });
+
+// Revert a scripted call, optionally with revert data (e.g. an encoded Error(string))
+export const revertError = (data = '0x') => rpcError(3, 'execution reverted', data);
+
+const toHex = (value: BigNumberish) => utils.hexValue(BigNumber.from(value));
+
+const lower = (address: string | null | undefined) => (address ? address.toLowerCase() : null);
+
+export class MockChain {
+  readonly chainId: number;
+  readonly eip1559: boolean;
+  blockTime: number;
+  finalityDepth: number;
+  maxLogBlockRange: number;
+  gasPrice: BigNumber;
+  readonly unsupportedMethods: Set<string>;
+
+  private blocks: MockBlock[] = [];
+  private pending: MockTransaction[] = [];
+  private readonly gasLimit: BigNumber;
+  private readonly balances = new Map<string, BigNumber>();
+  private readonly code = new Map<string, string>();
+  private readonly callHandlers = new Map<string, MockCallHandler>();
+  private readonly methodHandlers = new Map<string, (params: any[]) => any>();
+  private pinnedBaseFee: BigNumber | null = null;
+  private nextBaseFee: BigNumber;
+  private counter = 0; // Keeps hashes unique, including blocks re-mined after a reorg
+
+  constructor(options: MockChainOptions) {
+    this.chainId = options.chainId;
+    this.eip1559 = options.eip1559 ?? true;
+    this.blockTime = options.blockTime ?? 12;
+    this.finalityDepth = options.finalityDepth ?? 64;
+    this.maxLogBlockRange = options.maxLogBlockRange ?? Infinity;
+    this.gasPrice = BigNumber.from(options.gasPrice ?? GWEI.mul(5));
+    this.gasLimit = BigNumber.from(options.gasLimit ?? 30000000);
+    this.nextBaseFee = BigNumber.from(options.baseFeePerGas ?? GWEI);
+    this.unsupportedMethods = new Set(options.unsupportedMethods || []);
+    Object.entries(options.balances || {}).forEach(([address, balance]) => this.setBalance(address, balance));
+
+    this.blocks.push(this.createBlock([], Math.floor(Date.now() / 1000)));
+  }
+
+  get head() {
+    return this.blocks[this.blocks.length - 1];
+  }
+
+  get blockNumber() {
+    return this.head.number;
+  }
+
+  // Transactions waiting in the mempool
+  get pendingTransactions() {
+    return [...this.pending];
+  }
+
+  // --- Scripting --------------------------------------------------------------------
+
+  setBalance(address: string, balance: BigNumberish) {
+    this.balances.set(lower(address)!, BigNumber.from(balance));
+  }
+
+  setCode(address: string, code: string) {
+    this.code.set(lower(address)!, code);
+  }
+
+  // Script eth_call for a contract address; also gives it code so it looks like a contract
+  setCallHandler(address: string, handler: MockCallHandler) {
+    this.callHandlers.set(lower(address)!, handler);
+    if (!this.code.has(lower(address)!)) this.setCode(address, '0x00');
+  }
+
+  // Script a JSON-RPC method the chain doesn't implement, e.g. eth_simulateV1 or debug_traceCall
+  setMethodHandler(method: string, handler: (params: any[]) => any) {
+    this.methodHandlers.set(method, handler);
+  }
+
+  // Pin the base fee of the next blocks; pass null to go back to the EIP-1559 update rule
+  setBaseFee(baseFee: BigNumberish | null) {
+    this.pinnedBaseFee = baseFee === null ? null : BigNumber.from(baseFee);
+    if (this.pinnedBaseFee) this.nextBaseFee = this.pinnedBaseFee;
+  }
+
+  // Add a transaction to the mempool; returns its hash
+  submitTransaction(request: MockTransactionRequest) {
+    const from = utils.getAddress(request.from);
+    const data = request.data || '0x';
+    const legacy = !this.eip1559 || request.gasPrice !== undefined;
+    const maxPriorityFeePerGas = BigNumber.from(request.maxPriorityFeePerGas ?? GWEI);
+    const gasLimit = BigNumber.from(request.gasLimit ?? (data === '0x' ? 21000 : 100000));
+
+    const tx: MockTransaction = {
+      hash: this.nextHash('tx'),
+      type: legacy ? 0 : 2,
+      from,
+      to: request.to ? utils.getAddress(request.to) : null,
+      value: BigNumber.from(request.value ?? 0),
+      data,
+      nonce: request.nonce ?? this.getTransactionCount(from, 'pending'),
+      gasLimit,
+      gasPrice: legacy ? BigNumber.from(request.gasPrice ?? this.gasPrice) : null,
+      maxFeePerGas: legacy ? null : BigNumber.from(request.maxFeePerGas ?? this.nextBaseFee.mul(2).add(maxPriorityFeePerGas)),
+      maxPriorityFeePerGas: legacy ? null : maxPriorityFeePerGas,
+      gasUsed: BigNumber.from(request.gasUsed ?? (data === '0x' ? 21000 : gasLimit)),
+      revertData: request.revertData ?? null,
+      outOfGas: false,
+      logs: request.logs || [],
+    };
+    // Reusing a pending sender and nonce replaces that transaction, as in a node's mempool
+    this.pending = this.pending.filter((item) => item.from !== from || item.nonce !== tx.nonce);
+    this.pending.push(tx);
+    return tx.hash;
+  }
+
+  // Make a pending transaction revert when it's mined, with the given revert data or by
+  // running out of gas (which uses the whole gas limit and leaves no revert data)
+  failTransaction(hash: string, revertData = '0x', { outOfGas = false }: { outOfGas?: boolean } = {}) {
+    const tx = this.findPending(hash);
+    tx.revertData = revertData;
+    tx.outOfGas = outOfGas;
+    if (outOfGas) tx.gasUsed = tx.gasLimit;
+  }
+
+  // Remove a transaction from the mempool without mining it
+  dropTransaction(hash: string) {
+    this.findPending(hash);
+    this.pending = this.pending.filter((tx) => tx.hash !== hash);
+  }
+
+  // Replace a pending transaction with another one using the same sender and nonce
+  replaceTransaction(hash: string, overrides: Partial<MockTransactionRequest> = {}) {
+    const original = this.findPending(hash);
+    return this.submitTransaction({
+      from: original.from,
+      to: original.to,
+      value: original.value,
+      data: original.data,
+      gasLimit: original.gasLimit,
+      ...(original.type === 0
+        ? { gasPrice: original.gasPrice!.mul(110).div(100) }
+        : { maxFeePerGas: original.maxFeePerGas!.mul(110).div(100), maxPriorityFeePerGas: original.maxPriorityFeePerGas!.mul(110).div(100) }),
+      ...overrides,
+      nonce: original.nonce,
+    });
+  }
+
+  // Mine blocks, each including every pending transaction that pays enough and is next in
+  // line for its sender (or only the given hashes)
+  mine(count = 1, { include }: { include?: string[] } = {}) {
+    const mined: MockBlock[] = [];
+    for (let i = 0; i < count; i++) {
+      const baseFee = this.eip1559 ? this.nextBaseFee : null;
+      const selected = this.selectTransactions(baseFee, include);
+      this.pending = this.pending.filter((tx) => !selected.includes(tx));
+
+      const block = this.createBlock(selected, this.head.timestamp + this.blockTime);
+      this.blocks.push(block);
+      mined.push(block);
+
+      this.nextBaseFee = this.pinnedBaseFee
+        || (this.eip1559 ? calculateNextBaseFee(block) : ZERO);
+    }
+    return mined;
+  }
+
+  // Replace the newest `depth` blocks with a competing branch of `newBlocks` blocks (default
+  // depth + 1, so the new branch is longer). Transactions from the orphaned blocks go back to
+  // the mempool unless listed in `drop`.
+  reorg(depth: number, { newBlocks = depth + 1, drop = [] }: { newBlocks?: number; drop?: string[] } = {}) {
+    if (depth < 1 || depth >= this.blocks.length) {
+      throw new Error(`Can't reorg ${depth} blocks on a chain of ${this.blocks.length}`);
+    }
+    const orphaned = this.blocks.splice(this.blocks.length - depth, depth);
+    const returning = orphaned
+      .flatMap((block) => block.transactions)
+      .filter((tx) => !drop.includes(tx.hash));
+    this.pending = [...returning, ...this.pending];
+    this.nextBaseFee = this.pinnedBaseFee || orphaned[0].baseFeePerGas || ZERO;
+    return this.mine(newBlocks);
+  }
+
+  // --- Queries ----------------------------------------------------------------------
+
+  getBlock(tag: string | number): MockBlock | null {
+    const number = this.resolveBlockTag(tag);
+    return number === null ? null : this.blocks[number] || null;
+  }
+
+  getTransactionCount(address: string, tag: string | number = 'latest') {
+    const sender = lower(address);
+    if (tag === 'pending') {
+      const pendingNonces = this.pending.filter((tx) => lower(tx.from) === sender).map((tx) => tx.nonce + 1);
+      return Math.max(this.getTransactionCount(address, 'latest'), ...pendingNonces);
+    }
+    const upTo = this.resolveBlockTag(tag) ?? this.blockNumber;
+    return this.blocks
+      .slice(0, upTo + 1)
+      .reduce((count, block) => count + block.transactions.filter((tx) => lower(tx.from) === sender).length, 0);
+  }
+
+  // Balance from the scripted starting balance plus every mined value transfer up to the block
+  getBalance(address: string, tag: string | number = 'latest') {
+    const account = lower(address);
+    const upTo = this.resolveBlockTag(tag) ?? this.blockNumber;
+    return this.blocks.slice(0, upTo + 1).reduce((balance, block) => block.transactions.reduce((total, tx, i) => {
+      if (block.receipts[i].status === 0) return total;
+      if (lower(tx.to) === account) total = total.add(tx.value);
+      if (lower(tx.from) === account) total = total.sub(tx.value);
+      return total;
+    }, balance), this.balances.get(account!) || ZERO);
+  }
+
+  // --- JSON-RPC ---------------------------------------------------------------------
+
+  // Answer a JSON-RPC request the way a node would
+  async request(method: string, params: any[] = []): Promise<any> {
+    if (this.unsupportedMethods.has(method)) {
+      throw rpcError(-32601, `the method ${method} does not exist/is not available`);
+    }
+    const handler = this.methodHandlers.get(method);
+    if (handler) return handler(params);
+
+    switch (method) {
+      case 'eth_chainId':
+        return toHex(this.chainId);
+      case 'net_version':
+        return String(this.chainId);
+      case 'eth_blockNumber':
+        return toHex(this.blockNumber);
+      case 'eth_gasPrice':
+        return toHex(this.eip1559 ? this.nextBaseFee.add(GWEI) : this.gasPrice);
+      case 'eth_maxPriorityFeePerGas':
+        return toHex(GWEI);
+      case 'eth_getBalance':
+        return toHex(this.getBalance(params[0], params[1]));
+      case 'eth_getCode':
+        return this.code.get(lower(params[0])!) || '0x';
+      case 'eth_getTransactionCount':
+        return toHex(this.getTransactionCount(params[0], params[1]));
+      case 'eth_getBlockByNumber':
+        return params[0] === 'pending'
+          ? this.formatPendingBlock(!!params[1])
+          : this.formatBlock(this.getBlock(params[0]), !!params[1]);
+      case 'eth_getBlockByHash':
+        return this.formatBlock(this.blocks.find((block) => block.hash === params[0]) || null, !!params[1]);
+      case 'eth_getTransactionByHash':
+        return this.formatTransactionByHash(params[0]);
+      case 'eth_getTransactionReceipt':
+        return this.formatReceipt(params[0]);
+      case 'eth_feeHistory':
+        return this.feeHistory(BigNumber.from(params[0]).toNumber(), params[1], params[2] || []);
+      case 'eth_call':
+        return this.call(params[0], params[1] ?? 'latest');
+      case 'eth_estimateGas':
+        if (params[0].to) this.call(params[0], 'latest');
+        return toHex(params[0].data && params[0].data !== '0x' ? 100000 : 21000);
+      case 'eth_getLogs':
+        return this.getLogs(params[0]);
+      default:
+        throw rpcError(-32601, `the method ${method} does not exist/is not available`);
+    }
+  }
+
+  // --- Internals --------------------------------------------------------------------
+
+  private nextHash(kind: string) {
+    this.counter += 1;
+    return utils.keccak256(utils.toUtf8Bytes(`${kind}:${this.chainId}:${this.counter}`));
+  }
+
+  private findPending(hash: string) {
+    const tx = this.pending.find((item) => item.hash === hash);
+    if (!tx) throw new Error(`Transaction ${hash} is not pending`);
+    return tx;
+  }
+
+  private createBlock(transactions: MockTransaction[], timestamp: number): MockBlock {
+    const number = this.blocks.length;
+    const baseFeePerGas = this.eip1559 ? this.nextBaseFee : null;
+
+    let cumulativeGasUsed = ZERO;
+    const receipts = transactions.map((tx) => {
+      cumulativeGasUsed = cumulativeGasUsed.add(tx.gasUsed);
+      const effectiveGasPrice = tx.type === 0
+        ? tx.gasPrice!
+        : baseFeePerGas!.add(tx.maxFeePerGas!.sub(baseFeePerGas!).lt(tx.maxPriorityFeePerGas!)
+          ? tx.maxFeePerGas!.sub(baseFeePerGas!)
+          : tx.maxPriorityFeePerGas!);
+      const status: 0 | 1 = tx.revertData === null && !tx.outOfGas ? 1 : 0;
+      return { status, gasUsed: tx.gasUsed, cumulativeGasUsed, effectiveGasPrice, logs: status ? tx.logs : [] };
+    });
+
+    return {
+      number,
+      hash: this.nextHash('block'),
+      parentHash: number > 0 ? this.blocks[number - 1].hash : utils.hexZeroPad('0x', 32),
+      timestamp,
+      baseFeePerGas,
+      gasLimit: this.gasLimit,
+      gasUsed: cumulativeGasUsed,
+      transactions,
+      receipts,
+    };
+  }
+
+  private selectTransactions(baseFee: BigNumber | null, include?: string[]) {
+    const nonces = new Map<string, number>();
+    const nextNonce = (from: string) => nonces.get(lower(from)!) ?? this.getTransactionCount(from, 'latest');
+
+    const candidates = this.pending
+      .filter((tx) => !include || include.includes(tx.hash))
+      .filter((tx) => !baseFee || (tx.maxFeePerGas || tx.gasPrice!).gte(baseFee))
+      .sort((a, b) => a.nonce - b.nonce);
+
+    // Take transactions in nonce order per sender, stopping at gaps
+    const selected: MockTransaction[] = [];
+    let progress = true;
+    while (progress) {
+      progress = false;
+      candidates.forEach((tx) => {
+        if (selected.includes(tx) || tx.nonce !== nextNonce(tx.from)) return;
+        selected.push(tx);
+        nonces.set(lower(tx.from)!, tx.nonce + 1);
+        progress = true;
+      });
+    }
+    return selected;
+  }
+
+  private resolveBlockTag(tag: string | number | undefined): number | null {
+    if (tag === undefined || tag === 'latest' || tag === 'pending') return this.blockNumber;
+    if (tag === 'earliest') return 0;
+    if (tag === 'finalized' || tag === 'safe') return Math.max(0, this.blockNumber - this.finalityDepth);
+    const number = BigNumber.from(tag).toNumber();
+    return number <= this.blockNumber ? number : null;
+  }
+
+  private locate(hash: string) {
+    for (const block of this.blocks) {
+      const index = block.transactions.findIndex((tx) => tx.hash === hash);
+      if (index >= 0) return { block, index };
+    }
+    return null;
+  }
+
+  private formatTransaction(tx: MockTransaction, block: MockBlock | null, index: number | null) {
+    return {
+      hash: tx.hash,
+      type: toHex(tx.type),
+      chainId: toHex(this.chainId),
+      from: tx.from,
+      to: tx.to,
+      value: toHex(tx.value),
+      input: tx.data,
+      nonce: toHex(tx.nonce),
+      gas: toHex(tx.gasLimit),
+      gasPrice: tx.gasPrice ? toHex(tx.gasPrice) : toHex(tx.maxFeePerGas!),
+      maxFeePerGas: tx.maxFeePerGas ? toHex(tx.maxFeePerGas) : undefined,
+      maxPriorityFeePerGas: tx.maxPriorityFeePerGas ? toHex(tx.maxPriorityFeePerGas) : undefined,
+      accessList: tx.type === 2 ? [] : undefined,
+      blockHash: block ? block.hash : null,
+      blockNumber: block ? toHex(block.number) : null,
+      transactionIndex: index !== null ? toHex(index) : null,
+      v: '0x1',
+      r: '0x1',
+      s: '0x1',
+    };
+  }
+
+  private formatBlock(block: MockBlock | null, fullTransactions: boolean) {
+    if (!block) return null;
+    return {
+      number: toHex(block.number),
+      hash: block.hash,
+      parentHash: block.parentHash,
+      timestamp: toHex(block.timestamp),
+      nonce: '0x0000000000000000',
+      difficulty: '0x0',
+      gasLimit: toHex(block.gasLimit),
+      gasUsed: toHex(block.gasUsed),
+      miner: utils.hexZeroPad('0x', 20),
+      extraData: '0x',
+      baseFeePerGas: block.baseFeePerGas ? toHex(block.baseFeePerGas) : undefined,
+      transactions: block.transactions.map((tx, i) => (fullTransactions ? this.formatTransaction(tx, block, i) : tx.hash)),
+    };
+  }
+
+  private formatPendingBlock(fullTransactions: boolean) {
+    return {
+      number: toHex(this.blockNumber + 1),
+      hash: null,
+      parentHash: this.head.hash,
+      timestamp: toHex(this.head.timestamp + this.blockTime),
+      nonce: null,
+      difficulty: '0x0',
+      gasLimit: toHex(this.gasLimit),
+      gasUsed: '0x0',
+      miner: null,
+      extraData: '0x',
+      baseFeePerGas: this.eip1559 ? toHex(this.nextBaseFee) : undefined,
+      transactions: this.pending.map((tx) => (fullTransactions ? this.formatTransaction(tx, null, null) : tx.hash)),
+    };
+  }
+
+  private formatTransactionByHash(hash: string) {
+    const located = this.locate(hash);
+    if (located) return this.formatTransaction(located.block.transactions[located.index], located.block, located.index);
+    const pending = this.pending.find((tx) => tx.hash === hash);
+    return pending ? this.formatTransaction(pending, null, null) : null;
+  }
+
+  private formatLogs(block: MockBlock, index: number, logIndexOffset: number) {
+    const tx = block.transactions[index];
+    return block.receipts[index].logs.map((log, i) => ({
+      ...log,
+      blockNumber: toHex(block.number),
+      blockHash: block.hash,
+      transactionHash: tx.hash,
+      transactionIndex: toHex(index),
+      logIndex: toHex(logIndexOffset + i),
+      removed: false,
+    }));
+  }
+
+  // Index of the first log of a transaction within its block
+  private logOffset(block: MockBlock, index: number) {
+    return block.receipts.slice(0, index).reduce((total, receipt) => total + receipt.logs.length, 0);
+  }
+
+  private formatReceipt(hash: string) {
+    const located = this.locate(hash);
+    if (!located) return null;
+    const { block, index } = located;
+    const tx = block.transactions[index];
+    const receipt = block.receipts[index];
+    return {
+      transactionHash: tx.hash,
+      transactionIndex: toHex(index),
+      blockHash: block.hash,
+      blockNumber: toHex(block.number),
+      from: tx.from,
+      to: tx.to,
+      contractAddress: null,
+      cumulativeGasUsed: toHex(receipt.cumulativeGasUsed),
+      gasUsed: toHex(receipt.gasUsed),
+      effectiveGasPrice: toHex(receipt.effectiveGasPrice),
+      logs: this.formatLogs(block, index, this.logOffset(block, index)),
+      logsBloom: utils.hexZeroPad('0x', 256),
+      type: toHex(tx.type),
+      status: toHex(receipt.status),
+    };
+  }
+
+  private feeHistory(blockCount: number, newestTag: string, percentiles: number[]) {
+    const newest = this.resolveBlockTag(newestTag) ?? this.blockNumber;
+    const oldest = Math.max(0, newest - blockCount + 1);
+    const blocks = this.blocks.slice(oldest, newest + 1);
+
+    const reward = blocks.map((block) => {
+      const tips = block.receipts
+        .map((receipt) => receipt.effectiveGasPrice.sub(block.baseFeePerGas || ZERO))
+        .sort(compareBigNumbers);
+      return percentiles.map((percentile) => toHex(tips.length > 0 ? percentileOf(tips, percentile) : ZERO));
+    });
+
+    const next = newest === this.blockNumber ? this.nextBaseFee : this.blocks[newest + 1].baseFeePerGas || ZERO;
+    return {
+      oldestBlock: toHex(oldest),
+      baseFeePerGas: [...blocks.map((block) => toHex(block.baseFeePerGas || ZERO)), toHex(next)],
+      gasUsedRatio: blocks.map((block) => block.gasUsed.mul(10000).div(block.gasLimit).toNumber() / 10000),
+      reward,
+    };
+  }
+
+  // Run a call against the scripted handlers. Mined transactions that were scripted to fail
+  // revert again when replayed at their block, like a node re-executing them.
+  private call(request: any, tag: string | number) {
+    const blockNumber = this.resolveBlockTag(tag);
+    if (blockNumber === null) throw rpcError(-32000, 'header not found');
+
+    const call: MockCall = {
+      from: request.from ? utils.getAddress(request.from) : null,
+      to: utils.getAddress(request.to),
+      data: request.data || request.input || '0x',
+      value: BigNumber.from(request.value || 0),
+    };
+
+    const failed = this.blocks[blockNumber].transactions.find((tx, i) =>
+      this.blocks[blockNumber].receipts[i].status === 0
+      && lower(tx.from) === lower(call.from) && lower(tx.to) === lower(call.to) && tx.data === call.data
+    );
+    if (failed) throw failed.outOfGas ? rpcError(-32000, 'out of gas') : revertError(failed.revertData || '0x');
+
+    const handler = this.callHandlers.get(lower(call.to)!);
+    return handler ? handler(call, blockNumber) : '0x';
+  }
+
+  private getLogs(filter: { address?: string | string[]; topics?: Array<string | string[] | null>; fromBlock?: string; toBlock?: string; blockHash?: string }) {
+    const addresses = filter.address ? [filter.address].flat().map(lower) : null;
+    const fromBlock = this.resolveBlockTag(filter.fromBlock ?? 'latest') ?? 0;
+    const toBlock = this.resolveBlockTag(filter.toBlock ?? 'latest') ?? this.blockNumber;
+    if (!filter.blockHash && toBlock - fromBlock + 1 > this.maxLogBlockRange) {
+      throw rpcError(-32005, `block range is too wide, max ${this.maxLogBlockRange} blocks`);
+    }
+    const blocks = filter.blockHash
+      ? this.blocks.filter((block) => block.hash === filter.blockHash)
+      : this.blocks.slice(fromBlock, toBlock + 1);
+
+    const matchesTopics = (log: MockLog) => (filter.topics || []).every((expected, i) =>
+      expected === null || (Array.isArray(expected) ? expected : [expected]).some((topic) => lower(topic) === lower(log.topics[i]))
+    );
+
+    return blocks.flatMap((block) => block.transactions.flatMap((_, index) =>
+      this.formatLogs(block, index, this.logOffset(block, index))
+    )).filter((log) => (!addresses || addresses.includes(lower(log.address))) && matchesTopics(log));
+  }
+}
@@ -0,0 +1,173 @@
+import { Wallet, utils } from 'ethers';
+import { EIP1193Provider, EIP6963ProviderInfo } from '../connectors';
+import { MockChain, rpcError } from './mockChain';
+
+// Scriptable EIP-1193 wallet backed by in-memory chains, for testing wallet code offline.
+// It behaves like an injected browser wallet: accounts must be requested before they are
+// exposed, switching to an unknown chain fails with 4902, and requests can be rejected.
+
+// Hardhat's well-known development keys, so test addresses are stable
+const DEFAULT_PRIVATE_KEYS = [
+  '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
+  '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d',
+  '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a',
+];
+
+export interface MockProviderOptions {
+  chains: MockChain[]; // Chains the wallet knows; the first one is active
+  privateKeys?: string[]; // Accounts the wallet controls (default three development keys)
+  authorized?: boolean; // Expose accounts through eth_accounts without eth_requestAccounts first (default false)
+  isMetaMask?: boolean;
+}
+
+type Listener = (...args: any[]) => void;
+
+export class MockEip1193Provider implements EIP1193Provider {
+  readonly isMetaMask: boolean;
+  readonly chains = new Map<number, MockChain>();
+  readonly wallets: Wallet[];
+  chain: MockChain; // Currently selected chain
+  accounts: string[]; // Accounts the user has selected, first one active
+  authorized: boolean;
+
+  private readonly listeners = new Map<string, Set<Listener>>();
+  private readonly rejections = new Map<string, Error[]>();
+
+  constructor({ chains, privateKeys = DEFAULT_PRIVATE_KEYS, authorized = false, isMetaMask = true }: MockProviderOptions) {
+    if (chains.length === 0) {
+      throw new Error('MockEip1193Provider needs at least one chain');
+    }
+    chains.forEach((chain) => this.chains.set(chain.chainId, chain));
+    this.chain = chains[0];
+    this.wallets = privateKeys.map((key) => new Wallet(key));
+    this.accounts = this.wallets.map((wallet) => wallet.address);
+    this.authorized = authorized;
+    this.isMetaMask = isMetaMask;
+  }
+
+  // --- EIP-1193 ---------------------------------------------------------------------
+
+  on(event: string, listener: Listener) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event)!.add(listener);
+    return this;
+  }
+
+  removeListener(event: string, listener: Listener) {
+    this.listeners.get(event)?.delete(listener);
+    return this;
+  }
+
+  // Number of listeners for an event, to check that hooks clean up after themselves
+  listenerCount(event: string) {
+    return this.listeners.get(event)?.size || 0;
+  }
+
+  async request({ method, params = [] }: { method: string; params?: unknown[] | object }): Promise<any> {
+    const args = params as any[];
+
+    const queued = this.rejections.get(method);
+    if (queued?.length) throw queued.shift();
+
+    switch (method) {
+      case 'eth_requestAccounts':
+        this.authorized = true;
+        return [...this.accounts];
+      case 'eth_accounts':
+        return this.authorized ? [...this.accounts] : [];
+      case 'wallet_switchEthereumChain':
+        this.switchChain(parseInt(args[0].chainId, 16));
+        return null;
+      case 'wallet_addEthereumChain':
+        return this.addChain(args[0]);
+      case 'eth_sendTransaction':
+        return this.sendTransaction(args[0]);
+      case 'personal_sign':
+        return this.getWallet(args[1]).signMessage(utils.isHexString(args[0]) ? utils.arrayify(args[0]) : args[0]);
+      case 'eth_signTypedData_v4': {
+        const { domain, types, message } = typeof args[1] === 'string' ? JSON.parse(args[1]) : args[1];
+        const { EIP712Domain, ...messageTypes } = types;
+        return this.getWallet(args[0])._signTypedData(domain, messageTypes, message);
+      }
+      default:
+        return this.chain.request(method, args);
+    }
+  }
+
+  // --- Scripting --------------------------------------------------------------------
+
+  // Make the next call of a method fail, by default with a user rejection (4001)
+  rejectNext(method: string, error: Error = rpcError(4001, 'User rejected the request.')) {
+    if (!this.rejections.has(method)) this.rejections.set(method, []);
+    this.rejections.get(method)!.push(error);
+  }
+
+  // Change the selected accounts, as if the user switched accounts in the wallet
+  setAccounts(accounts: string[]) {
+    this.accounts = accounts.map((account) => utils.getAddress(account));
+    if (this.authorized) this.emit('accountsChanged', [...this.accounts]);
+  }
+
+  // Switch the active chain, as if the user picked another network in the wallet.
+  // Unknown chains fail with 4902 like MetaMask.
+  switchChain(chainId: number) {
+    const chain = this.chains.get(chainId);
+    if (!chain) {
+      throw rpcError(4902, `Unrecognized chain ID "0x${chainId.toString(16)}". Try adding the chain using wallet_addEthereumChain first.`);
+    }
+    if (chain !== this.chain) {
+      this.chain = chain;
+      this.emit('chainChanged', utils.hexValue(chainId));
+    }
+  }
+
+  emit(event: string, ...args: any[]) {
+    this.listeners.get(event)?.forEach((listener) => listener(...args));
+  }
+
+  // --- Internals --------------------------------------------------------------------
+
+  private getWallet(address: string) {
+    const wallet = this.wallets.find((item) => item.address.toLowerCase() === String(address).toLowerCase());
+    if (!wallet || !this.authorized) {
+      throw rpcError(4100, 'The requested account has not been authorized by the user.');
+    }
+    return wallet;
+  }
+
+  private addChain(parameter: { chainId: string }) {
+    const chainId = parseInt(parameter.chainId, 16);
+    if (!this.chains.has(chainId)) {
+      this.chains.set(chainId, new MockChain({ chainId }));
+    }
+    return null;
+  }
+
+  private sendTransaction(tx: any) {
+    const wallet = this.getWallet(tx.from || this.accounts[0]);
+    return this.chain.submitTransaction({
+      from: wallet.address,
+      to: tx.to,
+      value: tx.value,
+      data: tx.data,
+      nonce: tx.nonce !== undefined ? parseInt(tx.nonce, 16) : undefined,
+      gasLimit: tx.gas ?? tx.gasLimit,
+      gasPrice: tx.gasPrice,
+      maxFeePerGas: tx.maxFeePerGas,
+      maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+    });
+  }
+}
+
+// Announce a provider through EIP-6963, as a wallet extension would. Returns a cleanup function.
+export const announceProvider = (
+  provider: EIP1193Provider,
+  info: EIP6963ProviderInfo = { uuid: 'mock-wallet', name: 'Mock Wallet', icon: '', rdns: 'io.mock.wallet' }
+) => {
+  const announce = () => {
+    window.dispatchEvent(new CustomEvent('eip6963:announceProvider', { detail: Object.freeze({ info, provider }) }));
+  };
+  window.addEventListener('eip6963:requestProvider', announce);
+  announce();
+  return () => window.removeEventListener('eip6963:requestProvider', announce);
+};
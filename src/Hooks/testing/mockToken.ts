@@ -0,0 +1,100 @@
+import { BigNumber, BigNumberish, utils } from 'ethers';
+import { erc20Interface } from '../erc20';
+import { MockCall, MockChain, revertError } from './mockChain';
+
+// Scripted ERC-20 token on a mock chain. Balances are set by the test; allowances follow the
+// approve transactions mined on the chain, so approve flows can be tested end to end.
+
+export interface MockTokenOptions {
+  name?: string; // (default 'Mock Token')
+  symbol?: string; // (default 'MOCK')
+  decimals?: number; // (default 18)
+  bytes32Metadata?: boolean; // Return name and symbol as bytes32, like MKR (default false)
+  permit?: boolean; // Support EIP-2612 with domain version "1" (default false)
+}
+
+const lower = (address: string) => address.toLowerCase();
+
+export class MockToken {
+  readonly address: string;
+  readonly name: string;
+  readonly symbol: string;
+  readonly decimals: number;
+
+  private readonly chain: MockChain;
+  private readonly bytes32Metadata: boolean;
+  private readonly permit: boolean;
+  private readonly balances = new Map<string, BigNumber>();
+
+  constructor(chain: MockChain, address: string, options: MockTokenOptions = {}) {
+    this.chain = chain;
+    this.address = utils.getAddress(address);
+    this.name = options.name ?? 'Mock Token';
+    this.symbol = options.symbol ?? 'MOCK';
+    this.decimals = options.decimals ?? 18;
+    this.bytes32Metadata = options.bytes32Metadata ?? false;
+    this.permit = options.permit ?? false;
+    chain.setCallHandler(this.address, (call, blockNumber) => this.call(call, blockNumber));
+  }
+
+  setBalance(owner: string, balance: BigNumberish) {
+    this.balances.set(lower(owner), BigNumber.from(balance));
+  }
+
+  // Amount of the latest successful approve from owner to spender, mined up to the block
+  allowance(owner: string, spender: string, blockNumber = this.chain.blockNumber) {
+    let allowance = BigNumber.from(0);
+    for (let number = 0; number <= blockNumber; number++) {
+      const block = this.chain.getBlock(number)!;
+      block.transactions.forEach((tx, i) => {
+        if (block.receipts[i].status !== 1 || !tx.to || lower(tx.to) !== lower(this.address)) return;
+        if (lower(tx.from) !== lower(owner) || !tx.data.startsWith(erc20Interface.getSighash('approve'))) return;
+        const [approved, amount] = erc20Interface.decodeFunctionData('approve', tx.data);
+        if (lower(approved) === lower(spender)) allowance = amount;
+      });
+    }
+    return allowance;
+  }
+
+  // EIP-712 domain that permits are signed for
+  get domain() {
+    return { name: this.name, version: '1', chainId: this.chain.chainId, verifyingContract: this.address };
+  }
+
+  private call({ data }: MockCall, blockNumber: number) {
+    let fragment: utils.FunctionFragment;
+    try {
+      fragment = erc20Interface.getFunction(data.slice(0, 10));
+    } catch (error) {
+      throw revertError();
+    }
+    const args = erc20Interface.decodeFunctionData(fragment, data);
+    const result = (values: any[]) => erc20Interface.encodeFunctionResult(fragment, values);
+
+    switch (fragment.name) {
+      case 'name':
+      case 'symbol': {
+        const text = fragment.name === 'name' ? this.name : this.symbol;
+        return this.bytes32Metadata
+          ? utils.defaultAbiCoder.encode(['bytes32'], [utils.formatBytes32String(text)])
+          : result([text]);
+      }
+      case 'decimals':
+        return result([this.decimals]);
+      case 'balanceOf':
+        return result([this.balances.get(lower(args[0])) || 0]);
+      case 'allowance':
+        return result([this.allowance(args[0], args[1], blockNumber)]);
+      case 'approve':
+        return result([true]);
+      case 'nonces':
+        if (!this.permit) throw revertError();
+        return result([0]);
+      case 'DOMAIN_SEPARATOR':
+        if (!this.permit) throw revertError();
+        return result([utils._TypedDataEncoder.hashDomain(this.domain)]);
+      default:
+        throw revertError();
+    }
+  }
+}
@@ -0,0 +1,31 @@
+import { BigNumberish, providers, utils } from 'ethers';
+import { MockChain, MockChainOptions } from './mockChain';
+import { MockEip1193Provider } from './mockProvider';
+
+export interface TestChainOptions extends Partial<MockChainOptions> {
+  balance?: BigNumberish; // Starting balance of the first account (default none)
+  blocks?: number; // Blocks mined up front, each with transfers tipping 1, 2 and 3 gwei (default 0)
+}
+
+// A connected wallet on a fresh chain, as most hook tests need it: the chain, the wallet, its
+// first two accounts, and an ethers provider and signer on top of it
+export const setupTestChain = ({ balance, blocks = 0, chainId = 1, ...options }: TestChainOptions = {}) => {
+  const chain = new MockChain({ chainId, ...options });
+  const wallet = new MockEip1193Provider({ chains: [chain], authorized: true });
+  const [from, to] = wallet.accounts;
+  if (balance !== undefined) chain.setBalance(from, balance);
+
+  // Give the fee estimators some history
+  for (let i = 0; i < blocks; i++) {
+    [1, 2, 3].forEach((tip) => {
+      const fee = utils.parseUnits(String(tip), 'gwei');
+      chain.submitTransaction(chain.eip1559
+        ? { from, to: from, maxPriorityFeePerGas: fee, maxFeePerGas: utils.parseUnits('100', 'gwei') }
+        : { from, to: from, gasPrice: fee });
+    });
+    chain.mine();
+  }
+
+  const provider = new providers.Web3Provider(wallet, 'any');
+  return { chain, wallet, provider, signer: provider.getSigner(), from, to };
+};
@@ -0,0 +1,476 @@
+import { BigNumber, ContractInterface, ethers, providers } from 'ethers';
+import { subscribeToBlocks } from './blockListener';
+import { FailureReason, replayFailedTransaction } from './revertReason';
+import { createState } from './store';
+import { NonceTooLowError, UnauthorizedError, Web3Error, WalletNotConnectedError, normalizeError } from './errors';
+
+// Type for options to configure the transaction status store
+export interface TransactionStatusOptions {
+  initialPollingInterval?: number; // Block polling interval in ms when the provider can't push new blocks (default 5000)
+  requiredConfirmations?: number;
+  dropTimeout?: number; // How long a seen tx may be missing from the node before it's reported dropped (default 300000 ms)
+  signer?: ethers.Signer; // Signer used by speedUp/cancel (default the provider's signer when it's a wallet provider)
+  abi?: ContractInterface; // ABI of the called contract, to decode its custom errors on failure
+  finalityDepth?: number; // Confirmations after which a receipt is no longer checked for reorgs (default 64)
+  onReorg?: (event: { hash: string; blockNumber: number; blockHash: string }) => void; // Receipt's block left the canonical chain
+  onStatusChange?: (currentStatus: string, prevStatus: string) => void;
+  onConfirmation?: (transactionInfo: any) => void;
+  onError?: (error: Web3Error) => void;
+}
+
+// Fee multipliers (percent of current network fees) for each speed tier
+const TIER_MULTIPLIERS = { slow: 80, standard: 100, fast: 120 };
+type FeeTierName = keyof typeof TIER_MULTIPLIERS;
+
+// Nodes only accept a replacement that raises every fee field by at least 10%
+const MIN_REPLACEMENT_BUMP = 110;
+
+// Bump a fee to the replacement minimum, rounding up so it never lands just under it
+const bumpFee = (fee: BigNumber) => fee.mul(MIN_REPLACEMENT_BUMP).add(99).div(100);
+
+const maxOf = (a: BigNumber, b: BigNumber) => (a.gt(b) ? a : b);
+
+// Why a transaction's nonce was consumed by a different hash
+type ReplacementReason = 'repriced' | 'cancelled' | 'replaced';
+
+// Details of the transaction that took over our nonce
+interface TransactionReplacement {
+  reason: ReplacementReason;
+  hash: string;
+  receipt: providers.TransactionReceipt | null;
+}
+
+// Sender/nonce and payload remembered once the tx has been seen, to recognise replacements
+interface TrackedTransaction {
+  from: string;
+  nonce: number;
+  to: string | undefined;
+  data: string;
+  value: BigNumber;
+  checkedBlock: number; // Last block at which the nonce was known to be unused
+}
+
+// Type for transaction info
+export interface TransactionInfo {
+  status: string;
+  from: string | null;
+  nonce: number | null;
+  replacement: TransactionReplacement | null;
+  failureReason: FailureReason | null; // Why a mined transaction reverted
+  blockHash: string | null; // Block the receipt belongs to
+  finalized: boolean; // Past the finality depth or the chain's finalized block
+  confirmations: number;
+  gasUsed: string | null;
+  effectiveGasPrice: string | null;
+  error: Web3Error | null;
+  history: Array<{ status: string; timestamp: number; hash?: string }>;
+  mempoolPosition: number | null;
+  gasPriceRecommendations: { slow: string; standard: string; fast: string } | null;
+}
+
+// Transaction info plus the hash currently followed, which changes after speedUp/cancel
+export interface TransactionStatusSnapshot extends TransactionInfo {
+  hash: string;
+}
+
+// Options that can change without restarting the store
+type TransactionStatusCallbacks = Pick<TransactionStatusOptions, 'signer' | 'abi' | 'onReorg' | 'onStatusChange' | 'onConfirmation' | 'onError'>;
+
+// Store that monitors a transaction, checking it once per block while it has subscribers
+export const createTransactionStatusStore = (
+  provider: providers.JsonRpcProvider | null,
+  txHash: string,
+  {
+    initialPollingInterval = 5000,
+    requiredConfirmations = 1,
+    dropTimeout = 300000,
+    finalityDepth = 64,
+    ...callbacks
+  }: TransactionStatusOptions = {}
+) => {
+  let options: TransactionStatusCallbacks = callbacks;
+
+  // State to hold transaction status and details
+  const state = createState<TransactionStatusSnapshot>({
+    hash: txHash,
+    status: 'pending',
+    from: null,
+    nonce: null,
+    replacement: null,
+    failureReason: null,
+    blockHash: null,
+    finalized: false,
+    confirmations: 0,
+    gasUsed: null,
+    effectiveGasPrice: null,
+    error: null,
+    history: [],
+    mempoolPosition: null,
+    gasPriceRecommendations: null,
+  }, { onStart: () => start() });
+
+  // Hash being followed: the original, or the replacement sent through speedUp/cancel
+  let activeHash = txHash;
+  let trackedTx: TrackedTransaction | null = null;
+  let missingSince: number | null = null;
+  let settled = false; // Replaced or dropped, nothing left to poll for
+  let minedReceipt: providers.TransactionReceipt | null = null; // Once mined, only confirmations change
+  let finalized = false; // Receipt can no longer be reorged out
+  let finalizedTagSupported = true;
+  let prevStatus = 'pending';
+
+  // Update the info and report status changes to the callbacks
+  const setInfo = (update: (prev: TransactionStatusSnapshot) => TransactionStatusSnapshot) => {
+    state.setState(update);
+    const info = state.getSnapshot();
+
+    if (info.status !== prevStatus) {
+      options.onStatusChange?.(info.status, prevStatus);
+      prevStatus = info.status;
+    }
+    if (info.status === 'confirmed') {
+      options.onConfirmation?.(info);
+    }
+    if (info.status === 'error' && info.error) {
+      options.onError?.(info.error);
+    }
+  };
+
+  // Whether a block is at or below the chain's 'finalized' block, when the node exposes that tag
+  const isFinalizedBlock = async (blockNumber: number) => {
+    if (!finalizedTagSupported) return false;
+    try {
+      const finalizedBlock = await provider.send('eth_getBlockByNumber', ['finalized', false]);
+      return !!finalizedBlock && BigNumber.from(finalizedBlock.number).toNumber() >= blockNumber;
+    } catch (error) {
+      finalizedTagSupported = false;
+      return false;
+    }
+  };
+
+
+  // Get gas price recommendations based on fee data
+  const getGasPriceRecommendations = async () => {
+    try {
+      const feeData = await provider.getFeeData();
+      return {
+        slow: feeData.maxFeePerGas ? ethers.utils.formatUnits(feeData.maxFeePerGas.mul(TIER_MULTIPLIERS.slow).div(100), 'gwei') : '0',
+        standard: feeData.maxFeePerGas ? ethers.utils.formatUnits(feeData.maxFeePerGas, 'gwei') : '0',
+        fast: feeData.maxFeePerGas ? ethers.utils.formatUnits(feeData.maxFeePerGas.mul(TIER_MULTIPLIERS.fast).div(100), 'gwei') : '0',
+      };
+    } catch (error) {
+      console.error('Failed to get gas price recommendations', error);
+      return null;
+    }
+  };
+
+  // Get position of the transaction in the mempool
+  const getMempoolPosition = async (txHash: string) => {
+    try {
+      const pendingTransactions = await provider.send('eth_getBlockByNumber', ['pending', false]);
+      const position = pendingTransactions.transactions.indexOf(txHash);
+      return position === -1 ? null : position + 1;
+    } catch (error) {
+      console.error('Failed to get mempool position', error);
+      return null;
+    }
+  };
+
+  // Look for another transaction that was mined with our sender and nonce
+  const findReplacement = async (tracked: TrackedTransaction, currentBlock: number): Promise<TransactionReplacement | null> => {
+    const minedNonce = await provider.getTransactionCount(tracked.from, currentBlock);
+    if (minedNonce <= tracked.nonce) {
+      tracked.checkedBlock = currentBlock;
+      return null;
+    }
+
+    // The nonce was consumed since the last check; find the block that did it
+    for (let blockNumber = tracked.checkedBlock + 1; blockNumber <= currentBlock; blockNumber++) {
+      const block = await provider.getBlockWithTransactions(blockNumber);
+      const match = block?.transactions.find((candidate) =>
+        candidate.from.toLowerCase() === tracked.from.toLowerCase() && candidate.nonce === tracked.nonce
+      );
+      if (!match) continue;
+
+      // Our own tx was mined after the receipt lookup; the next poll picks it up
+      if (match.hash === activeHash) return null;
+
+      let reason: ReplacementReason = 'replaced';
+      if (match.data === tracked.data && match.to === tracked.to && match.value.eq(tracked.value)) {
+        reason = 'repriced';
+      } else if (match.data === '0x' && match.to?.toLowerCase() === match.from.toLowerCase() && match.value.isZero()) {
+        reason = 'cancelled';
+      }
+
+      const receipt = await provider.getTransactionReceipt(match.hash);
+      return { reason, hash: match.hash, receipt };
+    }
+
+    return null;
+  };
+
+  // Work out the transaction status as of the given block
+  const getTransactionStatus = async (currentBlock: number) => {
+    if (!provider || !activeHash || settled) return;
+
+    try {
+      // Mined receipts don't change unless their block is reorged out, so until finality
+      // only the block hash is re-checked
+      const knownReceipt = minedReceipt;
+      if (knownReceipt && !finalized) {
+        const block = await provider.getBlock(knownReceipt.blockNumber);
+        if (!block || block.hash !== knownReceipt.blockHash) {
+          minedReceipt = null;
+          setInfo((prev) => ({
+            ...prev,
+            status: 'reorged',
+            confirmations: 0,
+            blockHash: null,
+            history: [...prev.history, { status: 'reorged', timestamp: Date.now() }],
+          }));
+          options.onReorg?.({ hash: activeHash, blockNumber: knownReceipt.blockNumber, blockHash: knownReceipt.blockHash });
+          return;
+        }
+
+        const depth = currentBlock - knownReceipt.blockNumber + 1;
+        if (depth >= finalityDepth || await isFinalizedBlock(knownReceipt.blockNumber)) {
+          finalized = true;
+        }
+      }
+
+      const tx = knownReceipt ? null : await provider.getTransaction(activeHash);
+      if (tx && !trackedTx) {
+        trackedTx = {
+          from: tx.from,
+          nonce: tx.nonce,
+          to: tx.to,
+          data: tx.data,
+          value: tx.value,
+          checkedBlock: currentBlock - 1,
+        };
+        setInfo((prev) => ({ ...prev, from: tx.from, nonce: tx.nonce }));
+      }
+
+      const receipt = knownReceipt || (tx ? await provider.getTransactionReceipt(activeHash) : null);
+      if (receipt) {
+        minedReceipt = receipt;
+        // The receipt may come from a block newer than the head this check started at
+        const confirmations = Math.max(currentBlock, receipt.blockNumber) - receipt.blockNumber + 1;
+
+        const newStatus = receipt.status === 1
+          ? (confirmations >= requiredConfirmations ? 'confirmed' : 'confirming')
+          : 'failed';
+
+        setInfo((prev) => ({
+          ...prev,
+          status: newStatus,
+          confirmations,
+          blockHash: receipt.blockHash,
+          finalized,
+          gasUsed: receipt.gasUsed.toString(),
+          effectiveGasPrice: receipt.effectiveGasPrice.toString(),
+          error: null,
+          history: [...prev.history, { status: newStatus, timestamp: Date.now() }],
+          mempoolPosition: null,
+        }));
+
+        // Explain the failure once, when the receipt first shows up
+        if (receipt.status === 0 && !knownReceipt) {
+          const failedTx = tx || await provider.getTransaction(activeHash);
+          const failureReason = failedTx
+            ? await replayFailedTransaction(provider, failedTx, receipt, options.abi).catch((error) => {
+              console.error('Failed to decode revert reason', error);
+              return null;
+            })
+            : null;
+          setInfo((prev) => ({ ...prev, failureReason }));
+        }
+      } else {
+        const tracked = trackedTx;
+        const replacement = tracked ? await findReplacement(tracked, currentBlock) : null;
+        if (replacement) {
+          settled = true;
+          setInfo((prev) => ({
+            ...prev,
+            status: 'replaced',
+            replacement,
+            mempoolPosition: null,
+            history: [...prev.history, { status: 'replaced', timestamp: Date.now() }],
+          }));
+          return;
+        }
+
+        if (!tx) {
+          if (!tracked) {
+            setInfo((prev) => ({
+              ...prev,
+              status: 'not found',
+              error: new Web3Error('TRANSACTION_NOT_FOUND', 'Transaction not found'),
+              history: [...prev.history, { status: 'not found', timestamp: Date.now() }],
+            }));
+            return;
+          }
+
+          // Seen before but gone from the node without its nonce being used
+          missingSince = missingSince ?? Date.now();
+          if (Date.now() - missingSince >= dropTimeout) {
+            settled = true;
+            setInfo((prev) => ({
+              ...prev,
+              status: 'dropped',
+              error: new Web3Error('TRANSACTION_DROPPED', 'Transaction was dropped from the mempool'),
+              mempoolPosition: null,
+              history: [...prev.history, { status: 'dropped', timestamp: Date.now() }],
+            }));
+          }
+          return;
+        }
+
+        missingSince = null;
+        const mempoolPosition = await getMempoolPosition(activeHash);
+        const gasPriceRecommendations = await getGasPriceRecommendations();
+        
+        setInfo((prev) => ({
+          ...prev,
+          status: 'pending',
+          mempoolPosition,
+          gasPriceRecommendations,
+          history: [...prev.history, { status: 'pending', timestamp: Date.now() }],
+        }));
+      }
+    } catch (err) {
+      console.error('Failed to get transaction status', err);
+      setInfo((prev) => ({
+        ...prev,
+        status: 'error',
+        error: normalizeError(err, 'Failed to get transaction status'),
+        history: [...prev.history, { status: 'error', timestamp: Date.now() }],
+      }));
+    }
+  };
+
+  // Check the transaction once per new block
+  let checking = false;
+  const checkOnBlock = async (blockNumber: number) => {
+    // Skip heads that arrive while the previous check is still running
+    if (checking) return;
+    checking = true;
+    try {
+      await getTransactionStatus(blockNumber);
+    } finally {
+      checking = false;
+    }
+  };
+
+  // Re-send the same nonce with higher fees; a cancel sends an empty self-transfer instead of the payload
+  const replaceTransaction = async (tier: FeeTierName, cancel: boolean) => {
+    if (!provider) {
+      throw new WalletNotConnectedError({ message: 'Provider not available' });
+    }
+    const original = await provider.getTransaction(activeHash);
+    if (!original) {
+      throw new Web3Error('TRANSACTION_NOT_FOUND', 'Transaction not found');
+    }
+    if (original.blockNumber) {
+      throw new NonceTooLowError({ message: 'Transaction is already mined and can no longer be replaced' });
+    }
+
+    const txSigner = options.signer || (provider instanceof providers.Web3Provider ? provider.getSigner() : null);
+    if (!txSigner) {
+      throw new WalletNotConnectedError({ message: 'A signer is required to replace a transaction' });
+    }
+    const signerAddress = await txSigner.getAddress();
+    if (signerAddress.toLowerCase() !== original.from.toLowerCase()) {
+      throw new UnauthorizedError({ message: 'The connected account did not send this transaction' });
+    }
+
+    // Target the tier's share of current network fees, but never less than the replacement minimum
+    const feeData = await provider.getFeeData();
+    const scale = (fee: BigNumber) => fee.mul(TIER_MULTIPLIERS[tier]).div(100);
+    let fees;
+    if (original.maxFeePerGas && original.maxPriorityFeePerGas) {
+      const maxPriorityFeePerGas = maxOf(
+        scale(feeData.maxPriorityFeePerGas || original.maxPriorityFeePerGas),
+        bumpFee(original.maxPriorityFeePerGas)
+      );
+      const maxFeePerGas = maxOf(
+        maxOf(scale(feeData.maxFeePerGas || original.maxFeePerGas), bumpFee(original.maxFeePerGas)),
+        maxPriorityFeePerGas
+      );
+      fees = { maxFeePerGas, maxPriorityFeePerGas };
+    } else {
+      fees = { gasPrice: maxOf(scale(feeData.gasPrice || original.gasPrice), bumpFee(original.gasPrice)) };
+    }
+
+    const payload = cancel
+      ? { to: original.from, value: 0, data: '0x', gasLimit: 21000 }
+      : { to: original.to, value: original.value, data: original.data, gasLimit: original.gasLimit };
+
+    const response = await txSigner.sendTransaction({ ...payload, ...fees, nonce: original.nonce, chainId: original.chainId });
+
+    // Follow the new hash, keeping the timeline of the original
+    trackHash(response.hash);
+    setInfo((prev) => ({
+      ...prev,
+      status: 'pending',
+      replacement: null,
+      error: null,
+      history: [...prev.history, { status: cancel ? 'cancel' : 'speedUp', timestamp: Date.now(), hash: response.hash }],
+    }));
+
+    return response.hash;
+  };
+
+
+  // Rejects with a Web3Error, e.g. ReplacementUnderpricedError or UserRejectedError
+  const replaceWithNormalizedErrors = (tier: FeeTierName, cancel: boolean) =>
+    replaceTransaction(tier, cancel).catch((error) => {
+      throw normalizeError(error, 'Failed to replace the transaction');
+    });
+
+  // Resend with bumped fees for the given tier
+  const speedUp = (tier: FeeTierName = 'fast') => replaceWithNormalizedErrors(tier, false);
+
+  // Replace with a zero-value transfer to self
+  const cancel = () => replaceWithNormalizedErrors('fast', true);
+
+  // Check the current hash right away instead of waiting for the next block
+  const checkNow = () => {
+    provider.getBlockNumber()
+      .then(checkOnBlock)
+      .catch((error) => console.error('Failed to get block number', error));
+  };
+
+  // Forget what we learned about the previous hash and follow the new one
+  const trackHash = (hash: string) => {
+    activeHash = hash;
+    trackedTx = null;
+    missingSince = null;
+    settled = false;
+    minedReceipt = null;
+    finalized = false;
+    state.setState((prev) => ({ ...prev, hash }));
+    checkNow();
+  };
+
+  const start = () => {
+    if (!provider || !activeHash) return;
+    const unsubscribe = subscribeToBlocks(provider, checkOnBlock, initialPollingInterval);
+    checkNow();
+    return unsubscribe;
+  };
+
+  const setOptions = (newOptions: TransactionStatusCallbacks) => {
+    options = newOptions;
+  };
+
+  return {
+    getSnapshot: state.getSnapshot,
+    subscribe: state.subscribe,
+    speedUp,
+    cancel,
+    setOptions,
+  };
+};
+
+export type TransactionStatusStore = ReturnType<typeof createTransactionStatusStore>;
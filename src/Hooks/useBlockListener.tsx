@@ -0,0 +1,21 @@
+import { useEffect, useRef } from 'react';
+import { providers } from 'ethers';
+import { subscribeToBlocks } from './blockListener';
+
+// Run a callback once for every new block, sharing one block stream per provider
+export const useBlockListener = (
+  provider: providers.Provider | null,
+  onBlock: (blockNumber: number) => void,
+  pollingInterval?: number // Poll interval in ms for providers without subscriptions (default 4000)
+) => {
+  // Keep the latest callback without resubscribing on every render
+  const onBlockRef = useRef(onBlock);
+  useEffect(() => {
+    onBlockRef.current = onBlock;
+  }, [onBlock]);
+
+  useEffect(() => {
+    if (!provider) return;
+    return subscribeToBlocks(provider, (blockNumber) => onBlockRef.current(blockNumber), pollingInterval);
+  }, [provider, pollingInterval]);
+};
@@ -0,0 +1,92 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { act, cleanup, renderHook, waitFor } from '@testing-library/react';
+import { utils } from 'ethers';
+import { useContractEvents } from './useContractEvents';
+import { MockChain } from './testing/mockChain';
+import { setupTestChain } from './testing/testChain';
+
+const TOKEN = utils.getAddress('0x00000000000000000000000000000000000000cc');
+const abi = ['event Transfer(address indexed from, address indexed to, uint256 value)'];
+const iface = new utils.Interface(abi);
+
+// Submit a transaction emitting a token Transfer log
+const transfer = (chain: MockChain, from: string, to: string, value: number) => {
+  const { data, topics } = iface.encodeEventLog(iface.getEvent('Transfer'), [from, to, value]);
+  return chain.submitTransaction({ from, to: TOKEN, data: '0x12345678', logs: [{ address: TOKEN, topics, data }] });
+};
+
+const values = (events: Array<{ args: utils.Result }>) => events.map((event) => event.args.value.toNumber());
+
+describe('useContractEvents', () => {
+  afterEach(cleanup);
+
+  it('backfills in smaller pages when the node refuses the block range', async () => {
+    const { chain, provider, from, to } = setupTestChain({ maxLogBlockRange: 3 });
+    [1, 2, 3].forEach((value) => {
+      transfer(chain, from, to, value);
+      chain.mine(4);
+    });
+    const request = vi.spyOn(chain, 'request');
+
+    const { result } = renderHook(() => useContractEvents({ provider, address: TOKEN, abi, eventName: 'Transfer', fromBlock: 0, blockRange: 8 }));
+
+    await waitFor(() => expect(result.current.syncedBlock).toBe(12));
+    expect(values(result.current.events)).toEqual([1, 2, 3]);
+    expect(result.current.error).toBeNull();
+    // Pages of 8 and 4 blocks were refused before settling on 2
+    const ranges = request.mock.calls
+      .filter(([method]) => method === 'eth_getLogs')
+      .map(([, params]) => Number(params![0].toBlock) - Number(params![0].fromBlock) + 1);
+    expect(ranges.slice(0, 3)).toEqual([8, 4, 2]);
+  });
+
+  it('follows new events and filters on indexed arguments', async () => {
+    const { chain, provider, from, to } = setupTestChain();
+    const onEvent = vi.fn();
+    const { result } = renderHook(() => useContractEvents({ provider, address: TOKEN, abi, eventName: 'Transfer', args: [null, to], pollingInterval: 50, onEvent }));
+    await waitFor(() => expect(result.current.syncedBlock).toBe(0));
+
+    act(() => {
+      transfer(chain, from, to, 5);
+      transfer(chain, from, from, 6);
+      chain.mine();
+    });
+    await waitFor(() => expect(values(result.current.events)).toEqual([5]));
+
+    act(() => {
+      transfer(chain, from, to, 7);
+      chain.mine(2);
+    });
+    await waitFor(() => expect(values(result.current.events)).toEqual([5, 7]));
+    expect(values(onEvent.mock.calls.map(([event]) => event))).toEqual([5, 7]);
+    expect(result.current.events.map((event) => event.blockNumber)).toEqual([1, 2]);
+  });
+
+  it('retracts events whose block was reorged out and follows those mined again', async () => {
+    const { chain, provider, from, to } = setupTestChain();
+    const onRemoved = vi.fn();
+    const { result } = renderHook(() => useContractEvents({ provider, address: TOKEN, abi, eventName: 'Transfer', pollingInterval: 50, onRemoved }));
+    await waitFor(() => expect(result.current.syncedBlock).toBe(0));
+
+    let dropped = '';
+    act(() => {
+      transfer(chain, to, from, 1);
+      dropped = transfer(chain, from, to, 2);
+      chain.mine();
+    });
+    await waitFor(() => expect(values(result.current.events)).toEqual([1, 2]));
+    const minedIn = result.current.events[0].blockHash;
+
+    // The second transfer is gone; the first is mined again one block later
+    act(() => {
+      chain.reorg(1, { newBlocks: 0, drop: [dropped] });
+      chain.mine(1, { include: [] });
+      chain.mine();
+    });
+    await waitFor(() => expect(values(result.current.events)).toEqual([1]));
+    expect(onRemoved).toHaveBeenCalledTimes(1);
+    expect(onRemoved.mock.calls[0][0].transactionHash).toBe(dropped);
+    expect(result.current.events[0]).toMatchObject({ blockNumber: 2, blockHash: chain.getBlock(2)!.hash });
+    expect(result.current.events[0].blockHash).not.toBe(minedIn);
+  });
+});
@@ -0,0 +1,229 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { ContractInterface, providers, utils } from 'ethers';
+import { fetchLogsInRange } from './logs';
+import { useBlockListener } from './useBlockListener';
+import { Web3Error, normalizeError } from './errors';
+
+// A decoded contract event
+export interface ContractEvent {
+  key: string; // `${transactionHash}:${logIndex}`, unique per log
+  name: string;
+  signature: string;
+  args: utils.Result;
+  address: string;
+  blockNumber: number;
+  blockHash: string;
+  transactionHash: string;
+  logIndex: number;
+  log: providers.Log;
+}
+
+// Options to configure the event subscription
+interface ContractEventsOptions {
+  provider: providers.Provider | null; // e.g. readProvider from useWalletMultiChain
+  address: string | null;
+  abi: ContractInterface;
+  eventName: string;
+  args?: any[]; // Values for indexed parameters; null matches anything
+  fromBlock?: number; // Backfill history from this block (default only new events)
+  blockRange?: number; // Blocks per eth_getLogs request, halved automatically when the node refuses (default 2000)
+  reorgDepth?: number; // Recent blocks re-queried on every new block to catch reorged logs (default 12)
+  maxEvents?: number; // Oldest events beyond this are discarded (default 1000)
+  enabled?: boolean; // Set to false to pause the subscription (default true)
+  pollingInterval?: number; // Block polling interval in ms for providers without subscriptions (default 4000)
+  onEvent?: (event: ContractEvent) => void; // New live events, after the backfill
+  onRemoved?: (event: ContractEvent) => void; // Events retracted because their block was reorged out
+}
+
+const eventKey = (log: providers.Log) => `${log.transactionHash}:${log.logIndex}`;
+
+const compareEvents = (a: ContractEvent, b: ContractEvent) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+
+// Hook to backfill and then follow a contract event, with reorged logs retracted
+export const useContractEvents = ({
+  provider,
+  address,
+  abi,
+  eventName,
+  args = [],
+  fromBlock,
+  blockRange,
+  reorgDepth = 12,
+  maxEvents = 1000,
+  enabled = true,
+  pollingInterval,
+  onEvent,
+  onRemoved,
+}: ContractEventsOptions) => {
+  const [events, setEvents] = useState<ContractEvent[]>([]);
+  const [backfilling, setBackfilling] = useState(false);
+  const [syncedBlock, setSyncedBlock] = useState<number | null>(null);
+  const [error, setError] = useState<Web3Error | null>(null);
+
+  const iface = useMemo(() => (abi instanceof utils.Interface ? abi : new utils.Interface(abi as any)), [abi]);
+  const ifaceRef = useRef(iface);
+  ifaceRef.current = iface;
+  const callbacksRef = useRef({ onEvent, onRemoved });
+  callbacksRef.current = { onEvent, onRemoved };
+
+  // ABIs and args are usually inline literals, so key the subscription on the encoded topics
+  let topics: Array<string | string[] | null> | null = null;
+  let filterError: string | null = null;
+  if (enabled) {
+    try {
+      topics = iface.encodeFilterTopics(eventName, args);
+    } catch (err: any) {
+      filterError = `Invalid filter for ${eventName}: ${err.reason || err.message}`;
+    }
+  }
+  const topicsKey = topics ? JSON.stringify(topics) : null;
+
+  // Known events by key, plus the sync position of the current subscription
+  const eventsRef = useRef(new Map<string, ContractEvent>());
+  const syncedBlockRef = useRef<number | null>(null);
+  const startBlockRef = useRef(0);
+  const runRef = useRef(0);
+
+  const decode = useCallback((log: providers.Log): ContractEvent | null => {
+    try {
+      const parsed = ifaceRef.current.parseLog(log);
+      return {
+        key: eventKey(log),
+        name: parsed.name,
+        signature: parsed.signature,
+        args: parsed.args,
+        address: log.address,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+        log,
+      };
+    } catch (err) {
+      // Another event sharing the topic hash but not this ABI's layout
+      return null;
+    }
+  }, []);
+
+  // Replace everything known from `from` onwards with what the node returned for that range.
+  // Events that were known but are missing now sat on reorged blocks.
+  const applyRange = useCallback((from: number, logs: providers.Log[], live: boolean, replaceTail: boolean) => {
+    const known = eventsRef.current;
+    const fetched = logs.filter((log) => !log.removed).map(decode).filter(Boolean) as ContractEvent[];
+    const fetchedKeys = new Set(fetched.map((event) => event.key));
+    const added = fetched.filter((event) => !known.has(event.key));
+    // Logs re-included in another block keep their key but change block
+    const moved = fetched.some((event) => known.has(event.key) && known.get(event.key)!.blockHash !== event.blockHash);
+
+    const removed: ContractEvent[] = [];
+    if (replaceTail) {
+      known.forEach((event, key) => {
+        if (event.blockNumber >= from && !fetchedKeys.has(key)) {
+          known.delete(key);
+          removed.push(event);
+        }
+      });
+    }
+    fetched.forEach((event) => known.set(event.key, event));
+
+    // Most blocks bring nothing new, so skip the re-render
+    if (added.length === 0 && removed.length === 0 && !moved) return;
+
+    // Bound memory by dropping the oldest events
+    if (known.size > maxEvents) {
+      const sorted = Array.from(known.values()).sort(compareEvents);
+      sorted.slice(0, known.size - maxEvents).forEach((event) => known.delete(event.key));
+    }
+
+    setEvents(Array.from(known.values()).sort(compareEvents));
+    removed.forEach((event) => callbacksRef.current.onRemoved?.(event));
+    if (live) {
+      added.forEach((event) => callbacksRef.current.onEvent?.(event));
+    }
+  }, [decode, maxEvents]);
+
+  // Start over whenever the subscription changes, backfilling from fromBlock to the current head
+  useEffect(() => {
+    const run = ++runRef.current;
+    eventsRef.current = new Map();
+    syncedBlockRef.current = null;
+    setEvents([]);
+    setSyncedBlock(null);
+    setError(filterError ? new Web3Error('INVALID_ARGUMENT', filterError) : null);
+    setBackfilling(false);
+    if (!provider || !address || !topicsKey) return;
+
+    const isCancelled = () => run !== runRef.current;
+    const filter = { address, topics: JSON.parse(topicsKey) };
+
+    (async () => {
+      try {
+        const head = await provider.getBlockNumber();
+        if (isCancelled()) return;
+        const start = fromBlock === undefined ? head + 1 : Math.min(fromBlock, head + 1);
+        startBlockRef.current = start;
+
+        if (start <= head) {
+          setBackfilling(true);
+          const completed = await fetchLogsInRange(
+            provider, filter, start, head,
+            (logs) => applyRange(start, logs, false, false),
+            { blockRange, isCancelled }
+          );
+          if (!completed) return;
+        }
+        syncedBlockRef.current = head;
+        setSyncedBlock(head);
+      } catch (err) {
+        if (isCancelled()) return;
+        setError(normalizeError(err, 'Failed to load past events'));
+      } finally {
+        if (!isCancelled()) setBackfilling(false);
+      }
+    })();
+  }, [provider, address, topicsKey, filterError, fromBlock, blockRange, applyRange]);
+
+  // On each new block fetch what's new, re-checking the last reorgDepth blocks
+  const syncingRef = useRef(false);
+  const syncOnBlock = useCallback(async (blockNumber: number) => {
+    const synced = syncedBlockRef.current;
+    // Skip heads during the backfill and while the previous sync is still running
+    if (!provider || !address || !topicsKey || synced === null || syncingRef.current) return;
+
+    const run = runRef.current;
+    const isCancelled = () => run !== runRef.current;
+    const from = Math.max(startBlockRef.current, Math.min(synced + 1, blockNumber - reorgDepth + 1));
+    if (from > blockNumber) return;
+
+    syncingRef.current = true;
+    try {
+      // Collect the whole range first so the tail is replaced in one step
+      const logs: providers.Log[] = [];
+      const completed = await fetchLogsInRange(
+        provider, { address, topics: JSON.parse(topicsKey) }, from, blockNumber,
+        (page) => logs.push(...page),
+        { blockRange, isCancelled }
+      );
+      if (!completed) return;
+
+      applyRange(from, logs, true, true);
+      syncedBlockRef.current = blockNumber;
+      setSyncedBlock(blockNumber);
+      setError(null);
+    } catch (err) {
+      if (isCancelled()) return;
+      setError(normalizeError(err, 'Failed to load new events'));
+    } finally {
+      syncingRef.current = false;
+    }
+  }, [provider, address, topicsKey, reorgDepth, blockRange, applyRange]);
+
+  useBlockListener(enabled ? provider : null, syncOnBlock, pollingInterval);
+
+  return {
+    events,
+    backfilling,
+    syncedBlock,
+    error,
+  };
+};
@@ -0,0 +1,52 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { cleanup, renderHook, waitFor } from '@testing-library/react';
+import { utils } from 'ethers';
+import { useContractRead } from './useContractRead';
+import { revertError } from './testing/mockChain';
+import { setupTestChain } from './testing/testChain';
+
+const VAULT = utils.getAddress('0x00000000000000000000000000000000000000dd');
+const vault = new utils.Interface([
+  'function owner() view returns (address)',
+  'function totalAssets() view returns (uint256)',
+  'error NotInitialized(uint256 since)',
+]);
+
+// A vault whose totalAssets() reverts with a custom error until it's initialized
+const deployVault = () => {
+  const setup = setupTestChain();
+  setup.chain.setCallHandler(VAULT, ({ data }) => {
+    if (data.startsWith(vault.getSighash('owner'))) {
+      return vault.encodeFunctionResult('owner', [setup.from]);
+    }
+    throw revertError(vault.encodeErrorResult('NotInitialized', [42]));
+  });
+  return setup;
+};
+
+const read = (provider: any, functionName: string) => () =>
+  useContractRead({ provider, address: VAULT, abi: vault, functionName, watch: false });
+
+describe('useContractRead', () => {
+  afterEach(cleanup);
+
+  it('reports a single read that reverts', async () => {
+    const { provider } = deployVault();
+    const { result } = renderHook(read(provider, 'totalAssets'));
+
+    await waitFor(() => expect(result.current.error).not.toBeNull());
+    expect(result.current.error).toMatchObject({ code: 'EXECUTION_REVERTED' });
+    expect(result.current.failureReason).toMatchObject({ name: 'NotInitialized', args: [expect.anything()] });
+    expect(result.current.failureReason!.args![0].toNumber()).toBe(42);
+    expect(result.current.data).toBeNull();
+  });
+
+  it('keeps reverts apart when Multicall3 is missing', async () => {
+    const { provider, from } = deployVault();
+    const { result } = renderHook(() => ({ owner: read(provider, 'owner')(), assets: read(provider, 'totalAssets')() }));
+
+    await waitFor(() => expect(result.current.owner.data).toBe(from));
+    await waitFor(() => expect(result.current.assets.failureReason).toMatchObject({ name: 'NotInitialized' }));
+    expect(result.current.owner.error).toBeNull();
+  });
+});
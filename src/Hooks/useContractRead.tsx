@@ -0,0 +1,116 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { ContractInterface, providers, utils } from 'ethers';
+import { batchCall } from './multicall';
+import { FailureReason, decodeRevertData } from './revertReason';
+import { useBlockListener } from './useBlockListener';
+import { ExecutionRevertedError, Web3Error, normalizeError } from './errors';
+
+// Options to configure a contract read
+interface ContractReadOptions {
+  provider: providers.Provider | null; // e.g. readProvider from useWalletMultiChain
+  address: string | null; // Contract address; nothing is read while null
+  abi: ContractInterface;
+  functionName: string;
+  args?: any[];
+  enabled?: boolean; // Set to false to pause reading (default true)
+  watch?: boolean; // Re-read on every new block (default true)
+  pollingInterval?: number; // Block polling interval in ms for providers without subscriptions (default 4000)
+  onSuccess?: (data: any) => void;
+  onError?: (error: Web3Error) => void;
+}
+
+// Hook to read a view function, batched with every other mounted read through Multicall3
+export const useContractRead = ({
+  provider,
+  address,
+  abi,
+  functionName,
+  args = [],
+  enabled = true,
+  watch = true,
+  pollingInterval,
+  onSuccess,
+  onError,
+}: ContractReadOptions) => {
+  const [data, setData] = useState<any>(null);
+  const [error, setError] = useState<Web3Error | null>(null);
+  const [failureReason, setFailureReason] = useState<FailureReason | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  // ABIs and args are usually inline literals, so key the read on the encoded calldata instead
+  const iface = useMemo(() => (abi instanceof utils.Interface ? abi : new utils.Interface(abi as any)), [abi]);
+  const ifaceRef = useRef(iface);
+  ifaceRef.current = iface;
+  const callbacksRef = useRef({ onSuccess, onError });
+  callbacksRef.current = { onSuccess, onError };
+
+  // Args are often incomplete while a read is disabled, so only encode enabled reads
+  let callData: string | null = null;
+  let encodeError: string | null = null;
+  if (enabled) {
+    try {
+      callData = iface.encodeFunctionData(functionName, args);
+    } catch (err: any) {
+      encodeError = `Invalid call to ${functionName}: ${err.reason || err.message}`;
+    }
+  }
+
+  // Responses for calls that are no longer current are ignored
+  const requestRef = useRef(0);
+  const lastReturnDataRef = useRef<string | null>(null);
+
+  const read = useCallback(async () => {
+    if (!provider || !address || !callData || !enabled) return;
+
+    const request = ++requestRef.current;
+    setLoading(true);
+    try {
+      const { success, returnData } = await batchCall(provider, address, callData);
+      if (request !== requestRef.current) return;
+
+      if (!success) {
+        const reason = decodeRevertData(returnData, ifaceRef.current);
+        lastReturnDataRef.current = null;
+        setFailureReason(reason);
+        throw new ExecutionRevertedError(reason, { message: `${functionName} reverted: ${reason.message}` });
+      }
+
+      // Most blocks don't change the result, so skip the re-render
+      if (returnData !== lastReturnDataRef.current) {
+        const result = ifaceRef.current.decodeFunctionResult(functionName, returnData);
+        const value = result.length === 1 ? result[0] : result;
+        lastReturnDataRef.current = returnData;
+        setData(value);
+        callbacksRef.current.onSuccess?.(value);
+      }
+      setFailureReason(null);
+      setError(null);
+    } catch (err) {
+      if (request !== requestRef.current) return;
+      const readError = normalizeError(err, `Failed to read ${functionName}`);
+      setError(readError);
+      callbacksRef.current.onError?.(readError);
+    } finally {
+      if (request === requestRef.current) setLoading(false);
+    }
+  }, [provider, address, callData, functionName, enabled]);
+
+  // Start over whenever the call itself changes
+  useEffect(() => {
+    lastReturnDataRef.current = null;
+    setData(null);
+    setFailureReason(null);
+    setError(encodeError ? new Web3Error('INVALID_ARGUMENT', encodeError) : null);
+    read();
+  }, [read, encodeError]);
+
+  useBlockListener(watch && enabled ? provider : null, read, pollingInterval);
+
+  return {
+    data,
+    error,
+    failureReason,
+    loading,
+    refetch: read,
+  };
+};
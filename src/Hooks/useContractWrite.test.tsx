@@ -0,0 +1,94 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { act, cleanup, renderHook } from '@testing-library/react';
+import { providers, utils } from 'ethers';
+import { useContractWrite } from './useContractWrite';
+import { Web3Error } from './errors';
+import { revertError, rpcError } from './testing/mockChain';
+import { setupTestChain } from './testing/testChain';
+
+const VAULT = utils.getAddress('0x00000000000000000000000000000000000000dd');
+const vault = new utils.Interface([
+  'function deposit(uint256 amount)',
+  'error AmountTooLarge(uint256 max)',
+]);
+
+// A vault that takes deposits of up to 100
+const deployVault = () => {
+  const setup = setupTestChain({ balance: utils.parseEther('1') });
+  setup.chain.setCallHandler(VAULT, ({ data }) => {
+    const [amount] = vault.decodeFunctionData('deposit', data);
+    if (amount.gt(100)) throw revertError(vault.encodeErrorResult('AmountTooLarge', [100]));
+    return '0x';
+  });
+  return setup;
+};
+
+const deposit = (signer: providers.JsonRpcSigner | null) => () =>
+  useContractWrite({ signer, address: VAULT, abi: vault, functionName: 'deposit', feeTier: 'fast' });
+
+describe('useContractWrite', () => {
+  afterEach(cleanup);
+
+  it('simulates, sends and gets mined', async () => {
+    const { chain, provider, signer } = deployVault();
+    const { result } = renderHook(deposit(signer));
+
+    await act(async () => {
+      expect(await result.current.simulate([50])).toBeNull();
+    });
+
+    let hash = '';
+    await act(async () => {
+      hash = (await result.current.write([50])).hash;
+    });
+    expect(result.current).toMatchObject({ status: 'sent', hash, error: null, failureReason: null });
+
+    // Priced with the estimator's fast tier and its estimate of the call
+    const [sent] = chain.pendingTransactions;
+    const { estimation } = result.current;
+    expect(sent.data).toBe(vault.encodeFunctionData('deposit', [50]));
+    expect(sent.gasLimit.toNumber()).toBe(100000);
+    expect(estimation!.gasLimitEstimated).toBe(true);
+    expect(sent.maxFeePerGas!.eq(estimation!.tiers.fast.maxFeePerGas!)).toBe(true);
+
+    chain.mine();
+    const receipt = await provider.getTransactionReceipt(hash);
+    expect(receipt.status).toBe(1);
+  });
+
+  it('does not send a call that would revert', async () => {
+    const { chain, signer } = deployVault();
+    const { result } = renderHook(deposit(signer));
+
+    await act(async () => {
+      expect(await result.current.simulate([500])).toMatchObject({ name: 'AmountTooLarge' });
+    });
+    await act(async () => {
+      await expect(result.current.write([500])).rejects.toMatchObject({ code: 'EXECUTION_REVERTED' });
+    });
+
+    expect(result.current.status).toBe('error');
+    expect(result.current.failureReason!.args![0].toNumber()).toBe(100);
+    expect(chain.pendingTransactions).toEqual([]);
+  });
+
+  it('reports simulation failures as Web3 errors', async () => {
+    const { chain, signer } = deployVault();
+    chain.setMethodHandler('eth_call', () => {
+      throw rpcError(-32603, 'Internal error');
+    });
+    const { result } = renderHook(deposit(signer));
+
+    let error: unknown;
+    await act(async () => {
+      error = await result.current.simulate([50]).catch((err) => err);
+    });
+    expect(error).toBeInstanceOf(Web3Error);
+    expect(error).toMatchObject({ code: 'INTERNAL' });
+
+    const { result: disconnected } = renderHook(deposit(null));
+    await act(async () => {
+      await expect(disconnected.current.simulate([50])).rejects.toMatchObject({ code: 'WALLET_NOT_CONNECTED' });
+    });
+  });
+});
@@ -0,0 +1,138 @@
+import { useState, useCallback, useMemo } from 'react';
+import { ContractInterface, Signer, providers, utils } from 'ethers';
+import { ChainRegistry } from './chains';
+import { FailureReason, simulateTransaction } from './revertReason';
+import { GasEstimation, useGasEstimator } from './useGasEstimator';
+import { ExecutionRevertedError, Web3Error, WalletNotConnectedError, normalizeError } from './errors';
+
+export type ContractWriteStatus = 'idle' | 'simulating' | 'estimating' | 'signing' | 'sent' | 'error';
+
+// Options to configure a contract write
+interface ContractWriteOptions {
+  signer: Signer | null; // Signer of the connected wallet, e.g. wallet.provider.getSigner()
+  address: string | null;
+  abi: ContractInterface;
+  functionName: string;
+  feeTier?: 'slow' | 'standard' | 'fast'; // Fee tier from the gas estimator (default 'standard')
+  chains?: ChainRegistry; // Passed to the gas estimator to pick the fee model
+  onSent?: (response: providers.TransactionResponse) => void;
+  onError?: (error: Web3Error) => void;
+}
+
+// Hook to call a state-changing contract function: simulate, estimate fees, then send.
+// The returned hash can be passed straight to useTransactionStatus.
+export const useContractWrite = ({
+  signer,
+  address,
+  abi,
+  functionName,
+  feeTier = 'standard',
+  chains,
+  onSent,
+  onError,
+}: ContractWriteOptions) => {
+  const [status, setStatus] = useState<ContractWriteStatus>('idle');
+  const [hash, setHash] = useState<string | null>(null);
+  const [error, setError] = useState<Web3Error | null>(null);
+  const [failureReason, setFailureReason] = useState<FailureReason | null>(null);
+  const [estimation, setEstimation] = useState<GasEstimation | null>(null);
+
+  const iface = useMemo(() => (abi instanceof utils.Interface ? abi : new utils.Interface(abi as any)), [abi]);
+  const provider = (signer?.provider as providers.JsonRpcProvider | undefined) || null;
+
+  // Fees are only needed at send time, so the estimator doesn't follow blocks
+  const { estimateGas } = useGasEstimator({ provider, chains, watch: false });
+
+  // Build the transaction for the given arguments
+  const buildTransaction = useCallback(async (args: any[], overrides: providers.TransactionRequest) => {
+    if (!signer || !provider) {
+      throw new WalletNotConnectedError({ message: 'Connect a wallet before sending transactions' });
+    }
+    if (!address) {
+      throw new Web3Error('INVALID_ARGUMENT', 'Contract address is not set');
+    }
+    return {
+      to: address,
+      data: iface.encodeFunctionData(functionName, args),
+      ...overrides,
+      from: await signer.getAddress(),
+    };
+  }, [signer, provider, address, iface, functionName]);
+
+  // Dry-run the call; resolves null when it would succeed
+  const simulate = useCallback(async (args: any[] = [], overrides: providers.TransactionRequest = {}) => {
+    try {
+      const tx = await buildTransaction(args, overrides);
+      const reason = await simulateTransaction(provider!, tx, iface);
+      setFailureReason(reason);
+      return reason;
+    } catch (err) {
+      throw normalizeError(err, `Failed to simulate ${functionName}`);
+    }
+  }, [buildTransaction, provider, iface, functionName]);
+
+  // Simulate, price with the gas estimator and send through the signer
+  const write = useCallback(async (args: any[] = [], overrides: providers.TransactionRequest = {}) => {
+    try {
+      setError(null);
+      setHash(null);
+      setStatus('simulating');
+      const tx = await buildTransaction(args, overrides);
+      const reason = await simulateTransaction(provider!, tx, iface);
+      setFailureReason(reason);
+      if (reason) {
+        throw new ExecutionRevertedError(reason, { message: `Transaction would revert: ${reason.message}` });
+      }
+
+      setStatus('estimating');
+      const gasEstimation = await estimateGas(tx);
+      setEstimation(gasEstimation || null);
+
+      // Fall back to the signer's own estimate when the estimator couldn't estimate this call
+      const gasLimit = overrides.gasLimit
+        ?? (gasEstimation?.gasLimitEstimated ? gasEstimation.gasLimit : await signer!.estimateGas(tx));
+
+      // Explicit fee overrides win over the estimator's tier
+      const tier = gasEstimation?.tiers[feeTier];
+      const hasFeeOverrides = overrides.gasPrice !== undefined || overrides.maxFeePerGas !== undefined;
+      const fees = !tier || hasFeeOverrides
+        ? {}
+        : tier.gasPrice
+          ? { gasPrice: tier.gasPrice }
+          : { maxFeePerGas: tier.maxFeePerGas!, maxPriorityFeePerGas: tier.maxPriorityFeePerGas! };
+
+      setStatus('signing');
+      const response = await signer!.sendTransaction({ ...tx, ...fees, gasLimit });
+      setHash(response.hash);
+      setStatus('sent');
+      onSent?.(response);
+      return response;
+    } catch (err) {
+      const writeError = normalizeError(err, `Failed to send ${functionName}`);
+      setError(writeError);
+      setStatus('error');
+      onError?.(writeError);
+      throw writeError;
+    }
+  }, [buildTransaction, provider, iface, estimateGas, signer, feeTier, functionName, onSent, onError]);
+
+  // Back to idle, e.g. before sending the next transaction
+  const reset = useCallback(() => {
+    setStatus('idle');
+    setHash(null);
+    setError(null);
+    setFailureReason(null);
+    setEstimation(null);
+  }, []);
+
+  return {
+    status,
+    hash,
+    error,
+    failureReason,
+    estimation,
+    simulate,
+    write,
+    reset,
+  };
+};
@@ -0,0 +1,114 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { cleanup, renderHook, waitFor } from '@testing-library/react';
+import { constants, utils } from 'ethers';
+import { useEnsAddress, useEnsAvatar, useEnsName } from './useEns';
+import { MockChain } from './testing/mockChain';
+import { setupTestChain } from './testing/testChain';
+
+const ENS_REGISTRY = '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e';
+const RESOLVER = utils.getAddress('0x0000000000000000000000000000000000000e01');
+
+const registry = new utils.Interface(['function resolver(bytes32 node) view returns (address)']);
+const resolver = new utils.Interface([
+  'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+  'function addr(bytes32 node) view returns (address)',
+  'function name(bytes32 node) view returns (string)',
+  'function text(bytes32 node, string key) view returns (string)',
+]);
+
+const reverseName = (address: string) => `${address.slice(2).toLowerCase()}.addr.reverse`;
+
+// Script the ENS registry and one public resolver holding the given records
+const deployEns = (
+  chain: MockChain,
+  names: Record<string, { address: string; avatar?: string }>,
+  reverse: Record<string, string>
+) => {
+  const records = new Map<string, { address?: string; avatar?: string; name?: string }>();
+  Object.entries(names).forEach(([name, record]) => records.set(utils.namehash(name), record));
+  Object.entries(reverse).forEach(([address, name]) => records.set(utils.namehash(reverseName(address)), { name }));
+
+  chain.setCallHandler(ENS_REGISTRY, ({ data }) => {
+    const [node] = registry.decodeFunctionData('resolver', data);
+    return registry.encodeFunctionResult('resolver', [records.has(node) ? RESOLVER : constants.AddressZero]);
+  });
+  chain.setCallHandler(RESOLVER, ({ data }) => {
+    const call = resolver.parseTransaction({ data });
+    const record = records.get(call.args[0]) || {};
+    switch (call.name) {
+      case 'supportsInterface':
+        return resolver.encodeFunctionResult('supportsInterface', [false]);
+      case 'addr':
+        return resolver.encodeFunctionResult('addr', [record.address || constants.AddressZero]);
+      case 'name':
+        return resolver.encodeFunctionResult('name', [record.name || '']);
+      default:
+        return resolver.encodeFunctionResult('text', [call.args[1] === 'avatar' ? record.avatar || '' : '']);
+    }
+  });
+};
+
+// Mainnet with alice.eth pointing at the first account. The second account claims alice.eth
+// as its reverse record, which alice.eth doesn't confirm.
+const setupEns = () => {
+  const setup = setupTestChain();
+  deployEns(setup.chain, {
+    'alice.eth': { address: setup.from, avatar: 'https://example.com/alice.png' },
+    'bob.eth': { address: setup.to, avatar: 'ipfs://QmQmQmQmQmQmQmQmQmQmQmQmQmQmQmQmQmQmQmQmQmQm' },
+  }, {
+    [setup.from]: 'alice.eth',
+    [setup.to]: 'alice.eth',
+  });
+  return setup;
+};
+
+describe('useEns', () => {
+  afterEach(cleanup);
+
+  it('resolves a name to its address and the address back to the name', async () => {
+    const { provider, from } = setupEns();
+    const { result } = renderHook(() => ({
+      address: useEnsAddress('alice.eth', { provider }),
+      name: useEnsName(from, { provider }),
+    }));
+
+    await waitFor(() => expect(result.current.address.address).toBe(from));
+    await waitFor(() => expect(result.current.name.name).toBe('alice.eth'));
+    expect(result.current.name).toMatchObject({ error: null, loading: false });
+  });
+
+  it('ignores a reverse record that the name does not resolve back to', async () => {
+    const { provider, to } = setupEns();
+    const { result } = renderHook(() => useEnsName(to, { provider }));
+
+    await waitFor(() => expect(result.current.loading).toBe(false));
+    expect(result.current).toMatchObject({ name: null, error: null });
+  });
+
+  it('resolves unknown names to null', async () => {
+    const { provider } = setupEns();
+    const { result } = renderHook(() => useEnsAddress('nobody.eth', { provider }));
+
+    await waitFor(() => expect(result.current.loading).toBe(false));
+    expect(result.current).toMatchObject({ address: null, error: null });
+  });
+
+  it('reads avatar URLs, with IPFS avatars through a gateway', async () => {
+    const { provider } = setupEns();
+    const { result } = renderHook(() => ({
+      alice: useEnsAvatar('alice.eth', { provider }),
+      bob: useEnsAvatar('bob.eth', { provider }),
+    }));
+
+    await waitFor(() => expect(result.current.alice.avatar).toBe('https://example.com/alice.png'));
+    await waitFor(() => expect(result.current.bob.avatar).toMatch(/^https:\/\/.*\/ipfs\/QmQm/));
+  });
+
+  it('only resolves on mainnet', async () => {
+    const { provider } = setupTestChain({ chainId: 10 });
+    const { result } = renderHook(() => useEnsAddress('carol.eth', { provider }));
+
+    await waitFor(() => expect(result.current.error).not.toBeNull());
+    expect(result.current.error!.message).toMatch(/mainnet/);
+  });
+});
@@ -0,0 +1,66 @@
+import { useState, useEffect } from 'react';
+import { providers } from 'ethers';
+import { getMainnetProvider, lookupEnsName, resolveEnsAddress, resolveEnsAvatar } from './ens';
+import { Web3Error, normalizeError } from './errors';
+
+// Options shared by the ENS hooks
+interface EnsOptions {
+  provider?: providers.Provider | null; // Ethereum mainnet provider, e.g. getReadProvider(1) (default public mainnet RPC)
+}
+
+// Run a cached ENS lookup for the current input
+const useEnsLookup = (
+  input: string | null | undefined,
+  provider: providers.Provider | null | undefined,
+  lookup: (provider: providers.Provider, input: string) => Promise<string | null>
+) => {
+  const [value, setValue] = useState<string | null>(null);
+  const [error, setError] = useState<Web3Error | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    setValue(null);
+    setError(null);
+    if (!input) {
+      setLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    lookup(provider || getMainnetProvider(), input)
+      .then((result) => {
+        if (!cancelled) setValue(result);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(normalizeError(err, 'ENS lookup failed'));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [input, provider, lookup]);
+
+  return { value, error, loading };
+};
+
+// Hook to get the verified primary name of an address
+export const useEnsName = (address: string | null | undefined, { provider }: EnsOptions = {}) => {
+  const { value, error, loading } = useEnsLookup(address, provider, lookupEnsName);
+  return { name: value, error, loading };
+};
+
+// Hook to resolve a name to an address
+export const useEnsAddress = (name: string | null | undefined, { provider }: EnsOptions = {}) => {
+  const { value, error, loading } = useEnsLookup(name, provider, resolveEnsAddress);
+  return { address: value, error, loading };
+};
+
+// Hook to get the avatar URL of a name
+export const useEnsAvatar = (name: string | null | undefined, { provider }: EnsOptions = {}) => {
+  const { value, error, loading } = useEnsLookup(name, provider, resolveEnsAvatar);
+  return { avatar: value, error, loading };
+};
@@ -0,0 +1,241 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { act, cleanup, renderHook, waitFor } from '@testing-library/react';
+import { providers, utils } from 'ethers';
+import { useGasEstimator, GasEstimation } from './useGasEstimator';
+import { GasEstimatorOptions } from './gasEstimatorStore';
+import { createChainRegistry } from './chains';
+import { ARBITRUM_NODE_INTERFACE } from './l2Fees';
+import { PriceSource } from './priceFeeds';
+import { MockChain, rpcError } from './testing/mockChain';
+import { setupTestChain } from './testing/testChain';
+
+// Chainlink-style ETH/USD aggregator answering with 8 decimals
+const aggregator = new utils.Interface([
+  'function decimals() view returns (uint8)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+]);
+const FEED = utils.getAddress('0x00000000000000000000000000000000000000fe');
+const deployFeed = (chain: MockChain, usd: number, updatedAt: number) => {
+  chain.setCallHandler(FEED, ({ data }) => (
+    data.startsWith(aggregator.getSighash('decimals'))
+      ? aggregator.encodeFunctionResult('decimals', [8])
+      : aggregator.encodeFunctionResult('latestRoundData', [1, utils.parseUnits(String(usd), 8), updatedAt, updatedAt, 1])
+  ));
+  return createChainRegistry({ 1: { priceFeeds: { USD: FEED } } });
+};
+
+const estimate = async (provider: providers.Web3Provider, transaction?: any, options: Partial<GasEstimatorOptions> = {}) => {
+  const { result } = renderHook(() => useGasEstimator({ provider, watch: false, historicalBlocks: 5, ...options }));
+  let estimation: GasEstimation | undefined;
+  await act(async () => {
+    estimation = await result.current.estimateGas(transaction);
+  });
+  expect(result.current.error).toBeNull();
+  return estimation!;
+};
+
+describe('useGasEstimator', () => {
+  afterEach(() => {
+    cleanup();
+    vi.restoreAllMocks();
+  });
+
+  it('prices EIP-1559 tiers from recent tips', async () => {
+    const { chain, provider } = setupTestChain({ blocks: 10 });
+    const estimation = await estimate(provider);
+
+    expect(estimation.feeModel).toBe('eip1559');
+    expect(estimation.gasPrice).toBeNull();
+    expect(estimation.gasLimit.toNumber()).toBe(21000);
+    expect(estimation.gasLimitEstimated).toBe(false);
+
+    const { slow, standard, fast } = estimation.tiers;
+    expect(slow.maxPriorityFeePerGas!.lte(standard.maxPriorityFeePerGas!)).toBe(true);
+    expect(standard.maxPriorityFeePerGas!.lte(fast.maxPriorityFeePerGas!)).toBe(true);
+    expect(slow.maxPriorityFeePerGas!.lt(fast.maxPriorityFeePerGas!)).toBe(true);
+
+    // Max fee leaves room for the base fee to double
+    const nextBaseFee = (await chain.request('eth_feeHistory', ['0x1', 'latest', []])).baseFeePerGas[1];
+    expect(estimation.baseFee.eq(nextBaseFee)).toBe(true);
+    expect(standard.maxFeePerGas!.eq(estimation.baseFee.mul(2).add(standard.maxPriorityFeePerGas!))).toBe(true);
+    expect(standard.estimatedCost.eq(standard.maxFeePerGas!.mul(21000))).toBe(true);
+    expect(estimation.averageBlockTime).toBe(12);
+  });
+
+  it('prices legacy chains by gas price', async () => {
+    const { provider } = setupTestChain({ chainId: 56, eip1559: false, blocks: 10 });
+    const estimation = await estimate(provider);
+
+    expect(estimation.feeModel).toBe('legacy');
+    expect(estimation.baseFee.isZero()).toBe(true);
+    expect(estimation.maxFeePerGas).toBeNull();
+
+    const { slow, standard, fast } = estimation.tiers;
+    expect(slow.gasPrice!.lte(standard.gasPrice!)).toBe(true);
+    expect(standard.gasPrice!.lte(fast.gasPrice!)).toBe(true);
+    expect(estimation.gasPrice!.eq(standard.gasPrice!)).toBe(true);
+  });
+
+  it('scans blocks when the node lacks eth_feeHistory', async () => {
+    const supported = await estimate(setupTestChain({ blocks: 10 }).provider);
+    cleanup();
+    const scanned = await estimate(setupTestChain({ unsupportedMethods: ['eth_feeHistory'], blocks: 10 }).provider);
+
+    expect(scanned.feeModel).toBe('eip1559');
+    expect(scanned.tiers.standard.maxPriorityFeePerGas!.eq(supported.tiers.standard.maxPriorityFeePerGas!)).toBe(true);
+    expect(scanned.baseFee.eq(supported.baseFee)).toBe(true);
+  });
+
+  it('estimates the gas limit of the given transaction', async () => {
+    const { chain, provider } = setupTestChain({ blocks: 3 });
+    const token = utils.getAddress('0x00000000000000000000000000000000000000aa');
+    chain.setCode(token, '0x6000');
+    chain.setCallHandler(token, () => '0x');
+
+    const estimation = await estimate(provider, { to: token, data: '0x12345678' });
+    expect(estimation.gasLimitEstimated).toBe(true);
+    expect(estimation.gasLimit.gt(21000)).toBe(true);
+  });
+
+  it('keeps the L2 tiers when the L1 fee can\'t be read', async () => {
+    // OP Mainnet without a gas price oracle to call
+    const { provider } = setupTestChain({ chainId: 10, blocks: 3 });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const estimation = await estimate(provider);
+
+    expect(estimation.rollup).toBe('op-stack');
+    expect(estimation.tiers.standard.costBreakdown).toMatchObject({ l1DataFeeKnown: false });
+    expect(estimation.tiers.standard.costBreakdown.l1DataFee.isZero()).toBe(true);
+    expect(estimation.estimatedCost.eq(estimation.tiers.standard.costBreakdown.execution)).toBe(true);
+  });
+
+  it('prices the default Arbitrum transfer as a call, not a deployment', async () => {
+    const { chain, provider } = setupTestChain({ chainId: 42161, blocks: 3 });
+    const nodeInterface = new utils.Interface([
+      'function gasEstimateL1Component(address to, bool contractCreation, bytes data) payable returns (uint64 gasEstimateForL1, uint256 baseFee, uint256 l1BaseFeeEstimate)',
+    ]);
+    let contractCreation: boolean | undefined;
+    chain.setCallHandler(ARBITRUM_NODE_INTERFACE, ({ data }) => {
+      [, contractCreation] = nodeInterface.decodeFunctionData('gasEstimateL1Component', data);
+      return nodeInterface.encodeFunctionResult('gasEstimateL1Component', [1000, 0, 0]);
+    });
+    const estimation = await estimate(provider);
+
+    expect(contractCreation).toBe(false);
+    expect(estimation.gasLimit.toNumber()).toBe(22000);
+    expect(estimation.tiers.standard.costBreakdown.l1DataFeeKnown).toBe(true);
+  });
+
+  it('converts every tier to fiat with the chain\'s price feed', async () => {
+    const { chain, provider } = setupTestChain({ blocks: 3 });
+    const chains = deployFeed(chain, 2000, chain.head.timestamp);
+
+    const estimation = await estimate(provider, undefined, { chains, currency: 'USD', locale: 'en-US' });
+    expect(estimation.nativePrice).toMatchObject({ currency: 'USD', decimals: 8, stale: false });
+
+    Object.values(estimation.tiers).forEach((tier) => {
+      const eth = Number(utils.formatEther(tier.estimatedCost));
+      expect(tier.formattedCost.native).toMatch(/ ETH$/);
+      expect(tier.formattedCost.fiatValue).toBeCloseTo(eth * 2000, 6);
+      expect(tier.formattedCost.fiat).toMatch(/^\$\d/);
+    });
+    expect(estimation.formattedCost).toEqual(estimation.tiers.standard.formattedCost);
+  });
+
+  it('leaves out fiat amounts when the feed is stale', async () => {
+    const { chain, provider } = setupTestChain({ blocks: 3 });
+    const chains = deployFeed(chain, 2000, chain.head.timestamp - 2 * 3600);
+
+    const estimation = await estimate(provider, undefined, { chains, currency: 'USD', maxPriceAge: 3600 });
+    expect(estimation.nativePrice?.stale).toBe(true);
+    expect(estimation.formattedCost.fiat).toBeNull();
+    expect(estimation.formattedCost.native).toMatch(/ ETH$/);
+  });
+
+  it('takes prices from a custom price source', async () => {
+    const { chain, provider } = setupTestChain({ blocks: 3 });
+    const priceSource: PriceSource = {
+      getNativePrice: async ({ chainId, currency }) => ({
+        currency,
+        price: utils.parseUnits(chainId === 1 ? '3000' : '0', 2),
+        decimals: 2,
+        updatedAt: chain.head.timestamp,
+      }),
+    };
+
+    const estimation = await estimate(provider, undefined, { currency: 'EUR', priceSource, locale: 'en-US' });
+    const eth = Number(utils.formatEther(estimation.estimatedCost));
+    expect(estimation.formattedCost.fiatValue).toBeCloseTo(eth * 3000, 2);
+    expect(estimation.formattedCost.fiat).toMatch(/^€/);
+  });
+
+  it('refreshes on new blocks while watching, without loading again', async () => {
+    const { chain, provider } = setupTestChain({ blocks: 3 });
+    const loadingStates: boolean[] = [];
+    const { result } = renderHook(() => {
+      const gas = useGasEstimator({ provider, refreshInterval: 50, historicalBlocks: 5 });
+      loadingStates.push(gas.loading);
+      return gas;
+    });
+
+    act(() => {
+      chain.mine();
+    });
+    await waitFor(() => expect(result.current.estimation).not.toBeNull());
+    const first = result.current.estimation;
+    const rendersBefore = loadingStates.length;
+
+    act(() => {
+      chain.mine();
+    });
+    await waitFor(() => expect(result.current.estimation).not.toBe(first));
+    expect(result.current.blockHistory[result.current.blockHistory.length - 1].number).toBe(chain.blockNumber);
+    expect(loadingStates.slice(rendersBefore)).not.toContain(true);
+  });
+
+  it('keeps per-transaction estimates out of the shared estimation and loading state', async () => {
+    const { chain, provider } = setupTestChain({ blocks: 3 });
+    const token = utils.getAddress('0x00000000000000000000000000000000000000aa');
+    chain.setCallHandler(token, () => '0x');
+    const loadingStates: boolean[] = [];
+    const { result } = renderHook(() => {
+      const gas = useGasEstimator({ provider, refreshInterval: 50, historicalBlocks: 5 });
+      loadingStates.push(gas.loading);
+      return gas;
+    });
+
+    act(() => {
+      chain.mine();
+    });
+    await waitFor(() => expect(result.current.estimation).not.toBeNull());
+    const shared = result.current.estimation;
+    const rendersBefore = loadingStates.length;
+
+    // Outside act, so every render the estimate causes is recorded
+    let estimation: GasEstimation | undefined;
+    result.current.estimateGas({ to: token, data: '0x12345678' }).then((value) => {
+      estimation = value;
+    });
+    await waitFor(() => expect(estimation).toBeDefined());
+    expect(estimation!.gasLimit.toNumber()).toBe(100000);
+    expect(estimation!.gasLimitEstimated).toBe(true);
+    expect(result.current.estimation).toBe(shared);
+    expect(result.current.estimation!.gasLimitEstimated).toBe(false);
+    expect(loadingStates.slice(rendersBefore)).not.toContain(true);
+  });
+
+  it('flags a transaction whose gas limit could not be estimated', async () => {
+    const { chain, provider, from } = setupTestChain({ blocks: 3 });
+    chain.setMethodHandler('eth_estimateGas', () => {
+      throw rpcError(-32000, 'gas required exceeds allowance');
+    });
+    const { result } = renderHook(() => useGasEstimator({ provider, watch: false, historicalBlocks: 5 }));
+
+    let estimation: GasEstimation | undefined;
+    await act(async () => {
+      estimation = await result.current.estimateGas({ from, to: from, value: 1 });
+    });
+    expect(estimation!.gasLimit.toNumber()).toBe(21000);
+    expect(estimation!.gasLimitEstimated).toBe(false);
+  });
+});
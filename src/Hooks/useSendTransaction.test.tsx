@@ -0,0 +1,147 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { act, cleanup, renderHook, waitFor } from '@testing-library/react';
+import { utils } from 'ethers';
+import { useSendTransaction } from './useSendTransaction';
+import { GasEstimation, useGasEstimator } from './useGasEstimator';
+import { MockChain, revertError, rpcError } from './testing/mockChain';
+import { setupTestChain } from './testing/testChain';
+
+// Nonces are kept per chain and account for the whole page, so every test gets its own chain
+let nextChainId = 1000;
+
+const setup = () => setupTestChain({ chainId: nextChainId++, balance: utils.parseEther('10') });
+
+const pendingNonces = (chain: MockChain) => chain.pendingTransactions.map((tx) => tx.nonce);
+
+describe('useSendTransaction', () => {
+  afterEach(cleanup);
+
+  it('sends transactions fired back to back with consecutive nonces and tier fees', async () => {
+    const { chain, signer, provider, to } = setup();
+    const onSent = vi.fn();
+    const { result } = renderHook(() => useSendTransaction({ signer, feeTier: 'fast', onSent }));
+
+    await act(async () => {
+      await Promise.all([
+        result.current.sendTransaction({ to, value: 1 }),
+        result.current.sendTransaction({ to, value: 2 }),
+      ]);
+    });
+
+    expect(pendingNonces(chain)).toEqual([0, 1]);
+    expect(chain.pendingTransactions.map((tx) => tx.value.toNumber())).toEqual([1, 2]);
+    expect(result.current.queue.map((item) => [item.status, item.nonce])).toEqual([['sent', 0], ['sent', 1]]);
+    expect(result.current.status).toBe('sent');
+    expect(onSent).toHaveBeenCalledTimes(2);
+    expect(onSent.mock.calls[0][1]).toBe(chain.chainId);
+
+    // Fees come from the estimator's fast tier rather than the wallet's defaults
+    const { result: estimator } = renderHook(() => useGasEstimator({ provider, watch: false }));
+    let estimation: GasEstimation | undefined;
+    await act(async () => {
+      estimation = await estimator.current.estimateGas();
+    });
+    const [first] = chain.pendingTransactions;
+    expect(first.maxFeePerGas!.eq(estimation!.tiers.fast.maxFeePerGas!)).toBe(true);
+    expect(first.maxPriorityFeePerGas!.eq(estimation!.tiers.fast.maxPriorityFeePerGas!)).toBe(true);
+  });
+
+  it('resyncs from the pending count when the nonce was taken elsewhere', async () => {
+    const { chain, wallet, signer, from, to } = setup();
+    const { result } = renderHook(() => useSendTransaction({ signer }));
+
+    await act(async () => {
+      await result.current.sendTransaction({ to, value: 1 });
+    });
+    // The account sends a transaction from outside the app, so the local count is behind
+    chain.submitTransaction({ from, to, value: 1 });
+    wallet.rejectNext('eth_sendTransaction', rpcError(-32000, 'nonce too low'));
+
+    await act(async () => {
+      await result.current.sendTransaction({ to, value: 3 });
+    });
+
+    expect(pendingNonces(chain)).toEqual([0, 1, 2]);
+    expect(result.current.queue[1]).toMatchObject({ status: 'sent', nonce: 2 });
+  });
+
+  it('gives the nonce of a rejected transaction to the next one', async () => {
+    const { chain, wallet, signer, to } = setup();
+    const { result } = renderHook(() => useSendTransaction({ signer }));
+
+    wallet.rejectNext('eth_sendTransaction');
+    await act(async () => {
+      await expect(result.current.sendTransaction({ to, value: 1 })).rejects.toMatchObject({ code: 'USER_REJECTED' });
+    });
+    expect(result.current.status).toBe('error');
+    expect(result.current.error).toMatchObject({ code: 'USER_REJECTED' });
+
+    await act(async () => {
+      await result.current.sendTransaction({ to, value: 2 });
+    });
+    expect(pendingNonces(chain)).toEqual([0]);
+  });
+
+  it('skips the rest of a queue after a failure', async () => {
+    const { chain, signer, to } = setup();
+    const token = utils.getAddress('0x00000000000000000000000000000000000000cc');
+    chain.setCallHandler(token, () => {
+      throw revertError();
+    });
+    const onError = vi.fn();
+    const { result } = renderHook(() => useSendTransaction({ signer, onError }));
+
+    await act(async () => {
+      await expect(result.current.sendQueue([
+        { to, value: 1 },
+        { to: token, data: '0x12345678' },
+        { to, value: 3 },
+      ])).rejects.toMatchObject({ code: 'EXECUTION_REVERTED' });
+    });
+
+    expect(result.current.queue.map((item) => item.status)).toEqual(['sent', 'error', 'skipped']);
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ code: 'EXECUTION_REVERTED' }));
+    expect(pendingNonces(chain)).toEqual([0]);
+  });
+
+  it('follows every queued transaction through its own hash', async () => {
+    const { chain, signer, to } = setup();
+    const { result } = renderHook(() => useSendTransaction({ signer, statusOptions: { initialPollingInterval: 50 } }));
+
+    let hashes: string[] = [];
+    await act(async () => {
+      hashes = (await result.current.sendQueue([{ to, value: 1 }, { to, value: 2 }, { to, value: 3 }])).map((response) => response.hash);
+    });
+    expect(result.current.queue.map((item) => item.status)).toEqual(['sent', 'sent', 'sent']);
+
+    // The first is mined and the second reverts, while the third is still waiting
+    act(() => {
+      chain.failTransaction(hashes[1]);
+      chain.mine(1, { include: hashes.slice(0, 2) });
+    });
+    await waitFor(() => expect(result.current.queue.map((item) => item.status)).toEqual(['confirmed', 'failed', 'sent']));
+    expect(result.current.transaction).toMatchObject({ hash: hashes[2], status: 'pending' });
+
+    act(() => {
+      chain.mine();
+    });
+    await waitFor(() => expect(result.current.queue.map((item) => item.status)).toEqual(['confirmed', 'failed', 'confirmed']));
+  });
+
+  it('follows the latest transaction with useTransactionStatus', async () => {
+    const { chain, signer, to } = setup();
+    const { result } = renderHook(() => useSendTransaction({ signer, statusOptions: { initialPollingInterval: 50 } }));
+
+    let hash = '';
+    await act(async () => {
+      hash = (await result.current.sendTransaction({ to, value: 1 })).hash;
+    });
+    expect(result.current.hash).toBe(hash);
+    await waitFor(() => expect(result.current.transaction).toMatchObject({ hash, status: 'pending', nonce: 0 }));
+
+    act(() => {
+      chain.mine();
+    });
+    await waitFor(() => expect(result.current.transaction.status).toBe('confirmed'));
+  });
+});
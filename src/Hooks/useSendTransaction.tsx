@@ -0,0 +1,237 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { BigNumber, Signer, providers } from 'ethers';
+import { ChainRegistry } from './chains';
+import { reserveNonce, resyncNonce } from './nonces';
+import { TransactionStatusOptions, createTransactionStatusStore } from './transactionStatusStore';
+import { useGasEstimator } from './useGasEstimator';
+import { useTransactionStatus } from './useTransactionStatus';
+import { Web3Error, WalletNotConnectedError, normalizeError } from './errors';
+
+export type SendTransactionStatus = 'idle' | 'sending' | 'sent' | 'error';
+
+export type QueuedTransactionStatus =
+  | 'queued' | 'estimating' | 'signing' | 'sent' | 'confirmed' | 'failed' | 'replaced' | 'dropped' | 'error' | 'skipped';
+
+// A transaction handed to the hook, from queued to mined
+export interface QueuedTransaction {
+  id: number;
+  request: providers.TransactionRequest;
+  status: QueuedTransactionStatus; // Once sent, follows its own hash: 'sent' until mined, then 'confirmed' or 'failed'
+  nonce: number | null;
+  hash: string | null;
+  error: Web3Error | null;
+}
+
+// Options to configure sending
+interface SendTransactionOptions {
+  signer: Signer | null; // Signer of the connected wallet, e.g. wallet.provider.getSigner()
+  feeTier?: 'slow' | 'standard' | 'fast'; // Fee tier from the gas estimator (default 'standard')
+  chains?: ChainRegistry; // Passed to the gas estimator to pick the fee model
+  statusOptions?: TransactionStatusOptions; // Passed to useTransactionStatus for the latest transaction; its polling options also apply to queued items
+  onSent?: (response: providers.TransactionResponse, chainId: number) => void; // e.g. to add it to useTransactionTracker
+  onError?: (error: Web3Error) => void;
+}
+
+// Options for one batch of transactions
+interface SendQueueOptions {
+  waitForConfirmation?: boolean; // Wait for each transaction to be mined before sending the next, e.g. approve then swap (default false)
+}
+
+// Status store states as queue item states; lookup errors leave the item as it was
+const FOLLOWED_STATUSES: Record<string, QueuedTransactionStatus | undefined> = {
+  pending: 'sent',
+  confirming: 'sent',
+  reorged: 'sent',
+  confirmed: 'confirmed',
+  failed: 'failed',
+  replaced: 'replaced',
+  dropped: 'dropped',
+};
+
+// Errors meaning the nonce was already taken, which a fresh nonce from the node fixes
+const NONCE_CONFLICTS = ['NONCE_TOO_LOW', 'REPLACEMENT_UNDERPRICED'];
+
+// Hook to send transactions with fees from the gas estimator and nonces managed locally, so
+// several transactions can go out back to back. Transactions go through one queue and are sent
+// in order. Every queued item follows its own hash; the latest one is also followed with
+// useTransactionStatus, for speedUp/cancel.
+export const useSendTransaction = ({
+  signer,
+  feeTier = 'standard',
+  chains,
+  statusOptions,
+  onSent,
+  onError,
+}: SendTransactionOptions) => {
+  const [status, setStatus] = useState<SendTransactionStatus>('idle');
+  const [hash, setHash] = useState<string | null>(null);
+  const [error, setError] = useState<Web3Error | null>(null);
+  const [queue, setQueue] = useState<QueuedTransaction[]>([]);
+
+  const provider = (signer?.provider as providers.JsonRpcProvider | undefined) || null;
+
+  // Fees are only needed at send time, so the estimator doesn't follow blocks
+  const { estimateGas } = useGasEstimator({ provider, chains, watch: false });
+
+  const transaction = useTransactionStatus(provider, hash || '', statusOptions);
+
+  // Callbacks are often inline, so keep the latest ones without changing the send functions
+  const callbacksRef = useRef({ onSent, onError });
+  callbacksRef.current = { onSent, onError };
+
+  // Each batch waits for the previous one, so transactions reach the wallet in the order they were queued
+  const tailRef = useRef<Promise<unknown>>(Promise.resolve());
+  const nextIdRef = useRef(0);
+
+  const updateItem = useCallback((id: number, changes: Partial<QueuedTransaction>) => {
+    setQueue((prev) => prev.map((item) => (item.id === id ? { ...item, ...changes } : item)));
+  }, []);
+
+  // One status store per sent item, so each item's status follows its own hash
+  const followersRef = useRef(new Map<number, () => void>());
+  const pollingRef = useRef(statusOptions);
+  pollingRef.current = statusOptions;
+
+  const stopFollowing = useCallback(() => {
+    followersRef.current.forEach((unsubscribe) => unsubscribe());
+    followersRef.current.clear();
+  }, []);
+
+  useEffect(() => stopFollowing, [stopFollowing]);
+
+  const followItem = useCallback((id: number, txHash: string) => {
+    const { initialPollingInterval, requiredConfirmations, dropTimeout, finalityDepth } = pollingRef.current || {};
+    const store = createTransactionStatusStore(provider, txHash, { initialPollingInterval, requiredConfirmations, dropTimeout, finalityDepth });
+    const unsubscribe = store.subscribe(() => {
+      const info = store.getSnapshot();
+      const itemStatus = FOLLOWED_STATUSES[info.status];
+      // Items the queue gave up on keep their error
+      setQueue((prev) => prev.map((item) => (
+        item.id === id && itemStatus && item.status !== 'error' && item.status !== itemStatus ? { ...item, status: itemStatus } : item
+      )));
+      // Nothing left to follow once the nonce went to another transaction or the node lost it
+      if (info.status === 'replaced' || info.status === 'dropped') {
+        followersRef.current.get(id)?.();
+        followersRef.current.delete(id);
+      }
+    });
+    followersRef.current.set(id, unsubscribe);
+  }, [provider]);
+
+  // Price, number and send one transaction
+  const sendItem = useCallback(async (item: QueuedTransaction) => {
+    if (!signer || !provider) {
+      throw new WalletNotConnectedError({ message: 'Connect a wallet before sending transactions' });
+    }
+    const [from, chainId] = await Promise.all([signer.getAddress(), signer.getChainId()]);
+    const tx = { ...item.request, from };
+
+    updateItem(item.id, { status: 'estimating' });
+    const gasEstimation = await estimateGas(tx);
+
+    // Fall back to the signer's own estimate when the estimator couldn't estimate this call
+    const gasLimit = tx.gasLimit
+      ?? (gasEstimation?.gasLimitEstimated ? gasEstimation.gasLimit : await signer.estimateGas(tx));
+
+    // Explicit fees win over the estimator's tier
+    const tier = gasEstimation?.tiers[feeTier];
+    const hasFees = tx.gasPrice !== undefined || tx.maxFeePerGas !== undefined;
+    const fees = !tier || hasFees
+      ? {}
+      : tier.gasPrice
+        ? { gasPrice: tier.gasPrice }
+        : { maxFeePerGas: tier.maxFeePerGas!, maxPriorityFeePerGas: tier.maxPriorityFeePerGas! };
+
+    // A transaction with its own nonce is sent as is, e.g. to replace a pending one
+    const managed = tx.nonce === undefined;
+    for (let attempt = 0; ; attempt++) {
+      const nonce = managed ? await reserveNonce(provider, chainId, from) : BigNumber.from(tx.nonce).toNumber();
+      updateItem(item.id, { status: 'signing', nonce });
+      try {
+        const response = await signer.sendTransaction({ ...tx, ...fees, gasLimit, nonce });
+        return { response, chainId };
+      } catch (err) {
+        // The reserved nonce may not have been used, or was used elsewhere: ask the node again
+        if (managed) resyncNonce(chainId, from);
+        const sendError = normalizeError(err, 'Failed to send the transaction');
+        if (!managed || attempt > 0 || !NONCE_CONFLICTS.includes(sendError.code)) throw sendError;
+      }
+    }
+  }, [signer, provider, estimateGas, feeTier, updateItem]);
+
+  // Send transactions one after another; if one fails, the rest of the batch is skipped
+  const sendQueue = useCallback((requests: providers.TransactionRequest[], { waitForConfirmation = false }: SendQueueOptions = {}) => {
+    const items: QueuedTransaction[] = requests.map((request) => ({
+      id: ++nextIdRef.current,
+      request,
+      status: 'queued',
+      nonce: null,
+      hash: null,
+      error: null,
+    }));
+    setQueue((prev) => [...prev, ...items]);
+
+    const run = async () => {
+      setStatus('sending');
+      setError(null);
+      const responses: providers.TransactionResponse[] = [];
+      for (const [index, item] of items.entries()) {
+        try {
+          const { response, chainId } = await sendItem(item);
+          responses.push(response);
+          updateItem(item.id, { status: 'sent', hash: response.hash });
+          followItem(item.id, response.hash);
+          setHash(response.hash);
+          callbacksRef.current.onSent?.(response, chainId);
+
+          if (waitForConfirmation) {
+            await response.wait();
+          }
+        } catch (err) {
+          const sendError = normalizeError(err, 'Failed to send the transaction');
+          const skipped = new Set(items.slice(index + 1).map((next) => next.id));
+          setQueue((prev) => prev.map((queued) => {
+            if (queued.id === item.id) return { ...queued, status: 'error', error: sendError };
+            return skipped.has(queued.id) ? { ...queued, status: 'skipped' } : queued;
+          }));
+          setError(sendError);
+          setStatus('error');
+          callbacksRef.current.onError?.(sendError);
+          throw sendError;
+        }
+      }
+      setStatus('sent');
+      return responses;
+    };
+
+    const result = tailRef.current.catch(() => undefined).then(run);
+    tailRef.current = result;
+    return result;
+  }, [sendItem, updateItem, followItem]);
+
+  // Send a single transaction, after anything already queued
+  const sendTransaction = useCallback(async (request: providers.TransactionRequest) => {
+    const [response] = await sendQueue([request]);
+    return response;
+  }, [sendQueue]);
+
+  // Back to idle and clear the queue, e.g. after showing the results
+  const reset = useCallback(() => {
+    stopFollowing();
+    setStatus('idle');
+    setHash(null);
+    setError(null);
+    setQueue([]);
+  }, [stopFollowing]);
+
+  return {
+    status,
+    hash,
+    error,
+    queue,
+    transaction,
+    sendTransaction,
+    sendQueue,
+    reset,
+  };
+};
@@ -0,0 +1,68 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { act, cleanup, renderHook } from '@testing-library/react';
+import { utils } from 'ethers';
+import { useSignMessage, useSignTypedData } from './useSignMessage';
+import { verifyTypedDataSignature } from './signatures';
+import { setupTestChain } from './testing/testChain';
+
+const domain = { name: 'Mail', version: '1', chainId: 1, verifyingContract: '0xCcCCccccCCCCcCCCCCCcCcCccCcCCCcCcccccccC' };
+const types = {
+  Person: [{ name: 'name', type: 'string' }, { name: 'wallet', type: 'address' }],
+  Mail: [{ name: 'from', type: 'Person' }, { name: 'to', type: 'Person' }, { name: 'contents', type: 'string' }],
+};
+
+describe('useSignMessage', () => {
+  afterEach(cleanup);
+
+  it('signs a message with the connected account', async () => {
+    const { provider, from } = setupTestChain();
+    const { result } = renderHook(() => useSignMessage(provider));
+
+    let signature = '';
+    await act(async () => {
+      signature = await result.current.signMessage('Hello');
+    });
+    expect(result.current).toMatchObject({ status: 'signed', signature, error: null });
+    expect(utils.verifyMessage('Hello', signature)).toBe(from);
+  });
+
+  it('reports rejections and missing wallets as Web3 errors', async () => {
+    const { provider, wallet } = setupTestChain();
+    const { result } = renderHook(() => useSignMessage(provider));
+
+    wallet.rejectNext('personal_sign');
+    await act(async () => {
+      await expect(result.current.signMessage('Hello')).rejects.toMatchObject({ code: 'USER_REJECTED' });
+    });
+    expect(result.current).toMatchObject({ status: 'error', signature: null, error: { code: 'USER_REJECTED' } });
+
+    act(() => {
+      result.current.reset();
+    });
+    expect(result.current).toMatchObject({ status: 'idle', error: null });
+
+    const { result: disconnected } = renderHook(() => useSignMessage(null));
+    await act(async () => {
+      await expect(disconnected.current.signMessage('Hello')).rejects.toMatchObject({ code: 'WALLET_NOT_CONNECTED' });
+    });
+  });
+});
+
+describe('useSignTypedData', () => {
+  afterEach(cleanup);
+
+  it('signs EIP-712 data through eth_signTypedData_v4', async () => {
+    const { provider, from, to } = setupTestChain();
+    const value = { from: { name: 'Alice', wallet: from }, to: { name: 'Bob', wallet: to }, contents: 'Hello, Bob!' };
+    const { result } = renderHook(() => useSignTypedData(provider));
+
+    let signature = '';
+    await act(async () => {
+      signature = await result.current.signTypedData(domain, types, value);
+    });
+    expect(result.current.status).toBe('signed');
+    expect(utils.verifyTypedData(domain, types, value, signature)).toBe(from);
+    expect(await verifyTypedDataSignature(from, domain, types, value, signature)).toBe(true);
+    expect(await verifyTypedDataSignature(to, domain, types, value, signature)).toBe(false);
+  });
+});
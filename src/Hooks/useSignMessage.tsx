@@ -0,0 +1,70 @@
+import { useState, useCallback } from 'react';
+import { TypedDataDomain, TypedDataField, providers } from 'ethers';
+import { Web3Error, WalletNotConnectedError, normalizeError } from './errors';
+
+export type SignatureStatus = 'idle' | 'signing' | 'signed' | 'error';
+
+// Track one signature request at a time
+const useSignatureRequest = () => {
+  const [status, setStatus] = useState<SignatureStatus>('idle');
+  const [signature, setSignature] = useState<string | null>(null);
+  const [error, setError] = useState<Web3Error | null>(null);
+
+  const run = useCallback(async (request: () => Promise<string>) => {
+    try {
+      setStatus('signing');
+      setSignature(null);
+      setError(null);
+      const result = await request();
+      setSignature(result);
+      setStatus('signed');
+      return result;
+    } catch (err) {
+      const signError = normalizeError(err, 'Signature request failed');
+      setError(signError);
+      setStatus('error');
+      throw signError;
+    }
+  }, []);
+
+  const reset = useCallback(() => {
+    setStatus('idle');
+    setSignature(null);
+    setError(null);
+  }, []);
+
+  return { status, signature, error, run, reset };
+};
+
+const requireSigner = (provider: providers.Web3Provider | null) => {
+  if (!provider) {
+    throw new WalletNotConnectedError({ message: 'No Web3 wallet connected' });
+  }
+  return provider.getSigner();
+};
+
+// Hook to sign a plain message with personal_sign (EIP-191)
+export const useSignMessage = (provider: providers.Web3Provider | null) => {
+  const { run, ...request } = useSignatureRequest();
+
+  const signMessage = useCallback(
+    (message: string) => run(() => requireSigner(provider).signMessage(message)),
+    [provider, run]
+  );
+
+  return { ...request, signMessage };
+};
+
+// Hook to sign structured data with eth_signTypedData_v4 (EIP-712)
+export const useSignTypedData = (provider: providers.Web3Provider | null) => {
+  const { run, ...request } = useSignatureRequest();
+
+  // types must not include EIP712Domain; it's derived from the domain
+  const signTypedData = useCallback(
+    (domain: TypedDataDomain, types: Record<string, TypedDataField[]>, value: Record<string, any>) =>
+      run(() => requireSigner(provider)._signTypedData(domain, types, value)),
+    [provider, run]
+  );
+
+  return { ...request, signTypedData };
+};
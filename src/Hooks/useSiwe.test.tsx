@@ -0,0 +1,64 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { act, cleanup, renderHook } from '@testing-library/react';
+import { useSiwe } from './useSiwe';
+import { verifySiweMessage } from './siwe';
+import { setupTestChain } from './testing/testChain';
+
+const siwe = (setup: ReturnType<typeof setupTestChain>, options: Partial<Parameters<typeof useSiwe>[0]> = {}) =>
+  renderHook(({ walletAddress }) => useSiwe({
+    provider: setup.provider,
+    walletAddress,
+    network: setup.chain.chainId,
+    domain: 'example.com',
+    uri: 'https://example.com',
+    statement: 'Sign in to Example',
+    ...options,
+  }), { initialProps: { walletAddress: setup.from } });
+
+describe('useSiwe', () => {
+  afterEach(cleanup);
+
+  it('signs in with a message the backend can verify', async () => {
+    const setup = setupTestChain();
+    const onSignIn = vi.fn();
+    const { result } = siwe(setup, { getNonce: async () => 'backendNonce1', expiresIn: 60000, onSignIn });
+
+    await act(async () => {
+      await result.current.signIn();
+    });
+
+    const { session } = result.current;
+    expect(result.current.status).toBe('signed in');
+    expect(session).toMatchObject({ address: setup.from, chainId: 1, fields: { domain: 'example.com', nonce: 'backendNonce1' } });
+    expect(session!.fields.expirationTime).toBeDefined();
+    expect(onSignIn).toHaveBeenCalledWith(session);
+    await expect(verifySiweMessage({ message: session!.message, signature: session!.signature, nonce: 'backendNonce1' }))
+      .resolves.toMatchObject({ address: setup.from });
+  });
+
+  it('fails when the backend refuses the signature', async () => {
+    const setup = setupTestChain();
+    const verify = vi.fn().mockRejectedValue(new Error('Nonce already used'));
+    const { result } = siwe(setup, { verify });
+
+    await act(async () => {
+      await expect(result.current.signIn()).rejects.toMatchObject({ message: 'Nonce already used' });
+    });
+    expect(verify).toHaveBeenCalledWith(expect.stringContaining('example.com wants you to sign in'), expect.any(String));
+    expect(result.current).toMatchObject({ status: 'error', session: null });
+  });
+
+  it('signs out when the wallet switches accounts', async () => {
+    const setup = setupTestChain();
+    const onSignOut = vi.fn();
+    const { result, rerender } = siwe(setup, { onSignOut });
+
+    await act(async () => {
+      await result.current.signIn();
+    });
+    rerender({ walletAddress: setup.to });
+
+    expect(result.current).toMatchObject({ status: 'signed out', session: null });
+    expect(onSignOut).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,121 @@
+import { useState, useEffect, useCallback } from 'react';
+import { providers } from 'ethers';
+import { SiweMessageFields, createSiweMessage, generateNonce, parseSiweMessage, verifySiweMessage } from './siwe';
+import { Web3Error, WalletNotConnectedError, normalizeError } from './errors';
+
+export type SiweStatus = 'signed out' | 'signing' | 'verifying' | 'signed in' | 'error';
+
+// Proof that the connected address signed in
+export interface SiweSession {
+  address: string;
+  chainId: number;
+  message: string;
+  signature: string;
+  fields: SiweMessageFields;
+}
+
+// Options to configure Sign-In with Ethereum
+interface SiweOptions {
+  provider: providers.Web3Provider | null; // e.g. wallet.provider
+  walletAddress: string | null; // e.g. wallet.walletAddress
+  network: number | null; // e.g. wallet.network
+  domain?: string; // Domain in the message (default window.location.host)
+  uri?: string; // URI in the message (default window.location.origin)
+  statement?: string; // Text shown to the user in the wallet
+  resources?: string[];
+  expiresIn?: number; // Message lifetime in ms (default no expiry)
+  getNonce?: () => Promise<string>; // Fetch a nonce issued by the backend (default a random local nonce)
+  verify?: (message: string, signature: string) => Promise<void>; // Send to the backend; reject to refuse (default local verifySiweMessage)
+  onSignIn?: (session: SiweSession) => void;
+  onSignOut?: () => void;
+}
+
+// Hook for the Sign-In with Ethereum (EIP-4361) flow of the connected wallet
+export const useSiwe = ({
+  provider,
+  walletAddress,
+  network,
+  domain,
+  uri,
+  statement,
+  resources,
+  expiresIn,
+  getNonce,
+  verify,
+  onSignIn,
+  onSignOut,
+}: SiweOptions) => {
+  const [session, setSession] = useState<SiweSession | null>(null);
+  const [status, setStatus] = useState<SiweStatus>('signed out');
+  const [error, setError] = useState<Web3Error | null>(null);
+
+  // Build the message for the current account and chain, sign it and have it verified
+  const signIn = useCallback(async () => {
+    try {
+      if (!provider || !walletAddress || !network) {
+        throw new WalletNotConnectedError({ message: 'Connect a wallet before signing in' });
+      }
+      setError(null);
+      setStatus('signing');
+
+      const now = new Date();
+      const message = createSiweMessage({
+        domain: domain ?? window.location.host,
+        address: walletAddress,
+        statement,
+        uri: uri ?? window.location.origin,
+        version: '1',
+        chainId: network,
+        nonce: getNonce ? await getNonce() : generateNonce(),
+        issuedAt: now.toISOString(),
+        expirationTime: expiresIn ? new Date(now.getTime() + expiresIn).toISOString() : undefined,
+        resources,
+      });
+      const signature = await provider.getSigner(walletAddress).signMessage(message);
+
+      setStatus('verifying');
+      // A backend verifier is the one that counts; otherwise check locally through the wallet
+      let fields: SiweMessageFields;
+      if (verify) {
+        await verify(message, signature);
+        fields = parseSiweMessage(message);
+      } else {
+        fields = await verifySiweMessage({ message, signature, provider });
+      }
+
+      const newSession = { address: walletAddress, chainId: network, message, signature, fields };
+      setSession(newSession);
+      setStatus('signed in');
+      onSignIn?.(newSession);
+      return newSession;
+    } catch (err) {
+      const signInError = normalizeError(err, 'Sign-in failed');
+      setSession(null);
+      setError(signInError);
+      setStatus('error');
+      throw signInError;
+    }
+  }, [provider, walletAddress, network, domain, uri, statement, resources, expiresIn, getNonce, verify, onSignIn]);
+
+  const signOut = useCallback(() => {
+    setSession(null);
+    setError(null);
+    setStatus('signed out');
+    onSignOut?.();
+  }, [onSignOut]);
+
+  // A session belongs to one address; switching accounts in the wallet signs out
+  useEffect(() => {
+    if (session && session.address.toLowerCase() !== walletAddress?.toLowerCase()) {
+      signOut();
+    }
+  }, [session, walletAddress, signOut]);
+
+  return {
+    session,
+    status,
+    error,
+    signIn,
+    signOut,
+  };
+};
@@ -0,0 +1,98 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { act, cleanup, renderHook, waitFor } from '@testing-library/react';
+import { BigNumber, constants, utils } from 'ethers';
+import { ApprovalMode, useTokenApproval } from './useTokenApproval';
+import { useBlockListener } from './useBlockListener';
+import { PermitSignature, erc20Interface } from './erc20';
+import { MockToken } from './testing/mockToken';
+import { setupTestChain } from './testing/testChain';
+
+const SPENDER = utils.getAddress('0x0000000000000000000000000000000000000b01');
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+// Metadata is cached per chain and token, so every test gets its own chain
+let nextChainId = 2100;
+
+const setup = (mode: ApprovalMode, permit = false) => {
+  const setupChain = setupTestChain({ chainId: nextChainId++, balance: utils.parseEther('1') });
+  const token = new MockToken(setupChain.chain, '0x0000000000000000000000000000000000000a01', { name: 'Permit Token', permit });
+  const { result } = renderHook(() => {
+    // The provider polls as often as its fastest block listener; keeps approve's wait() short
+    useBlockListener(setupChain.provider, () => undefined, 50);
+    return useTokenApproval({
+      signer: setupChain.signer,
+      owner: setupChain.from,
+      token: token.address,
+      spender: SPENDER,
+      amount: 500,
+      mode,
+    });
+  });
+  return { ...setupChain, token, result };
+};
+
+const approvedAmount = (data: string) => erc20Interface.decodeFunctionData('approve', data)[1] as BigNumber;
+
+describe('useTokenApproval', () => {
+  afterEach(cleanup);
+
+  it.each([
+    ['exact', BigNumber.from(500)],
+    ['unlimited', constants.MaxUint256],
+  ] as const)('approves the %s amount before the action and waits for it', async (mode, amount) => {
+    const { chain, from, token, result } = setup(mode);
+    await waitFor(() => expect(result.current.needsApproval).toBe(true));
+
+    let done: Promise<PermitSignature | null>;
+    act(() => {
+      done = result.current.approveAndCall(async (permitSignature) => permitSignature);
+    });
+    await waitFor(() => expect(result.current.status).toBe('waiting'));
+    const [approve] = chain.pendingTransactions;
+    expect(approve.to).toBe(token.address);
+    expect(approvedAmount(approve.data).eq(amount)).toBe(true);
+
+    act(() => {
+      chain.mine();
+    });
+    await act(async () => {
+      expect(await done).toBeNull();
+    });
+    expect(result.current).toMatchObject({ status: 'done', approveHash: approve.hash, error: null });
+    expect(token.allowance(from, SPENDER).eq(amount)).toBe(true);
+    await waitFor(() => expect(result.current.needsApproval).toBe(false));
+
+    // Covered now, so the next action runs straight away
+    await act(async () => {
+      await result.current.approveAndCall(async () => null);
+    });
+    expect(chain.pendingTransactions).toEqual([]);
+  });
+
+  it.each([
+    ['exact', BigNumber.from(500)],
+    ['unlimited', constants.MaxUint256],
+  ] as const)('signs a permit for the %s amount when the token supports it', async (mode, amount) => {
+    const { chain, from, token, result } = setup(mode, true);
+
+    let permitSignature: PermitSignature | null = null;
+    await act(async () => {
+      permitSignature = await result.current.approveAndCall(async (signature) => signature);
+    });
+
+    expect(chain.pendingTransactions).toEqual([]);
+    const { v, r, s, ...message } = permitSignature!;
+    expect(message).toMatchObject({ owner: from, spender: SPENDER });
+    expect(message.value.eq(amount)).toBe(true);
+    expect(utils.verifyTypedData(token.domain, PERMIT_TYPES, message, { v, r, s })).toBe(from);
+  });
+});
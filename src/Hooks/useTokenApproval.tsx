@@ -0,0 +1,158 @@
+import { useState, useCallback } from 'react';
+import { BigNumber, BigNumberish, Signer, constants, providers } from 'ethers';
+import { ERC20_ABI, PermitSignature, erc20Interface, fetchPermitSupport, fetchTokenMetadata, signPermit } from './erc20';
+import { batchCall } from './multicall';
+import { useContractRead } from './useContractRead';
+import { useContractWrite } from './useContractWrite';
+import { decodeRevertData } from './revertReason';
+import { ExecutionRevertedError, Web3Error, WalletNotConnectedError, normalizeError } from './errors';
+
+// exact approves only what the action needs; unlimited approves once for all future actions
+export type ApprovalMode = 'exact' | 'unlimited';
+
+export type ApprovalStatus = 'idle' | 'approving' | 'waiting' | 'signing' | 'acting' | 'done' | 'error';
+
+// Options to configure the approval flow
+interface TokenApprovalOptions {
+  signer: Signer | null; // Signer of the connected wallet
+  owner: string | null; // e.g. wallet.walletAddress
+  token: string | null; // Token address
+  spender: string | null; // Contract that will pull the tokens
+  amount: BigNumberish | null; // Amount the action needs, in the token's smallest unit
+  mode?: ApprovalMode; // Size of approve transactions (default 'exact')
+  permit?: boolean; // Sign an EIP-2612 permit instead of sending approve when the token supports it (default true)
+  permitDeadline?: number; // Seconds a permit stays valid (default 1200)
+  confirmations?: number; // Confirmations to wait for after approve (default 1)
+}
+
+// Options to configure an allowance read
+interface TokenAllowanceOptions {
+  provider: providers.Provider | null;
+  token: string | null;
+  owner: string | null;
+  spender: string | null;
+}
+
+// Hook to read a token allowance, refreshed on every block
+export const useTokenAllowance = ({ provider, token, owner, spender }: TokenAllowanceOptions) => {
+  const { data, error, loading, refetch } = useContractRead({
+    provider,
+    address: token,
+    abi: ERC20_ABI,
+    functionName: 'allowance',
+    args: [owner, spender],
+    enabled: !!owner && !!spender,
+  });
+  return { allowance: data as BigNumber | null, error, loading, refetch };
+};
+
+// Hook for the approve-then-act flow: checks the allowance, then either runs the action
+// directly, signs a permit for it, or sends an approve transaction first
+export const useTokenApproval = ({
+  signer,
+  owner,
+  token,
+  spender,
+  amount,
+  mode = 'exact',
+  permit = true,
+  permitDeadline = 1200,
+  confirmations = 1,
+}: TokenApprovalOptions) => {
+  const [status, setStatus] = useState<ApprovalStatus>('idle');
+  const [approveHash, setApproveHash] = useState<string | null>(null);
+  const [error, setError] = useState<Web3Error | null>(null);
+
+  const provider = signer?.provider || null;
+  const { allowance, refetch } = useTokenAllowance({ provider, token, owner, spender });
+  const { write } = useContractWrite({ signer, address: token, abi: ERC20_ABI, functionName: 'approve' });
+
+  const needsApproval = allowance !== null && amount !== null && allowance.lt(amount);
+
+  // Read the allowance right before acting instead of trusting the last block's value
+  const readAllowance = useCallback(async () => {
+    const result = await batchCall(provider!, token!, erc20Interface.encodeFunctionData('allowance', [owner, spender]));
+    if (!result.success) {
+      throw new Error('Failed to read the token allowance');
+    }
+    return erc20Interface.decodeFunctionResult('allowance', result.returnData)[0] as BigNumber;
+  }, [provider, token, owner, spender]);
+
+  // Send an approve transaction and wait for it to be mined
+  const approve = useCallback(async (value?: BigNumberish) => {
+    if (!spender || amount === null) {
+      throw new Web3Error('INVALID_ARGUMENT', 'Spender and amount are required to approve');
+    }
+    const approvalAmount = value ?? (mode === 'unlimited' ? constants.MaxUint256 : amount);
+
+    try {
+      setStatus('approving');
+      const response = await write([spender, approvalAmount]);
+      setApproveHash(response.hash);
+
+      setStatus('waiting');
+      const receipt = await response.wait(confirmations);
+      refetch();
+      setStatus('done');
+      return receipt;
+    } catch (err: any) {
+      // wait() rejects with the receipt attached when the approve reverts
+      const approvalError = err?.receipt
+        ? new ExecutionRevertedError(decodeRevertData(null), { message: 'Approve transaction failed', cause: err })
+        : normalizeError(err, 'Approval failed');
+      setError(approvalError);
+      setStatus('error');
+      throw approvalError;
+    }
+  }, [spender, amount, mode, write, confirmations, refetch]);
+
+  // Make sure the spender may pull `amount`, then run the action. The action receives a permit
+  // signature when one was signed instead of an approval, to pass along to the spender.
+  const approveAndCall = useCallback(async <T,>(action: (permitSignature: PermitSignature | null) => Promise<T>) => {
+    try {
+      setError(null);
+      setApproveHash(null);
+      if (!signer || !provider || !owner) {
+        throw new WalletNotConnectedError({ message: 'Connect a wallet before approving' });
+      }
+      if (!token || !spender || amount === null) {
+        throw new Web3Error('INVALID_ARGUMENT', 'Set the token, spender and amount first');
+      }
+
+      const required = BigNumber.from(amount);
+      let permitSignature: PermitSignature | null = null;
+      if ((await readAllowance()).lt(required)) {
+        const support = permit ? await fetchPermitSupport(provider, token, owner) : null;
+        if (support) {
+          setStatus('signing');
+          const metadata = await fetchTokenMetadata(provider, token);
+          const deadline = Math.floor(Date.now() / 1000) + permitDeadline;
+          const value = mode === 'unlimited' ? constants.MaxUint256 : required;
+          permitSignature = await signPermit(signer, metadata, spender, value, deadline);
+        } else {
+          await approve();
+        }
+      }
+
+      setStatus('acting');
+      const result = await action(permitSignature);
+      setStatus('done');
+      return result;
+    } catch (err) {
+      const approvalError = normalizeError(err, 'Approval failed');
+      setError(approvalError);
+      setStatus('error');
+      throw approvalError;
+    }
+  }, [signer, provider, owner, token, spender, amount, mode, permit, permitDeadline, readAllowance, approve]);
+
+  return {
+    allowance,
+    needsApproval,
+    status,
+    approveHash,
+    error,
+    approve,
+    approveAndCall,
+  };
+};
@@ -0,0 +1,56 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { act, cleanup, renderHook, waitFor } from '@testing-library/react';
+import { utils } from 'ethers';
+import { useTokenBalances } from './useTokenBalances';
+import { MockToken } from './testing/mockToken';
+import { setupTestChain } from './testing/testChain';
+
+const USDC = utils.getAddress('0x0000000000000000000000000000000000000a01');
+const DAI = utils.getAddress('0x0000000000000000000000000000000000000a02');
+
+describe('useTokenBalances', () => {
+  afterEach(cleanup);
+
+  it('loads balances and refreshes them on new blocks', async () => {
+    const { chain, provider, from } = setupTestChain({ chainId: 2001 });
+    const usdc = new MockToken(chain, USDC, { symbol: 'USDC', decimals: 6 });
+    const dai = new MockToken(chain, DAI, { symbol: 'DAI' });
+    usdc.setBalance(from, 1500000);
+    dai.setBalance(from, utils.parseEther('2'));
+
+    const { result } = renderHook(() => useTokenBalances({
+      provider,
+      account: from,
+      chainId: chain.chainId,
+      tokens: [USDC, DAI],
+      pollingInterval: 50,
+    }));
+
+    await waitFor(() => expect(Object.keys(result.current.balances)).toHaveLength(2));
+    expect(result.current.balances[USDC]).toMatchObject({ token: { symbol: 'USDC', decimals: 6 }, formatted: '1.5' });
+    expect(result.current.balances[DAI].formatted).toBe('2.0');
+
+    usdc.setBalance(from, 250000);
+    act(() => {
+      chain.mine();
+    });
+    await waitFor(() => expect(result.current.balances[USDC].formatted).toBe('0.25'));
+    expect(result.current.error).toBeNull();
+  });
+
+  it('reloads from scratch for another account', async () => {
+    const { chain, provider, from, to } = setupTestChain({ chainId: 2002 });
+    const usdc = new MockToken(chain, USDC, { symbol: 'USDC', decimals: 6 });
+    usdc.setBalance(from, 1000000);
+    usdc.setBalance(to, 3000000);
+
+    const { result, rerender } = renderHook(
+      ({ account }) => useTokenBalances({ provider, account, chainId: chain.chainId, tokens: [USDC], watch: false }),
+      { initialProps: { account: from } }
+    );
+    await waitFor(() => expect(result.current.balances[USDC]?.formatted).toBe('1.0'));
+
+    rerender({ account: to });
+    await waitFor(() => expect(result.current.balances[USDC]?.formatted).toBe('3.0'));
+  });
+});
@@ -0,0 +1,104 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { BigNumber, providers, utils } from 'ethers';
+import { TokenMetadata, erc20Interface, fetchTokenMetadata } from './erc20';
+import { batchCall } from './multicall';
+import { useBlockListener } from './useBlockListener';
+import { Web3Error, normalizeError } from './errors';
+
+// Balance of one token for the account
+export interface TokenBalance {
+  token: TokenMetadata;
+  balance: BigNumber;
+  formatted: string; // Balance in whole tokens
+}
+
+// Options to configure token balance loading
+interface TokenBalancesOptions {
+  provider: providers.Provider | null; // e.g. readProvider from useWalletMultiChain
+  account: string | null; // e.g. wallet.walletAddress
+  chainId: number | null; // e.g. wallet.network; balances reload when it changes
+  tokens: string[]; // Token addresses on the current chain
+  watch?: boolean; // Refresh on every new block (default true)
+  pollingInterval?: number; // Block polling interval in ms for providers without subscriptions (default 4000)
+  onError?: (error: Web3Error) => void;
+}
+
+// Hook to load ERC-20 balances for a list of tokens, batched into a single call per refresh
+export const useTokenBalances = ({
+  provider,
+  account,
+  chainId,
+  tokens,
+  watch = true,
+  pollingInterval,
+  onError,
+}: TokenBalancesOptions) => {
+  const [balances, setBalances] = useState<Record<string, TokenBalance>>({});
+  const [error, setError] = useState<Web3Error | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  // Token lists are usually inline literals
+  const tokensKey = tokens.map((token) => token.toLowerCase()).sort().join(',');
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+
+  // Responses for an account or chain that is no longer current are ignored
+  const requestRef = useRef(0);
+
+  const loadBalances = useCallback(async () => {
+    if (!provider || !account || !tokensKey) return;
+
+    const request = ++requestRef.current;
+    setLoading(true);
+    try {
+      const addresses = tokensKey.split(',');
+      const results = await Promise.all(addresses.map(async (address) => {
+        const [token, result] = await Promise.all([
+          fetchTokenMetadata(provider, address),
+          batchCall(provider, address, erc20Interface.encodeFunctionData('balanceOf', [account])),
+        ]);
+        if (!result.success) {
+          throw new Error(`Failed to read the ${token.symbol || token.address} balance`);
+        }
+        const balance: BigNumber = erc20Interface.decodeFunctionResult('balanceOf', result.returnData)[0];
+        return { token, balance, formatted: utils.formatUnits(balance, token.decimals) };
+      }));
+      if (request !== requestRef.current) return;
+
+      // Keep the previous object when nothing moved, to avoid re-rendering every block
+      setBalances((prev) => {
+        const unchanged = results.length === Object.keys(prev).length
+          && results.every((entry) => prev[entry.token.address]?.balance.eq(entry.balance));
+        return unchanged
+          ? prev
+          : Object.fromEntries(results.map((entry) => [entry.token.address, entry]));
+      });
+      setError(null);
+    } catch (err: any) {
+      if (request !== requestRef.current) return;
+      const balanceError = normalizeError(err, 'Failed to load token balances');
+      setError(balanceError);
+      onErrorRef.current?.(balanceError);
+    } finally {
+      if (request === requestRef.current) setLoading(false);
+    }
+  }, [provider, account, tokensKey]);
+
+  // Reload from scratch when the account, chain or token list changes
+  useEffect(() => {
+    requestRef.current += 1;
+    setBalances({});
+    setError(null);
+    setLoading(false);
+    loadBalances();
+  }, [loadBalances, chainId]);
+
+  useBlockListener(watch ? provider : null, loadBalances, pollingInterval);
+
+  return {
+    balances,
+    error,
+    loading,
+    refetch: loadBalances,
+  };
+};
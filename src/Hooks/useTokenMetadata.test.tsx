@@ -0,0 +1,59 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { cleanup, renderHook, waitFor } from '@testing-library/react';
+import { utils } from 'ethers';
+import { useTokenMetadata } from './useTokenMetadata';
+import { MockToken } from './testing/mockToken';
+import { setupTestChain } from './testing/testChain';
+
+// Metadata is cached per chain and address for the page, so every test uses its own address
+let nextToken = 0x100;
+const tokenAddress = () => utils.getAddress(utils.hexZeroPad(utils.hexlify(nextToken++), 20));
+
+describe('useTokenMetadata', () => {
+  afterEach(cleanup);
+
+  it('reads name, symbol and decimals', async () => {
+    const { chain, provider } = setupTestChain();
+    const token = new MockToken(chain, tokenAddress(), { name: 'USD Coin', symbol: 'USDC', decimals: 6 });
+    const { result } = renderHook(() => useTokenMetadata({ provider, token: token.address }));
+
+    await waitFor(() => expect(result.current.metadata).not.toBeNull());
+    expect(result.current).toMatchObject({
+      metadata: { address: token.address, chainId: chain.chainId, name: 'USD Coin', symbol: 'USDC', decimals: 6 },
+      error: null,
+      loading: false,
+    });
+  });
+
+  it('decodes bytes32 names and symbols of older tokens', async () => {
+    const { chain, provider } = setupTestChain();
+    const token = new MockToken(chain, tokenAddress(), { name: 'Maker', symbol: 'MKR', bytes32Metadata: true });
+    const { result } = renderHook(() => useTokenMetadata({ provider, token: token.address }));
+
+    await waitFor(() => expect(result.current.metadata).toMatchObject({ name: 'Maker', symbol: 'MKR', decimals: 18 }));
+  });
+
+  it('reports addresses that are not tokens', async () => {
+    const { chain, provider } = setupTestChain();
+    const address = tokenAddress();
+    chain.setCode(address, '0x6000');
+    const { result } = renderHook(() => useTokenMetadata({ provider, token: address }));
+
+    await waitFor(() => expect(result.current.error).not.toBeNull());
+    expect(result.current.error!.message).toMatch(/not an ERC-20 token/);
+    expect(result.current).toMatchObject({ metadata: null, loading: false });
+  });
+
+  it('stops loading when the token is cleared mid-request', async () => {
+    const { chain, provider } = setupTestChain();
+    const token = new MockToken(chain, tokenAddress());
+    const { result, rerender } = renderHook(
+      ({ address }) => useTokenMetadata({ provider, token: address }),
+      { initialProps: { address: token.address as string | null } }
+    );
+    expect(result.current.loading).toBe(true);
+
+    rerender({ address: null });
+    expect(result.current).toMatchObject({ metadata: null, error: null, loading: false });
+  });
+});
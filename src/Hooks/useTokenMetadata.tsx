@@ -0,0 +1,50 @@
+import { useState, useEffect } from 'react';
+import { providers } from 'ethers';
+import { TokenMetadata, fetchTokenMetadata } from './erc20';
+import { Web3Error, normalizeError } from './errors';
+
+// Options to configure token metadata loading
+interface TokenMetadataOptions {
+  provider: providers.Provider | null;
+  token: string | null; // Token address
+  chainId?: number | null; // Current chain; wallet providers keep their identity across chain switches
+}
+
+// Hook to load an ERC-20 token's name, symbol and decimals
+export const useTokenMetadata = ({ provider, token, chainId }: TokenMetadataOptions) => {
+  const [metadata, setMetadata] = useState<TokenMetadata | null>(null);
+  const [error, setError] = useState<Web3Error | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!provider || !token) {
+      setMetadata(null);
+      setError(null);
+      setLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    fetchTokenMetadata(provider, token)
+      .then((result) => {
+        if (cancelled) return;
+        setMetadata(result);
+        setError(null);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setMetadata(null);
+        setError(normalizeError(err, 'Failed to load token metadata'));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [provider, token, chainId]);
+
+  return { metadata, error, loading };
+};
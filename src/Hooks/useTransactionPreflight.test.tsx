@@ -0,0 +1,143 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { cleanup, renderHook, waitFor } from '@testing-library/react';
+import { constants, providers, utils } from 'ethers';
+import { useTransactionPreflight } from './useTransactionPreflight';
+import { revertError, rpcError } from './testing/mockChain';
+import { setupTestChain } from './testing/testChain';
+
+const RECIPIENT = utils.getAddress('0x00000000000000000000000000000000000000aa');
+const TOKEN = utils.getAddress('0x00000000000000000000000000000000000000cc');
+
+const BALANCE = utils.parseEther('1');
+
+const preflight = async (provider: providers.JsonRpcProvider, transaction: providers.TransactionRequest) => {
+  const { result } = renderHook(() => useTransactionPreflight({ provider, transaction }));
+  await waitFor(() => expect(result.current.status).not.toMatch(/idle|checking/));
+  expect(result.current.error).toBeNull();
+  return result.current.result!;
+};
+
+describe('useTransactionPreflight', () => {
+  afterEach(cleanup);
+
+  it('prices a transfer the sender can pay for', async () => {
+    const { provider, from } = setupTestChain({ balance: BALANCE });
+    const value = utils.parseEther('0.1');
+    const result = await preflight(provider, { from, to: RECIPIENT, value });
+
+    expect(result).toMatchObject({ ok: true, failureReason: null, insufficientFunds: false, warnings: [], stateChanges: null });
+    expect(result.gasLimit!.toNumber()).toBe(21000);
+    const maxFeePerGas = result.estimation!.tiers.standard.maxFeePerGas!;
+    expect(result.maxCost!.eq(value.add(maxFeePerGas.mul(21000)))).toBe(true);
+    expect(result.balance.eq(BALANCE)).toBe(true);
+  });
+
+  it('reports why a call would revert', async () => {
+    const { chain, provider, from } = setupTestChain({ balance: BALANCE });
+    const errorData = new utils.Interface(['function Error(string)']).encodeFunctionData('Error', ['Not allowed']);
+    chain.setCallHandler(TOKEN, () => {
+      throw revertError(errorData);
+    });
+    const result = await preflight(provider, { from, to: TOKEN, data: '0x12345678' });
+
+    expect(result.ok).toBe(false);
+    expect(result.failureReason).toMatchObject({ name: 'Error', args: ['Not allowed'] });
+  });
+
+  it('reports node failures as errors rather than reverts', async () => {
+    const { chain, provider, from } = setupTestChain({ balance: BALANCE });
+    chain.setMethodHandler('eth_call', () => {
+      throw rpcError(-32603, 'Internal error');
+    });
+    const { result } = renderHook(() => useTransactionPreflight({ provider, transaction: { from, to: TOKEN, data: '0x12345678' } }));
+
+    await waitFor(() => expect(result.current.status).toBe('error'));
+    expect(result.current.error).toMatchObject({ code: 'INTERNAL' });
+    expect(result.current.result).toBeNull();
+  });
+
+  it('flags a balance that does not cover value and fees', async () => {
+    const { provider, from } = setupTestChain({ balance: utils.parseEther('0.1') });
+    const result = await preflight(provider, { from, to: RECIPIENT, value: utils.parseEther('0.1') });
+
+    expect(result).toMatchObject({ ok: false, failureReason: null, insufficientFunds: true });
+  });
+
+  it('warns about the zero address and contracts called without data', async () => {
+    const { chain, provider, from } = setupTestChain({ balance: BALANCE });
+    chain.setCode(TOKEN, '0x6000');
+
+    const burn = await preflight(provider, { from, to: constants.AddressZero, value: 1 });
+    expect(burn.ok).toBe(true);
+    expect(burn.warnings.map((warning) => warning.code)).toEqual(['ZERO_ADDRESS']);
+
+    const plain = await preflight(provider, { from, to: TOKEN, value: 1 });
+    expect(plain.warnings.map((warning) => warning.code)).toEqual(['CONTRACT_WITHOUT_DATA']);
+  });
+
+  it('reads token transfers from eth_simulateV1', async () => {
+    const { chain, provider, from } = setupTestChain({ balance: BALANCE });
+    const transfer = (token: string, to: string, amount: number) => ({
+      address: token,
+      topics: [utils.id('Transfer(address,address,uint256)'), utils.hexZeroPad(from, 32), utils.hexZeroPad(to, 32)],
+      data: utils.hexZeroPad(utils.hexValue(amount), 32),
+    });
+    chain.setMethodHandler('eth_simulateV1', () => [{
+      calls: [{ status: '0x1', logs: [transfer(TOKEN, RECIPIENT, 500), transfer('0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE', RECIPIENT, 7)] }],
+    }]);
+    const result = await preflight(provider, { from, to: TOKEN, data: '0x12345678' });
+
+    expect(result.stateChanges!.method).toBe('eth_simulateV1');
+    const changes = result.stateChanges!.balanceChanges.map(({ address, token, delta }) => [address, token, delta.toNumber()]);
+    expect(changes).toEqual([[from, TOKEN, -500], [RECIPIENT, TOKEN, 500], [from, null, -7], [RECIPIENT, null, 7]]);
+  });
+
+  it('falls back to the prestate diff of debug_traceCall', async () => {
+    const { chain, provider, from } = setupTestChain({ balance: BALANCE });
+    chain.unsupportedMethods.add('eth_simulateV1');
+    const slot = utils.hexZeroPad('0x01', 32);
+    chain.setMethodHandler('debug_traceCall', () => ({
+      pre: {
+        [from.toLowerCase()]: { balance: '0x100', nonce: 0 },
+        [TOKEN.toLowerCase()]: { balance: '0x0', storage: { [slot]: utils.hexZeroPad('0x05', 32) } },
+      },
+      post: {
+        [from.toLowerCase()]: { balance: '0xf0', nonce: 1 },
+        [TOKEN.toLowerCase()]: { balance: '0x10', storage: { [slot]: utils.hexZeroPad('0x06', 32) } },
+      },
+    }));
+    const result = await preflight(provider, { from, to: TOKEN, data: '0x12345678', value: 16 });
+
+    expect(result.stateChanges!.method).toBe('debug_traceCall');
+    const changes = result.stateChanges!.balanceChanges.map(({ address, token, delta }) => [address, token, delta.toNumber()]);
+    expect(changes).toEqual([[from, null, -16], [TOKEN, null, 16]]);
+    expect(result.stateChanges!.storageChanges).toEqual([
+      { address: TOKEN, slot, before: utils.hexZeroPad('0x05', 32), after: utils.hexZeroPad('0x06', 32) },
+    ]);
+  });
+
+  it('leaves the cost unknown when the gas limit cannot be estimated', async () => {
+    const { chain, provider, from } = setupTestChain({ balance: BALANCE });
+    chain.setCallHandler(TOKEN, () => '0x');
+    chain.setMethodHandler('eth_estimateGas', () => {
+      throw rpcError(-32000, 'gas required exceeds allowance');
+    });
+    const result = await preflight(provider, { from, to: TOKEN, data: '0x12345678', value: 1 });
+
+    expect(result).toMatchObject({ ok: false, failureReason: null, gasLimit: null, maxCost: null, insufficientFunds: false });
+    expect(result.estimation!.gasLimitEstimated).toBe(false);
+
+    // Its own gas limit makes the cost known again
+    const limited = await preflight(provider, { from, to: TOKEN, data: '0x12345678', value: 1, gasLimit: 50000 });
+    expect(limited.ok).toBe(true);
+    expect(limited.maxCost!.eq(limited.estimation!.tiers.standard.maxFeePerGas!.mul(50000).add(1))).toBe(true);
+  });
+
+  it('needs a sender', async () => {
+    const { provider } = setupTestChain({ balance: BALANCE });
+    const { result } = renderHook(() => useTransactionPreflight({ provider, transaction: { to: RECIPIENT, value: 1 } }));
+
+    await waitFor(() => expect(result.current.status).toBe('error'));
+    expect(result.current.error).toMatchObject({ code: 'INVALID_ARGUMENT' });
+  });
+});
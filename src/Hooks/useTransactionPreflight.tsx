@@ -0,0 +1,154 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { BigNumber, ContractInterface, providers } from 'ethers';
+import { ChainRegistry } from './chains';
+import { FailureReason, simulateTransaction } from './revertReason';
+import { StateChanges, simulateStateChanges } from './stateChanges';
+import { GasEstimation, useGasEstimator } from './useGasEstimator';
+import { Web3Error, normalizeError } from './errors';
+
+export type PreflightStatus = 'idle' | 'checking' | 'ready' | 'error';
+
+// Things that are likely mistakes but don't make the transaction fail
+export type PreflightWarningCode = 'ZERO_ADDRESS' | 'CONTRACT_WITHOUT_DATA';
+
+export interface PreflightWarning {
+  code: PreflightWarningCode;
+  message: string;
+}
+
+// Outcome of the checks for one transaction
+export interface PreflightResult {
+  ok: boolean; // Doesn't revert and the balance covers it, which needs a known maxCost; warnings don't count
+  failureReason: FailureReason | null; // Why eth_call reverts, null when it succeeds
+  estimation: GasEstimation | null; // Fees from the gas estimator, null if it failed
+  gasLimit: BigNumber | null; // The transaction's own gas limit, or the estimated one; null if it couldn't be estimated
+  maxCost: BigNumber | null; // Value plus the most the fees can cost at the chosen tier; null while the fees are unknown
+  balance: BigNumber; // Sender's native balance
+  insufficientFunds: boolean;
+  warnings: PreflightWarning[];
+  stateChanges: StateChanges | null; // Only when the node supports eth_simulateV1 or debug_traceCall
+}
+
+// Options to configure the preflight checks
+interface TransactionPreflightOptions {
+  provider: providers.JsonRpcProvider | null; // e.g. readProvider from useWalletMultiChain
+  transaction: providers.TransactionRequest | null; // Proposed transaction, `from` included; nothing is checked while null
+  abi?: ContractInterface; // ABI of the called contract, to decode its custom errors
+  feeTier?: 'slow' | 'standard' | 'fast'; // Fee tier the transaction will be sent with (default 'standard')
+  chains?: ChainRegistry; // Passed to the gas estimator to pick the fee model
+  enabled?: boolean; // Set to false to only check on demand (default true)
+}
+
+// Hook to check a transaction before it goes to the wallet: simulates it for reverts, prices
+// it, checks the sender can pay for it, flags likely mistakes and, where the node allows,
+// reports what it would change. Checks re-run whenever the transaction changes.
+export const useTransactionPreflight = ({
+  provider,
+  transaction,
+  abi,
+  feeTier = 'standard',
+  chains,
+  enabled = true,
+}: TransactionPreflightOptions) => {
+  const [status, setStatus] = useState<PreflightStatus>('idle');
+  const [result, setResult] = useState<PreflightResult | null>(null);
+  const [error, setError] = useState<Web3Error | null>(null);
+
+  // Fees are only needed once per check, so the estimator doesn't follow blocks
+  const { estimateGas } = useGasEstimator({ provider, chains, watch: false });
+
+  // Transactions are usually inline literals, so key the checks on their JSON-RPC form
+  let txKey: string | null = null;
+  let txError: string | null = null;
+  if (transaction) {
+    try {
+      txKey = JSON.stringify(providers.JsonRpcProvider.hexlifyTransaction(transaction, { from: true }));
+    } catch (err: any) {
+      txError = `Invalid transaction: ${err.reason || err.message}`;
+    }
+  }
+  const transactionRef = useRef(transaction);
+  transactionRef.current = transaction;
+  const abiRef = useRef(abi);
+  abiRef.current = abi;
+
+  // Results for a transaction that is no longer current are ignored
+  const requestRef = useRef(0);
+
+  const check = useCallback(async () => {
+    const tx = transactionRef.current;
+    if (!provider || !tx || !txKey) return;
+
+    const request = ++requestRef.current;
+    setStatus('checking');
+    try {
+      if (!tx.from) {
+        throw new Web3Error('INVALID_ARGUMENT', 'The transaction needs a sender (from) to be checked');
+      }
+      const [failureReason, estimation, balance, code, stateChanges] = await Promise.all([
+        simulateTransaction(provider, tx, abiRef.current),
+        estimateGas(tx),
+        provider.getBalance(tx.from),
+        tx.to ? provider.getCode(tx.to) : Promise.resolve('0x'),
+        simulateStateChanges(provider, tx),
+      ]);
+      if (request !== requestRef.current) return;
+
+      // The transaction's own gas limit and fees win over the estimator's. When the estimator
+      // fell back to its 21000 transfer default, the limit is unknown rather than that default.
+      const tier = estimation?.tiers[feeTier];
+      const estimatedLimit = estimation?.gasLimitEstimated ? estimation.gasLimit : null;
+      const gasLimit = tx.gasLimit !== undefined ? BigNumber.from(tx.gasLimit) : estimatedLimit;
+      const feePerGas = tx.maxFeePerGas ?? tx.gasPrice ?? tier?.maxFeePerGas ?? tier?.gasPrice ?? null;
+      const l1DataFee = tier?.costBreakdown.l1DataFee ?? BigNumber.from(0);
+      const value = BigNumber.from(tx.value ?? 0);
+      const maxCost = gasLimit && feePerGas !== null ? value.add(gasLimit.mul(feePerGas)).add(l1DataFee) : null;
+      // Without the fees, the value alone can still be more than the balance
+      const insufficientFunds = balance.lt(maxCost ?? value);
+
+      const warnings: PreflightWarning[] = [];
+      if (tx.to && BigNumber.from(tx.to).isZero()) {
+        warnings.push({ code: 'ZERO_ADDRESS', message: 'The recipient is the zero address; anything sent there is lost.' });
+      }
+      const hasData = !!tx.data && tx.data !== '0x';
+      if (code !== '0x' && !hasData) {
+        warnings.push({ code: 'CONTRACT_WITHOUT_DATA', message: 'The recipient is a contract but the transaction calls no function.' });
+      }
+
+      setResult({
+        ok: !failureReason && !insufficientFunds && maxCost !== null,
+        failureReason,
+        estimation: estimation || null,
+        gasLimit,
+        maxCost,
+        balance,
+        insufficientFunds,
+        warnings,
+        stateChanges,
+      });
+      setError(null);
+      setStatus('ready');
+    } catch (err) {
+      if (request !== requestRef.current) return;
+      setResult(null);
+      setError(normalizeError(err, 'Failed to check the transaction'));
+      setStatus('error');
+    }
+  }, [provider, txKey, feeTier, estimateGas]);
+
+  // Start over whenever the transaction changes
+  useEffect(() => {
+    requestRef.current += 1;
+    setResult(null);
+    setError(txError ? new Web3Error('INVALID_ARGUMENT', txError) : null);
+    setStatus(txError ? 'error' : 'idle');
+    if (enabled) check();
+  }, [check, enabled, txError]);
+
+  return {
+    status,
+    result,
+    error,
+    check,
+  };
+};
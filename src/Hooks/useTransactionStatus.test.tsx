@@ -0,0 +1,187 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { act, cleanup, renderHook, waitFor } from '@testing-library/react';
+import { providers, utils } from 'ethers';
+import { useTransactionStatus } from './useTransactionStatus';
+import { UserRejectedError } from './errors';
+import { MockChain } from './testing/mockChain';
+import { MockEip1193Provider } from './testing/mockProvider';
+import { setupTestChain } from './testing/testChain';
+
+const errorString = (message: string) => new utils.Interface(['function Error(string)']).encodeFunctionData('Error', [message]);
+
+describe('useTransactionStatus', () => {
+  let chain: MockChain;
+  let wallet: MockEip1193Provider;
+  let provider: providers.Web3Provider;
+  let from: string;
+  let to: string;
+
+  beforeEach(() => {
+    ({ chain, wallet, provider, from, to } = setupTestChain());
+    // The hook logs lookups that fail on purpose, e.g. the mempool position of a mined tx
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    cleanup();
+    vi.restoreAllMocks();
+  });
+
+  const track = (hash: string, options = {}) =>
+    renderHook(() => useTransactionStatus(provider, hash, { initialPollingInterval: 50, ...options }));
+
+  const mine = (count = 1) => act(() => {
+    chain.mine(count);
+  });
+
+  it('reports a pending transaction and then its confirmations', async () => {
+    const hash = chain.submitTransaction({ from, to, value: utils.parseEther('1') });
+    const onConfirmation = vi.fn();
+    const { result } = track(hash, { requiredConfirmations: 2, onConfirmation });
+
+    // Status starts out pending, so wait for the first check to fill in the details
+    await waitFor(() => expect(result.current.mempoolPosition).toBe(1));
+    expect(result.current.status).toBe('pending');
+    expect(result.current.from).toBe(from);
+    expect(result.current.nonce).toBe(0);
+
+    mine();
+    await waitFor(() => expect(result.current.status).toBe('confirming'));
+    expect(result.current.confirmations).toBe(1);
+    expect(result.current.gasUsed).toBe('21000');
+
+    mine();
+    await waitFor(() => expect(result.current.status).toBe('confirmed'));
+    expect(result.current.confirmations).toBe(2);
+    expect(result.current.blockHash).toBe(chain.getBlock(1)!.hash);
+    expect(result.current.finalized).toBe(false);
+    expect(onConfirmation).toHaveBeenCalled();
+  });
+
+  it('decodes the revert reason of a failed transaction', async () => {
+    const hash = chain.submitTransaction({ from, to, data: '0xa9059cbb' });
+    chain.failTransaction(hash, errorString('Insufficient balance'));
+    const { result } = track(hash);
+
+    mine();
+    await waitFor(() => expect(result.current.status).toBe('failed'));
+    await waitFor(() => expect(result.current.failureReason).not.toBeNull());
+    expect(result.current.failureReason).toMatchObject({ name: 'Error', args: ['Insufficient balance'] });
+  });
+
+  it('recognises a transaction repriced with the same nonce', async () => {
+    const hash = chain.submitTransaction({ from, to, value: 1 });
+    const { result } = track(hash);
+    await waitFor(() => expect(result.current.nonce).toBe(0));
+
+    const replacement = chain.replaceTransaction(hash);
+    mine();
+    await waitFor(() => expect(result.current.status).toBe('replaced'));
+    expect(result.current.replacement).toMatchObject({ reason: 'repriced', hash: replacement });
+    expect(result.current.replacement!.receipt!.status).toBe(1);
+  });
+
+  it('recognises a cancellation', async () => {
+    const hash = chain.submitTransaction({ from, to, value: 1 });
+    const { result } = track(hash);
+    await waitFor(() => expect(result.current.nonce).toBe(0));
+
+    chain.replaceTransaction(hash, { to: from, value: 0, data: '0x' });
+    mine();
+    await waitFor(() => expect(result.current.status).toBe('replaced'));
+    expect(result.current.replacement!.reason).toBe('cancelled');
+  });
+
+  it('reports a reorged receipt and picks up its new block', async () => {
+    const hash = chain.submitTransaction({ from, to, value: 1 });
+    const onReorg = vi.fn();
+    const { result } = track(hash, { onReorg });
+
+    mine();
+    await waitFor(() => expect(result.current.status).toBe('confirmed'));
+    const minedIn = result.current.blockHash;
+
+    // A longer competing branch without the tx
+    act(() => {
+      chain.reorg(1, { newBlocks: 0 });
+      chain.mine(2, { include: [] });
+    });
+    await waitFor(() => expect(result.current.status).toBe('reorged'));
+    expect(onReorg).toHaveBeenCalledWith({ hash, blockNumber: 1, blockHash: minedIn });
+
+    mine();
+    await waitFor(() => expect(result.current.status).toBe('confirmed'));
+    expect(result.current.blockHash).toBe(chain.getBlock(3)!.hash);
+    expect(result.current.history.map((entry) => entry.status)).toContain('reorged');
+  });
+
+  it('stops checking for reorgs once the receipt is final', async () => {
+    const hash = chain.submitTransaction({ from, to, value: 1 });
+    const { result } = track(hash, { finalityDepth: 3 });
+
+    mine();
+    await waitFor(() => expect(result.current.status).toBe('confirmed'));
+    mine(2);
+    await waitFor(() => expect(result.current.confirmations).toBe(3));
+    mine();
+    await waitFor(() => expect(result.current.finalized).toBe(true));
+  });
+
+  it('reports a transaction dropped from the mempool', async () => {
+    const hash = chain.submitTransaction({ from, to, value: 1 });
+    const { result } = track(hash, { dropTimeout: 100 });
+    await waitFor(() => expect(result.current.nonce).toBe(0));
+
+    chain.dropTransaction(hash);
+    mine();
+    await new Promise((resolve) => setTimeout(resolve, 150));
+    mine();
+    await waitFor(() => expect(result.current.status).toBe('dropped'));
+    expect(result.current.error?.code).toBe('TRANSACTION_DROPPED');
+  });
+
+  it('reports hashes the node has never seen', async () => {
+    const { result } = track(utils.hexZeroPad('0x1234', 32));
+    await waitFor(() => expect(result.current.status).toBe('not found'));
+    expect(result.current.error?.code).toBe('TRANSACTION_NOT_FOUND');
+  });
+
+  it('waits for a provider before checking anything', async () => {
+    const hash = chain.submitTransaction({ from, to, value: 1 });
+    const { result, rerender } = renderHook(({ current }) => useTransactionStatus(current, hash, { initialPollingInterval: 50 }), {
+      initialProps: { current: null as providers.Web3Provider | null },
+    });
+
+    await act(() => expect(result.current.speedUp('fast')).rejects.toMatchObject({ code: 'WALLET_NOT_CONNECTED' }));
+    expect(result.current).toMatchObject({ status: 'pending', nonce: null, history: [] });
+
+    rerender({ current: provider });
+    await waitFor(() => expect(result.current.nonce).toBe(0));
+  });
+
+  it('speeds up a pending transaction through the wallet', async () => {
+    const hash = await wallet.request({ method: 'eth_sendTransaction', params: [{ from, to, value: '0x1' }] });
+    const { result } = track(hash);
+    await waitFor(() => expect(result.current.nonce).toBe(0));
+
+    let replacement = '';
+    await act(async () => {
+      replacement = await result.current.speedUp('fast');
+    });
+    expect(chain.pendingTransactions.map((tx) => tx.hash)).toEqual([replacement]);
+
+    mine();
+    await waitFor(() => expect(result.current.status).toBe('confirmed'));
+    expect(result.current.hash).toBe(replacement);
+  });
+
+  it('rejects a speed-up declined in the wallet with a typed error', async () => {
+    const hash = await wallet.request({ method: 'eth_sendTransaction', params: [{ from, to, value: '0x1' }] });
+    const { result } = track(hash);
+    await waitFor(() => expect(result.current.nonce).toBe(0));
+
+    wallet.rejectNext('eth_sendTransaction');
+    await act(() => expect(result.current.speedUp('fast')).rejects.toBeInstanceOf(UserRejectedError));
+    expect(chain.pendingTransactions.map((tx) => tx.hash)).toEqual([hash]);
+  });
+});
@@ -0,0 +1,130 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { act, cleanup, renderHook, waitFor } from '@testing-library/react';
+import { useTransactionTracker } from './useTransactionTracker';
+import { PersistOptions } from './storage';
+import { setupTestChain } from './testing/testChain';
+
+// In-memory storage, so entries can be read back as they were persisted
+const createStorage = () => {
+  const values = new Map<string, string>();
+  return {
+    getItem: (key: string) => values.get(key) ?? null,
+    setItem: (key: string, value: string) => {
+      values.set(key, value);
+    },
+    removeItem: (key: string) => {
+      values.delete(key);
+    },
+  };
+};
+
+describe('useTransactionTracker', () => {
+  afterEach(cleanup);
+
+  it('moves a confirmed transaction back to pending when its block is reorged out', async () => {
+    const { chain, provider, from, to } = setupTestChain({ finalityDepth: 64 });
+    const storage = createStorage();
+    const persist: PersistOptions = { storage };
+    const { result } = renderHook(() => useTransactionTracker({ getProvider: () => provider, persist, pollingInterval: 50 }));
+
+    const hash = chain.submitTransaction({ from, to, value: 1 });
+    act(() => {
+      result.current.addTransaction(hash, chain.chainId, { from, nonce: 0 });
+    });
+    act(() => {
+      chain.mine();
+    });
+    await waitFor(() => expect(result.current.getTransaction(chain.chainId, hash)?.status).toBe('confirmed'));
+    expect(result.current.getTransaction(chain.chainId, hash)!.finalized).toBe(false);
+
+    // A longer competing branch without the tx
+    act(() => {
+      chain.reorg(1, { newBlocks: 0 });
+      chain.mine(2, { include: [] });
+    });
+    await waitFor(() => expect(result.current.getTransaction(chain.chainId, hash)?.status).toBe('pending'));
+    const persisted = JSON.parse(storage.getItem('web3-react-hooks.transactions')!);
+    expect(Object.values(persisted)).toEqual([expect.objectContaining({ hash, status: 'pending', blockHash: null })]);
+
+    act(() => {
+      chain.mine();
+    });
+    await waitFor(() => expect(result.current.getTransaction(chain.chainId, hash)?.status).toBe('confirmed'));
+    expect(result.current.getTransaction(chain.chainId, hash)!.blockHash).toBe(chain.getBlock(3)!.hash);
+    expect(result.current.getTransaction(chain.chainId, hash)!.history.map((entry) => entry.status))
+      .toEqual(['pending', 'confirmed', 'pending', 'confirmed']);
+  });
+
+  it('gives a reorged-out transaction the drop timeout again before dropping it', async () => {
+    const { chain, provider, from, to } = setupTestChain();
+    const dropTimeout = 300;
+    const { result } = renderHook(() => useTransactionTracker({ getProvider: () => provider, persist: { storage: createStorage() }, pollingInterval: 50, dropTimeout }));
+    const entry = () => result.current.getTransaction(chain.chainId, hash);
+
+    // First seen already mined, so the sender and nonce come from the chain
+    const hash = chain.submitTransaction({ from, to, value: 1 });
+    chain.mine();
+    act(() => {
+      result.current.addTransaction(hash, chain.chainId);
+    });
+    act(() => {
+      chain.mine();
+    });
+    await waitFor(() => expect(entry()?.status).toBe('confirmed'));
+    expect(entry()).toMatchObject({ from, nonce: 0 });
+
+    // Older than the drop timeout when its block is reorged out and the node doesn't have it
+    await new Promise((resolve) => setTimeout(resolve, dropTimeout));
+    act(() => {
+      chain.reorg(2, { drop: [hash] });
+    });
+    await waitFor(() => expect(entry()?.status).toBe('pending'));
+    expect(entry()).toMatchObject({ confirmations: 0, blockNumber: null, blockHash: null, finalized: false });
+
+    await new Promise((resolve) => setTimeout(resolve, dropTimeout));
+    act(() => {
+      chain.mine();
+    });
+    await waitFor(() => expect(entry()?.status).toBe('dropped'));
+    expect(entry()!.history.map((item) => item.status)).toEqual(['pending', 'confirmed', 'pending', 'dropped']);
+  });
+
+  it('notices a reorged-out transaction replaced by another one with its nonce', async () => {
+    const { chain, provider, from, to } = setupTestChain();
+    const { result } = renderHook(() => useTransactionTracker({ getProvider: () => provider, persist: { storage: createStorage() }, pollingInterval: 50 }));
+    const entry = () => result.current.getTransaction(chain.chainId, hash);
+
+    const hash = chain.submitTransaction({ from, to, value: 1 });
+    chain.mine();
+    act(() => {
+      result.current.addTransaction(hash, chain.chainId);
+    });
+    act(() => {
+      chain.mine();
+    });
+    await waitFor(() => expect(entry()?.status).toBe('confirmed'));
+
+    act(() => {
+      chain.reorg(2, { newBlocks: 0, drop: [hash] });
+      chain.submitTransaction({ from, to, value: 2 });
+      chain.mine(3);
+    });
+    await waitFor(() => expect(entry()?.status).toBe('replaced'));
+    expect(entry()).toMatchObject({ blockNumber: null, blockHash: null });
+  });
+
+  it('stops checking once the receipt is final', async () => {
+    const { chain, provider, from, to } = setupTestChain({ finalityDepth: 2 });
+    const { result } = renderHook(() => useTransactionTracker({ getProvider: () => provider, persist: { storage: createStorage() }, pollingInterval: 50 }));
+
+    const hash = chain.submitTransaction({ from, to, value: 1 });
+    act(() => {
+      result.current.addTransaction(hash, chain.chainId);
+    });
+    act(() => {
+      chain.mine(3);
+    });
+    await waitFor(() => expect(result.current.getTransaction(chain.chainId, hash)?.finalized).toBe(true));
+    expect(provider.listenerCount('block')).toBe(0);
+  });
+});
@@ -0,0 +1,316 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { BigNumber, providers } from 'ethers';
+import { PersistOptions, readStored, writeStored } from './storage';
+import { subscribeToBlocks } from './blockListener';
+
+export const DEFAULT_TRACKER_KEY = 'web3-react-hooks.transactions';
+
+export type TrackedStatus = 'pending' | 'confirming' | 'confirmed' | 'failed' | 'replaced' | 'dropped';
+
+// Statuses a transaction settles in; mined ones are still checked for reorgs until final
+const FINAL_STATUSES: TrackedStatus[] = ['confirmed', 'failed', 'replaced', 'dropped'];
+
+// A transaction in the tracker; plain JSON so it can be persisted
+export interface TrackedTransactionEntry {
+  hash: string;
+  chainId: number;
+  from: string | null;
+  nonce: number | null;
+  metadata: Record<string, any>; // App data such as a description, shown in activity lists
+  status: TrackedStatus;
+  confirmations: number;
+  blockNumber: number | null;
+  blockHash: string | null;
+  finalized: boolean; // Receipt can no longer be reorged out; until then mined entries keep being checked
+  addedAt: number;
+  lastSeenAt: number | null; // Last time the node returned the tx
+  history: Array<{ status: TrackedStatus; timestamp: number }>;
+}
+
+// Options to configure the tracker
+interface TransactionTrackerOptions {
+  getProvider: (chainId: number) => providers.Provider | null; // e.g. getReadProvider from useWalletMultiChain
+  persist?: PersistOptions; // Storage and key (default localStorage, 'web3-react-hooks.transactions')
+  requiredConfirmations?: number; // Confirmations before an entry is 'confirmed' (default 1)
+  dropTimeout?: number; // How long a tx may be missing from the node before it's 'dropped' (default 300000 ms)
+  finalityDepth?: number; // Confirmations after which a receipt is no longer checked for reorgs (default 64)
+  maxEntries?: number; // Oldest entries beyond this are discarded (default 50)
+  recentWindow?: number; // Age in ms of entries listed as recent (default 24 hours)
+  pollingInterval?: number; // Block polling interval in ms for providers without subscriptions (default 4000)
+  onConfirmation?: (entry: TrackedTransactionEntry) => void; // Fires for every entry, including resumed ones
+}
+
+// Per-entry options for addTransaction
+interface AddTransactionOptions {
+  from?: string;
+  nonce?: number;
+  metadata?: Record<string, any>;
+  onConfirmation?: (entry: TrackedTransactionEntry) => void; // Not persisted, lost on reload
+}
+
+const entryKey = (chainId: number, hash: string) => `${chainId}:${hash.toLowerCase()}`;
+
+const isActive = (entry: TrackedTransactionEntry) => !FINAL_STATUSES.includes(entry.status);
+
+// Mined entries are followed until final, so a reorg can move them back to pending
+const needsChecks = (entry: TrackedTransactionEntry) =>
+  isActive(entry) || ((entry.status === 'confirmed' || entry.status === 'failed') && !entry.finalized);
+
+// Providers whose node doesn't know the 'finalized' block tag
+const noFinalizedTag = new WeakSet<providers.Provider>();
+
+// Whether a block is at or below the chain's 'finalized' block, when the node exposes that tag
+const isFinalizedBlock = async (provider: providers.Provider, blockNumber: number) => {
+  if (!(provider instanceof providers.JsonRpcProvider) || noFinalizedTag.has(provider)) return false;
+  try {
+    const finalizedBlock = await provider.send('eth_getBlockByNumber', ['finalized', false]);
+    return !!finalizedBlock && BigNumber.from(finalizedBlock.number).toNumber() >= blockNumber;
+  } catch (error) {
+    noFinalizedTag.add(provider);
+    return false;
+  }
+};
+
+// Block fields of an entry whose transaction isn't in any block
+const NOT_MINED = { confirmations: 0, blockNumber: null, blockHash: null, finalized: false };
+
+// Work out the latest state of one entry; returns only the fields that changed
+const checkEntry = async (
+  provider: providers.Provider,
+  entry: TrackedTransactionEntry,
+  blockNumber: number,
+  requiredConfirmations: number,
+  dropTimeout: number,
+  finalityDepth: number
+): Promise<Partial<TrackedTransactionEntry> | null> => {
+  // The node answers from its canonical chain, so a reorged receipt moves or disappears
+  const receipt = await provider.getTransactionReceipt(entry.hash);
+  if (receipt) {
+    // The receipt may come from a block newer than the head this check started at
+    const confirmations = Math.max(blockNumber, receipt.blockNumber) - receipt.blockNumber + 1;
+    const status: TrackedStatus = receipt.status === 0
+      ? 'failed'
+      : (confirmations >= requiredConfirmations ? 'confirmed' : 'confirming');
+    const finalized = status !== 'confirming'
+      && (confirmations >= finalityDepth || await isFinalizedBlock(provider, receipt.blockNumber));
+
+    // Entries first seen mined need the sender and nonce for the replacement check after a reorg
+    const sender = entry.nonce === null ? await provider.getTransaction(entry.hash) : null;
+    return {
+      status,
+      confirmations,
+      blockNumber: receipt.blockNumber,
+      blockHash: receipt.blockHash,
+      finalized,
+      ...(sender && { from: sender.from, nonce: sender.nonce }),
+    };
+  }
+
+  const tx = await provider.getTransaction(entry.hash);
+  if (tx) {
+    return { status: 'pending', from: tx.from, nonce: tx.nonce, lastSeenAt: Date.now(), ...NOT_MINED };
+  }
+
+  // A receipt that disappeared was reorged out; the tx gets the full timeout to show up again
+  const reorgedOut = entry.blockNumber !== null;
+  const lastSeenAt = reorgedOut ? Date.now() : entry.lastSeenAt;
+
+  // Gone from the node: either its nonce was used by another tx, or it was dropped
+  if (entry.from && entry.nonce !== null) {
+    const minedNonce = await provider.getTransactionCount(entry.from, blockNumber);
+    if (minedNonce > entry.nonce) return { status: 'replaced', ...NOT_MINED };
+  }
+  if (Date.now() - (lastSeenAt ?? entry.addedAt) >= dropTimeout) {
+    return { status: 'dropped', ...NOT_MINED };
+  }
+  return reorgedOut ? { status: 'pending', lastSeenAt, ...NOT_MINED } : null;
+};
+
+// Hook to track many transactions across chains, persisted so tracking resumes after a reload
+export const useTransactionTracker = ({
+  getProvider,
+  persist = {},
+  requiredConfirmations = 1,
+  dropTimeout = 300000,
+  finalityDepth = 64,
+  maxEntries = 50,
+  recentWindow = 24 * 60 * 60 * 1000,
+  pollingInterval,
+  onConfirmation,
+}: TransactionTrackerOptions) => {
+  const [entries, setEntries] = useState<Record<string, TrackedTransactionEntry>>(
+    () => readStored(persist, DEFAULT_TRACKER_KEY) || {}
+  );
+
+  // Latest values for the block handlers, which outlive individual renders
+  const entriesRef = useRef(entries);
+  entriesRef.current = entries;
+  const onConfirmationRef = useRef(onConfirmation);
+  onConfirmationRef.current = onConfirmation;
+  const entryCallbacksRef = useRef(new Map<string, (entry: TrackedTransactionEntry) => void>());
+
+  // Persist on every change
+  const persistRef = useRef(persist);
+  persistRef.current = persist;
+  useEffect(() => {
+    writeStored(persistRef.current, DEFAULT_TRACKER_KEY, entries);
+  }, [entries]);
+
+  // Start tracking a transaction
+  const addTransaction = useCallback((hash: string, chainId: number, options: AddTransactionOptions = {}) => {
+    const key = entryKey(chainId, hash);
+    if (options.onConfirmation) {
+      entryCallbacksRef.current.set(key, options.onConfirmation);
+    }
+
+    setEntries((prev) => {
+      if (prev[key]) return prev;
+
+      const now = Date.now();
+      const next = {
+        ...prev,
+        [key]: {
+          hash,
+          chainId,
+          from: options.from || null,
+          nonce: options.nonce ?? null,
+          metadata: options.metadata || {},
+          status: 'pending' as TrackedStatus,
+          confirmations: 0,
+          blockNumber: null,
+          blockHash: null,
+          finalized: false,
+          addedAt: now,
+          lastSeenAt: null,
+          history: [{ status: 'pending' as TrackedStatus, timestamp: now }],
+        },
+      };
+
+      // Keep storage bounded by dropping the oldest entries
+      const keys = Object.keys(next).sort((a, b) => next[a].addedAt - next[b].addedAt);
+      keys.slice(0, Math.max(0, keys.length - maxEntries)).forEach((oldKey) => delete next[oldKey]);
+      return next;
+    });
+  }, [maxEntries]);
+
+  // Stop tracking a transaction
+  const removeTransaction = useCallback((chainId: number, hash: string) => {
+    const key = entryKey(chainId, hash);
+    entryCallbacksRef.current.delete(key);
+    setEntries((prev) => {
+      if (!prev[key]) return prev;
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+  }, []);
+
+  // Forget every transaction
+  const clearTransactions = useCallback(() => {
+    entryCallbacksRef.current.clear();
+    setEntries({});
+  }, []);
+
+  // Check every entry on a chain that may still change against a new block
+  const checkingRef = useRef(new Set<number>());
+  const checkChain = useCallback(async (chainId: number, provider: providers.Provider, blockNumber: number) => {
+    // Skip heads that arrive while the previous check for this chain is still running
+    if (checkingRef.current.has(chainId)) return;
+    checkingRef.current.add(chainId);
+
+    try {
+      const active = Object.entries(entriesRef.current)
+        .filter(([, entry]) => entry.chainId === chainId && needsChecks(entry));
+
+      const results = await Promise.all(active.map(async ([key, entry]) => {
+        try {
+          return [key, await checkEntry(provider, entry, blockNumber, requiredConfirmations, dropTimeout, finalityDepth)] as const;
+        } catch (error) {
+          console.error(`Failed to check transaction ${entry.hash}`, error);
+          return [key, null] as const;
+        }
+      }));
+
+      const updates = results.filter(([, update]) => update !== null);
+      if (updates.length === 0) return;
+
+      // Entries reaching 'confirmed' with this block, for the callbacks below
+      const current = entriesRef.current;
+      const confirmed = updates
+        .filter(([key, update]) => current[key] && current[key].status !== 'confirmed' && update!.status === 'confirmed')
+        .map(([key, update]) => ({ ...current[key], ...update }));
+
+      setEntries((prev) => {
+        const next = { ...prev };
+        updates.forEach(([key, update]) => {
+          const entry = next[key];
+          if (!entry) return;
+
+          const changed = update!.status !== undefined && update!.status !== entry.status;
+          next[key] = {
+            ...entry,
+            ...update,
+            history: changed ? [...entry.history, { status: update!.status!, timestamp: Date.now() }] : entry.history,
+          };
+        });
+        return next;
+      });
+
+      confirmed.forEach((entry) => {
+        const key = entryKey(entry.chainId, entry.hash);
+        entryCallbacksRef.current.get(key)?.(entry);
+        entryCallbacksRef.current.delete(key);
+        onConfirmationRef.current?.(entry);
+      });
+    } finally {
+      checkingRef.current.delete(chainId);
+    }
+  }, [requiredConfirmations, dropTimeout, finalityDepth]);
+
+  // Follow new blocks on every chain that still has entries to check
+  const activeChainsKey = useMemo(
+    () => Array.from(new Set(Object.values(entries).filter(needsChecks).map((entry) => entry.chainId))).sort().join(','),
+    [entries]
+  );
+
+  useEffect(() => {
+    if (!activeChainsKey) return;
+
+    const unsubscribes = activeChainsKey.split(',').map(Number).map((chainId) => {
+      const provider = getProvider(chainId);
+      if (!provider) return () => {};
+      return subscribeToBlocks(provider, (blockNumber) => checkChain(chainId, provider, blockNumber), pollingInterval);
+    });
+    return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+  }, [activeChainsKey, getProvider, checkChain, pollingInterval]);
+
+  // Newest first
+  const transactions = useMemo(
+    () => Object.values(entries).sort((a, b) => b.addedAt - a.addedAt),
+    [entries]
+  );
+
+  const filters = useMemo(() => {
+    const now = Date.now();
+    return {
+      pending: transactions.filter(isActive),
+      recent: transactions.filter((entry) => now - entry.addedAt <= recentWindow),
+      failed: transactions.filter((entry) => entry.status === 'failed' || entry.status === 'dropped'),
+    };
+  }, [transactions, recentWindow]);
+
+  // Look up a single entry
+  const getTransaction = useCallback(
+    (chainId: number, hash: string) => entries[entryKey(chainId, hash)] || null,
+    [entries]
+  );
+
+  return {
+    transactions,
+    ...filters,
+    addTransaction,
+    removeTransaction,
+    clearTransactions,
+    getTransaction,
+  };
+};
@@ -0,0 +1,189 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { act, cleanup, renderHook, waitFor } from '@testing-library/react';
+import { renderToString } from 'react-dom/server';
+import { utils } from 'ethers';
+import { WalletInitialState, getInitialWalletState, useWalletMultiChain } from './useWalletMultiChain';
+import { DEFAULT_SESSION_KEY } from './session';
+import { UserRejectedError } from './errors';
+import { createCookieStorage } from './storage';
+import { MockChain } from './testing/mockChain';
+import { MockEip1193Provider, announceProvider } from './testing/mockProvider';
+
+const CONNECTOR_ID = 'io.mock.wallet';
+
+describe('useWalletMultiChain', () => {
+  let mainnet: MockChain;
+  let wallet: MockEip1193Provider;
+  let unannounce: () => void;
+
+  beforeEach(() => {
+    mainnet = new MockChain({ chainId: 1 });
+    wallet = new MockEip1193Provider({ chains: [mainnet] });
+    mainnet.setBalance(wallet.accounts[0], utils.parseEther('1.5'));
+    mainnet.setBalance(wallet.accounts[1], utils.parseEther('2'));
+    unannounce = announceProvider(wallet);
+  });
+
+  afterEach(() => {
+    cleanup();
+    unannounce();
+    localStorage.clear();
+    createCookieStorage().removeItem(DEFAULT_SESSION_KEY);
+  });
+
+  const renderWallet = (options = {}) => renderHook(() => useWalletMultiChain([1, 137], options));
+
+  const connect = async (result: { current: ReturnType<typeof useWalletMultiChain> }) => {
+    await waitFor(() => expect(result.current.connectors).toHaveLength(1));
+    await act(() => result.current.actions.connectWallet());
+    await waitFor(() => expect(result.current.wallet.balance).toBe('1.5'));
+  };
+
+  it('discovers the announced wallet and connects to it', async () => {
+    const { result } = renderWallet();
+    await waitFor(() => expect(result.current.connectors[0]?.id).toBe(CONNECTOR_ID));
+    expect(result.current.wallet.status).toBe('disconnected');
+
+    await connect(result);
+    expect(result.current.wallet).toMatchObject({
+      status: 'connected',
+      network: 1,
+      walletAddress: wallet.accounts[0],
+      connectorId: CONNECTOR_ID,
+    });
+  });
+
+  it('stays disconnected when the user rejects the request', async () => {
+    const { result } = renderWallet();
+    await waitFor(() => expect(result.current.connectors).toHaveLength(1));
+
+    wallet.rejectNext('eth_requestAccounts');
+    await act(() => expect(result.current.actions.connectWallet()).rejects.toBeInstanceOf(UserRejectedError));
+    expect(result.current.wallet.status).toBe('disconnected');
+    expect(result.current.wallet.walletAddress).toBeNull();
+    expect(result.current.wallet.error).toMatchObject({ code: 'USER_REJECTED', rpcCode: 4001 });
+  });
+
+  it('refuses chains outside the supported list', async () => {
+    wallet.chains.set(56, new MockChain({ chainId: 56, eip1559: false }));
+    wallet.switchChain(56);
+    const { result } = renderWallet();
+    await waitFor(() => expect(result.current.connectors).toHaveLength(1));
+
+    await act(() => expect(result.current.actions.connectWallet()).rejects.toMatchObject({ code: 'UNSUPPORTED_CHAIN', chainId: 56 }));
+    expect(result.current.wallet.status).toBe('disconnected');
+  });
+
+  it('follows account changes and disconnects when all accounts are removed', async () => {
+    const { result } = renderWallet();
+    await connect(result);
+
+    act(() => wallet.setAccounts([wallet.accounts[1]]));
+    await waitFor(() => expect(result.current.wallet.walletAddress).toBe(wallet.wallets[1].address));
+    await waitFor(() => expect(result.current.wallet.balance).toBe('2.0'));
+
+    // Account changes are throttled, so wait out the window before the next one
+    await new Promise((resolve) => setTimeout(resolve, 350));
+    act(() => wallet.setAccounts([]));
+    await waitFor(() => expect(result.current.wallet.status).toBe('disconnected'));
+  });
+
+  it('adds an unknown chain to the wallet before switching to it', async () => {
+    const { result } = renderWallet();
+    await connect(result);
+
+    await act(() => result.current.actions.switchNetwork(137));
+    expect(wallet.chains.has(137)).toBe(true);
+    expect(wallet.chain.chainId).toBe(137);
+
+    // chainChanged is debounced
+    await waitFor(() => expect(result.current.wallet.network).toBe(137));
+    await waitFor(() => expect(result.current.wallet.balance).toBe('0.0'));
+  });
+
+  it('reconnects silently to a remembered session', async () => {
+    const first = renderWallet({ persist: true });
+    await connect(first.result);
+    first.unmount();
+
+    let prompted = false;
+    const request = wallet.request.bind(wallet);
+    wallet.request = (args) => {
+      if (args.method === 'eth_requestAccounts') prompted = true;
+      return request(args);
+    };
+
+    const { result } = renderWallet({ persist: true });
+    expect(result.current.wallet.status).toBe('reconnecting');
+    await waitFor(() => expect(result.current.wallet.status).toBe('connected'));
+    expect(result.current.wallet.walletAddress).toBe(wallet.accounts[0]);
+    expect(prompted).toBe(false);
+  });
+
+  it('forgets the session on disconnect', async () => {
+    const first = renderWallet({ persist: true });
+    await connect(first.result);
+    act(() => first.result.current.actions.disconnectWallet());
+    first.unmount();
+
+    const { result } = renderWallet({ persist: true });
+    expect(result.current.wallet.status).toBe('disconnected');
+  });
+
+  it('removes its wallet listeners on unmount', async () => {
+    const { result, unmount } = renderWallet();
+    await connect(result);
+    expect(wallet.listenerCount('accountsChanged')).toBe(1);
+
+    unmount();
+    expect(wallet.listenerCount('accountsChanged')).toBe(0);
+    expect(wallet.listenerCount('chainChanged')).toBe(0);
+  });
+
+  it('renders the server state from the session cookie and reconnects after hydration', async () => {
+    const persist = { storage: createCookieStorage() };
+    const first = renderWallet({ persist });
+    await connect(first.result);
+    first.unmount();
+
+    // On the server: read the request's Cookie header
+    const initialState = getInitialWalletState(document.cookie);
+    expect(initialState).toEqual({ status: 'reconnecting', network: 1, walletAddress: wallet.accounts[0], connectorId: null });
+
+    const Account = ({ initial }: { initial: WalletInitialState }) => {
+      const { wallet: state } = useWalletMultiChain([1, 137], { persist, ssr: true, initialState: initial });
+      return <p>{`${state.status} ${state.walletAddress}`}</p>;
+    };
+    expect(renderToString(<Account initial={initialState} />)).toBe(`<p>reconnecting ${wallet.accounts[0]}</p>`);
+
+    const { result } = renderWallet({ persist, ssr: true, initialState });
+    expect(result.current.wallet.status).toBe('reconnecting');
+    await waitFor(() => expect(result.current.wallet.status).toBe('connected'));
+    expect(result.current.wallet.walletAddress).toBe(wallet.accounts[0]);
+  });
+
+  it('leaves browser storage alone until after the first render under ssr', async () => {
+    const first = renderWallet({ persist: true });
+    await connect(first.result);
+    first.unmount();
+
+    const statuses: string[] = [];
+    const { result } = renderHook(() => {
+      const hook = useWalletMultiChain([1, 137], { persist: true, ssr: true });
+      statuses.push(hook.wallet.status);
+      return hook;
+    });
+    expect(statuses[0]).toBe('disconnected');
+    await waitFor(() => expect(result.current.wallet.status).toBe('connected'));
+  });
+
+  it('drops a server-rendered session the browser no longer has', async () => {
+    const { result } = renderWallet({
+      persist: { storage: createCookieStorage() },
+      ssr: true,
+      initialState: { status: 'reconnecting', network: 1, walletAddress: wallet.accounts[0] },
+    });
+    await waitFor(() => expect(result.current.wallet.status).toBe('disconnected'));
+    expect(result.current.wallet.walletAddress).toBeNull();
+  });
+});
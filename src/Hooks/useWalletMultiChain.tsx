@@ -1,36 +1,35 @@
-import React, { useState, useEffect, useCallback, useMemo, createContext, useContext } from 'react';
-import { ethers, providers } from 'ethers';
-import debounce from 'lodash/debounce';
-import throttle from 'lodash/throttle';
+import React, { useState, useSyncExternalStore, createContext, useContext } from 'react';
+import { providers } from 'ethers';
+import { Connector } from './connectors';
+import { ChainRegistry, ChainRegistryOverrides } from './chains';
+import { SessionPersistOptions } from './session';
+import { WalletActions, WalletInitialState, WalletOptions, WalletState, createWalletStore } from './walletStore';
 
-declare global {
-  interface Window {
-    ethereum: any;
-  }
-}
-
-// Wallet context to provide wallet state
-interface WalletState {
-  provider: providers.Web3Provider | null;
-  network: number | null;
-  walletAddress: string | null;
-  balance: string | null;
-}
-
-interface WalletActions {
-  connectWallet: () => Promise<void>;
-  disconnectWallet: () => void;
-  switchNetwork: (chainId: number) => Promise<void>;
-}
+export type { WalletStatus, WalletState, WalletInitialState } from './walletStore';
+export { getInitialWalletState } from './walletStore';
 
 const WalletContext = createContext<{
   wallet: WalletState;
+  connectors: Connector[];
+  chains: ChainRegistry;
+  readProvider: providers.JsonRpcProvider | null;
+  getReadProvider: (chainId: number) => providers.JsonRpcProvider | null;
   actions: WalletActions;
 } | null>(null);
 
 // WalletProvider component to wrap app with context
-export const WalletProvider: React.FC<{ children: React.ReactNode; supportedChains: number[] }> = ({ children, supportedChains }) => {
-  const wallet = useWalletMultiChain(supportedChains);
+export const WalletProvider: React.FC<{
+  children: React.ReactNode;
+  supportedChains: number[];
+  chains?: ChainRegistryOverrides;
+  persist?: boolean | SessionPersistOptions;
+  rpcUrls?: Record<number, string[]>;
+  defaultChainId?: number;
+  resolveEnsName?: boolean;
+  ssr?: boolean; // Set when server rendering, e.g. with Next.js or Gatsby
+  initialState?: WalletInitialState; // From getInitialWalletState on the server
+}> = ({ children, supportedChains, chains, persist, rpcUrls, defaultChainId, resolveEnsName, ssr, initialState }) => {
+  const wallet = useWalletMultiChain(supportedChains, { chains, persist, rpcUrls, defaultChainId, resolveEnsName, ssr, initialState });
   return <WalletContext.Provider value={wallet}>{children}</WalletContext.Provider>;
 };
 
@@ -43,131 +42,20 @@ export const useWallet = () => {
   return context;
 };
 
-// Hook for managing wallet state with support for multiple chains
-export const useWalletMultiChain = (supportedChains: number[]) => {
-  const [walletState, setWalletState] = useState<WalletState>({
-    provider: null,
-    network: null,
-    walletAddress: null,
-    balance: null,
-  });
-
-  const hasEthereum = useMemo(() => typeof window !== 'undefined' && window.ethereum, []);
-
-  // Get Web3 provider
-  const getProvider = useCallback(() => {
-    if (!walletState.provider && hasEthereum) {
-      const tempProvider = new ethers.providers.Web3Provider(window.ethereum);
-      setWalletState((prevState) => ({ ...prevState, provider: tempProvider }));
-    }
-    return walletState.provider;
-  }, [hasEthereum, walletState.provider]);
-
-  // Reset wallet state
-  const resetState = useCallback(() => {
-    setWalletState({ provider: null, network: null, walletAddress: null, balance: null });
-  }, []);
-
-  // Connect wallet to provider
-  const connectWallet = useCallback(async () => {
-    if (!hasEthereum) {
-      throw new Error('Please install MetaMask or another Web3 wallet.');
-    }
-
-    try {
-      const provider = getProvider() || new ethers.providers.Web3Provider(window.ethereum);
-      const { chainId } = await provider.getNetwork();
-
-      if (!supportedChains.includes(chainId)) {
-        throw new Error('Unsupported chain. Please switch your network.');
-      }
-
-      await provider.send('eth_requestAccounts', []);
-      const signer = provider.getSigner();
-      const address = await signer.getAddress();
-
-      setWalletState({ provider, network: chainId, walletAddress: address, balance: null });
-      await updateBalance(provider, address); 
-    } catch (err) {
-      resetState();
-      throw err;
-    }
-  }, [hasEthereum, getProvider, supportedChains, resetState]);
-
-  // Disconnect wallet
-  const disconnectWallet = useCallback(() => resetState(), [resetState]);
-
-  // Switch network to a supported chain
-  const switchNetwork = useCallback(async (chainId: number) => {
-    if (!hasEthereum) {
-      throw new Error('No Web3 wallet detected');
-    }
-
-    try {
-      await window.ethereum.request({
-        method: 'wallet_switchEthereumChain',
-        params: [{ chainId: `0x${chainId.toString(16)}` }],
-      });
-    } catch (switchError) {
-      if (switchError.code === 4902) {
-        throw new Error('This network is not available in your MetaMask, please add it manually.');
-      }
-      throw switchError;
-    }
-  }, [hasEthereum]);
-
-  // Handle chain change with debounce
-  const handleChainChanged = useMemo(
-    () => debounce((chainId: string) => {
-      const newNetwork = parseInt(chainId, 16);
-      setWalletState((prev) => ({ ...prev, network: newNetwork }));
-    }, 300),
-    []
-  );
-
-  // Handle account change with throttle
-  const handleAccountsChanged = useMemo(
-    () => throttle((accounts: string[]) => {
-      if (accounts.length > 0) {
-        setWalletState((prev) => ({ ...prev, walletAddress: accounts[0] }));
-      } else {
-        disconnectWallet();
-      }
-    }, 300),
-    [disconnectWallet]
-  );
-
-  // Set up event listeners for account and network changes
-  useEffect(() => {
-    if (!hasEthereum) return;
-
-    window.ethereum.on('chainChanged', handleChainChanged);
-    window.ethereum.on('accountsChanged', handleAccountsChanged);
-
-    return () => {
-      window.ethereum.removeListener('chainChanged', handleChainChanged);
-      window.ethereum.removeListener('accountsChanged', handleAccountsChanged);
-    };
-  }, [hasEthereum, handleChainChanged, handleAccountsChanged]);
-
-  // Update wallet balance
-  const updateBalance = useCallback(async (provider: providers.Web3Provider, address: string) => {
-    if (provider && address) {
-      const balanceInWei = await provider.getBalance(address);
-      const balanceInEther = ethers.utils.formatEther(balanceInWei);
-      setWalletState((prev) => ({ ...prev, balance: balanceInEther }));
-    }
-  }, []);
-
-  // Actions related to wallet management
-  const actions = useMemo(() => ({
-    connectWallet,
-    disconnectWallet,
-    switchNetwork,
-  }), [connectWallet, disconnectWallet, switchNetwork]);
+// Hook for managing wallet state with support for multiple chains.
+// The wallet store is created on mount; later changes to the arguments are ignored.
+// With `ssr` set, browser storage and wallets are only accessed after mount, so the server
+// render (from initialState) matches the first client render.
+export const useWalletMultiChain = (supportedChains: number[], options: WalletOptions = {}) => {
+  const [store] = useState(() => createWalletStore(supportedChains, options));
+  const { wallet, connectors, readProvider } = useSyncExternalStore(store.subscribe, store.getSnapshot, store.getSnapshot);
 
   return {
-    wallet: walletState,
-    actions,
+    wallet,
+    connectors,
+    chains: store.chains,
+    readProvider,
+    getReadProvider: store.getReadProvider,
+    actions: store.actions,
   };
 };
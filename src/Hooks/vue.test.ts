@@ -0,0 +1,47 @@
+import { describe, expect, it, vi } from 'vitest';
+import { effectScope, ref } from 'vue';
+import { useTransactionStatus, useWalletMultiChain } from './vue';
+import { MockChain } from './testing/mockChain';
+import { MockEip1193Provider, announceProvider } from './testing/mockProvider';
+import { setupTestChain } from './testing/testChain';
+
+describe('vue composables', () => {
+  it('follow a transaction and switch over when the hash changes', async () => {
+    const { chain, provider, from, to } = setupTestChain();
+    const first = chain.submitTransaction({ from, to, value: 1 });
+    const second = chain.submitTransaction({ from, to, value: 2 });
+
+    const scope = effectScope();
+    const hash = ref(first);
+    const { info } = scope.run(() => useTransactionStatus(provider, hash, { initialPollingInterval: 50 }))!;
+
+    chain.mine(1, { include: [first] });
+    await vi.waitFor(() => expect(info.value.status).toBe('confirmed'));
+    expect(info.value.hash).toBe(first);
+
+    hash.value = second;
+    await vi.waitFor(() => expect(info.value.hash).toBe(second));
+    expect(info.value.status).toBe('pending');
+    chain.mine();
+    await vi.waitFor(() => expect(info.value.status).toBe('confirmed'));
+
+    scope.stop();
+    expect(provider.listenerCount('block')).toBe(0);
+  });
+
+  it('connect a wallet', async () => {
+    const wallet = new MockEip1193Provider({ chains: [new MockChain({ chainId: 1 })] });
+    const unannounce = announceProvider(wallet);
+    const scope = effectScope();
+    const { wallet: state, connectors, actions } = scope.run(() => useWalletMultiChain([1]))!;
+
+    await vi.waitFor(() => expect(connectors.value).toHaveLength(1));
+    await actions.connectWallet();
+    expect(state.value.status).toBe('connected');
+    expect(state.value.walletAddress).toBe(wallet.accounts[0]);
+
+    scope.stop();
+    unannounce();
+    expect(wallet.listenerCount('accountsChanged')).toBe(0);
+  });
+});
@@ -0,0 +1,69 @@
+import { MaybeRefOrGetter, computed, shallowRef, toValue, watch } from 'vue';
+import { BigNumber, providers } from 'ethers';
+import { ReadableStore } from './store';
+import { WalletOptions, createWalletStore } from './walletStore';
+import { GasEstimatorOptions, createGasEstimatorStore } from './gasEstimatorStore';
+import { TransactionStatusOptions, createTransactionStatusStore } from './transactionStatusStore';
+
+// Vue composables over the same stores as the React hooks. Call them inside setup() or an
+// effect scope; subscriptions end when the scope is disposed.
+
+// Follow a store's snapshot as a read-only ref, switching over when the store itself changes
+export const useStoreSnapshot = <T>(store: MaybeRefOrGetter<ReadableStore<T>>) => {
+  const snapshot = shallowRef(toValue(store).getSnapshot());
+
+  watch(() => toValue(store), (current, _, onCleanup) => {
+    snapshot.value = current.getSnapshot();
+    onCleanup(current.subscribe(() => {
+      snapshot.value = current.getSnapshot();
+    }));
+  }, { immediate: true });
+
+  return computed(() => snapshot.value);
+};
+
+// Composable for managing wallet state with support for multiple chains
+export const useWalletMultiChain = (supportedChains: number[], options: WalletOptions = {}) => {
+  const store = createWalletStore(supportedChains, options);
+  const snapshot = useStoreSnapshot(store);
+
+  return {
+    wallet: computed(() => snapshot.value.wallet),
+    connectors: computed(() => snapshot.value.connectors),
+    readProvider: computed(() => snapshot.value.readProvider),
+    chains: store.chains,
+    getReadProvider: store.getReadProvider,
+    actions: store.actions,
+  };
+};
+
+// Composable to estimate gas fees; pass a getter or ref to follow a changing provider
+export const useGasEstimator = (options: MaybeRefOrGetter<GasEstimatorOptions>) => {
+  const store = computed(() => createGasEstimatorStore(toValue(options)));
+  const snapshot = useStoreSnapshot(store);
+
+  return {
+    loading: computed(() => snapshot.value.loading),
+    error: computed(() => snapshot.value.error),
+    estimation: computed(() => snapshot.value.estimation),
+    blockHistory: computed(() => snapshot.value.blockHistory),
+    estimateGas: (transaction?: any) => store.value.estimateGas(transaction),
+    estimateConfirmationTime: (maxFeePerGas: BigNumber, maxPriorityFeePerGas: BigNumber) =>
+      store.value.estimateConfirmationTime(maxFeePerGas, maxPriorityFeePerGas),
+  };
+};
+
+// Composable to monitor transaction status; the provider and hash may be refs or getters
+export const useTransactionStatus = (
+  provider: MaybeRefOrGetter<providers.JsonRpcProvider>,
+  txHash: MaybeRefOrGetter<string>,
+  options: TransactionStatusOptions = {}
+) => {
+  const store = computed(() => createTransactionStatusStore(toValue(provider), toValue(txHash), options));
+
+  return {
+    info: useStoreSnapshot(store),
+    speedUp: (tier?: 'slow' | 'standard' | 'fast') => store.value.speedUp(tier),
+    cancel: () => store.value.cancel(),
+  };
+};
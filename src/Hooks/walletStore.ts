@@ -0,0 +1,430 @@
+import { ethers, providers } from 'ethers';
+import debounce from 'lodash/debounce';
+import throttle from 'lodash/throttle';
+import { Connector, watchConnectors } from './connectors';
+import { ChainRegistry, ChainRegistryOverrides, createChainRegistry, toAddEthereumChainParameter } from './chains';
+import { SessionPersistOptions, WalletSession, loadSession, saveSession, clearSession } from './session';
+import { createCookieStorage } from './storage';
+import { createReadProvider } from './rpc';
+import { getMainnetProvider, lookupEnsName } from './ens';
+import { createState } from './store';
+import {
+  UnauthorizedError,
+  UnrecognizedChainError,
+  UnsupportedChainError,
+  Web3Error,
+  WalletNotConnectedError,
+  WalletNotFoundError,
+  normalizeError,
+} from './errors';
+
+// Connection lifecycle exposed to the UI
+export type WalletStatus = 'reconnecting' | 'connecting' | 'connected' | 'disconnected';
+
+// Connection state of the selected wallet
+export interface WalletState {
+  status: WalletStatus;
+  provider: providers.Web3Provider | null;
+  network: number | null;
+  walletAddress: string | null;
+  ensName: string | null; // Verified primary ENS name, when resolveEnsName is enabled
+  balance: string | null;
+  connectorId: string | null;
+  error: Web3Error | null; // Why the last connect, reconnect or network switch failed
+}
+
+// Wallet state to render before the wallet is discovered, e.g. read on the server from the session cookie
+export type WalletInitialState = Partial<Pick<WalletState, 'status' | 'network' | 'walletAddress' | 'connectorId'>>;
+
+// Options to configure the wallet store
+export interface WalletOptions {
+  chains?: ChainRegistryOverrides; // Extend or override built-in chain metadata
+  persist?: boolean | SessionPersistOptions; // Remember the session and reconnect on load (default false)
+  reconnectTimeout?: number; // How long to wait for the remembered wallet to be discovered in ms (default 2000)
+  rpcUrls?: Record<number, string[]>; // Read-only RPC endpoints per chain, tried in order (default from the chain registry)
+  defaultChainId?: number; // Chain used for reads while no wallet is connected (default first supported chain)
+  resolveEnsName?: boolean; // Look up the ENS name of the connected address on mainnet (default false)
+  ssr?: boolean; // Start from initialState and only read the stored session after hydration (default false)
+  initialState?: WalletInitialState; // State rendered on the server and during hydration
+}
+
+export interface WalletActions {
+  connectWallet: (connectorId?: string) => Promise<void>;
+  disconnectWallet: () => void;
+  switchNetwork: (chainId: number) => Promise<void>;
+}
+
+// Everything that changes over time; the rest of the store is fixed at creation
+export interface WalletSnapshot {
+  wallet: WalletState;
+  connectors: Connector[];
+  readProvider: providers.JsonRpcProvider | null; // The wallet when connected, otherwise a read-only RPC for the current chain
+}
+
+const DISCONNECTED: WalletState = {
+  status: 'disconnected',
+  provider: null,
+  network: null,
+  walletAddress: null,
+  ensName: null,
+  balance: null,
+  connectorId: null,
+  error: null,
+};
+
+// State shown while a remembered session is being restored
+const reconnectingState = (session: WalletSession): WalletInitialState => ({
+  status: 'reconnecting',
+  network: session.chainId ?? null,
+  walletAddress: session.address ?? null,
+  connectorId: null, // Set once the wallet has actually been reconnected
+});
+
+// Initial state for server rendering, from the Cookie header of the request. Pair it with
+// `persist: { storage: createCookieStorage() }` so the client writes that cookie.
+export const getInitialWalletState = (cookies: string | undefined, key?: string): WalletInitialState => {
+  const session = cookies ? loadSession({ storage: createCookieStorage({ cookies }), key }) : null;
+  return session ? reconnectingState(session) : { status: 'disconnected' };
+};
+
+// Store managing wallet discovery, connection and chain switching across multiple chains.
+// Wallet listeners and discovery only run while the store has subscribers.
+export const createWalletStore = (supportedChains: number[], options: WalletOptions = {}) => {
+  const {
+    chains: chainOverrides,
+    persist = false,
+    reconnectTimeout = 2000,
+    rpcUrls,
+    defaultChainId = supportedChains[0],
+    resolveEnsName = false,
+    ssr = false,
+    initialState,
+  } = options;
+
+  // Storage settings when session persistence is enabled
+  const persistOptions: SessionPersistOptions | null = persist ? (persist === true ? {} : persist) : null;
+
+  // Chain metadata used for display and for adding chains to the wallet
+  const chains: ChainRegistry = createChainRegistry(chainOverrides);
+
+  // Get a read-only provider for any chain with RPC URLs, created once per chain
+  const readProviders = new Map<number, providers.JsonRpcProvider | null>();
+  const getReadProvider = (chainId: number) => {
+    if (!readProviders.has(chainId)) {
+      readProviders.set(chainId, createReadProvider(chainId, rpcUrls?.[chainId] || chains[chainId]?.rpcUrls));
+    }
+    return readProviders.get(chainId) || null;
+  };
+
+  // Session left over from a previous page load, waiting for its wallet to be discovered.
+  // Storage isn't available on the server, so under SSR it's only read once subscribed,
+  // which happens after hydration; until then the initial state is rendered as given.
+  let sessionLoaded = !ssr;
+  let pendingSession = !ssr && persistOptions ? loadSession(persistOptions) : null;
+
+  const initialWallet: WalletState = {
+    ...DISCONNECTED,
+    ...(pendingSession ? reconnectingState(pendingSession) : null),
+    ...initialState,
+  };
+
+  let started = false;
+  const state = createState<WalletSnapshot>({
+    wallet: initialWallet,
+    connectors: [],
+    readProvider: getReadProvider(initialWallet.network ?? defaultChainId),
+  }, { onStart: () => start() });
+
+  // Connector currently driving the wallet state
+  const getActiveConnector = () => {
+    const { wallet, connectors } = state.getSnapshot();
+    return connectors.find((connector) => connector.id === wallet.connectorId) || null;
+  };
+
+  // Requests whose answers are dropped once the wallet state moves on
+  let balanceRequest = 0;
+  let ensRequest = 0;
+
+  const loadBalance = (wallet: WalletState) => {
+    const request = ++balanceRequest;
+    if (wallet.status !== 'connected' || !wallet.provider || !wallet.walletAddress) return;
+
+    wallet.provider.getBalance(wallet.walletAddress)
+      .then((balanceInWei) => {
+        if (request !== balanceRequest) return;
+        setWallet((prev) => ({ ...prev, balance: ethers.utils.formatEther(balanceInWei) }));
+      })
+      .catch((error) => console.error('Failed to load balance', error));
+  };
+
+  // ENS lives on mainnet whatever chain the wallet is on
+  const loadEnsName = (walletAddress: string | null) => {
+    const request = ++ensRequest;
+    if (!resolveEnsName || !walletAddress) return;
+
+    lookupEnsName(getReadProvider(1) || getMainnetProvider(), walletAddress)
+      .then((ensName) => {
+        if (request !== ensRequest) return;
+        setWallet((prev) => (prev.walletAddress === walletAddress ? { ...prev, ensName } : prev));
+      })
+      .catch((error) => console.error('Failed to resolve ENS name', error));
+  };
+
+  // Apply a wallet update and run whatever follows from it
+  const setWallet = (update: (prev: WalletState) => WalletState) => {
+    const prev = state.getSnapshot().wallet;
+    const wallet = update(prev);
+    if (wallet === prev) return;
+
+    state.setState((snapshot) => ({
+      ...snapshot,
+      wallet,
+      readProvider: wallet.provider || getReadProvider(wallet.network ?? defaultChainId),
+    }));
+
+    if (wallet.connectorId !== prev.connectorId) syncListeners();
+
+    // Load the native balance on connect and again whenever the account or chain changes
+    if (
+      wallet.status !== prev.status ||
+      wallet.provider !== prev.provider ||
+      wallet.walletAddress !== prev.walletAddress ||
+      wallet.network !== prev.network
+    ) {
+      loadBalance(wallet);
+    }
+
+    // Also on reconnect, when the address was already known from the stored session
+    if (wallet.walletAddress !== prev.walletAddress || (wallet.status === 'connected' && prev.status !== 'connected')) {
+      loadEnsName(wallet.walletAddress);
+    }
+
+    // Remember the active connector and chain for the next page load
+    if (
+      persistOptions && wallet.status === 'connected' && wallet.connectorId &&
+      (wallet.status !== prev.status || wallet.connectorId !== prev.connectorId || wallet.network !== prev.network)
+    ) {
+      saveSession(persistOptions, { connectorId: wallet.connectorId, chainId: wallet.network, address: wallet.walletAddress });
+    }
+  };
+
+  // Reset wallet state, keeping the error that caused it
+  const resetState = (error: Web3Error | null = null) => setWallet(() => (error ? { ...DISCONNECTED, error } : DISCONNECTED));
+
+  // Load accounts from a connector: eth_requestAccounts prompts the user, eth_accounts never does
+  const establishSession = async (connector: Connector, method: 'eth_requestAccounts' | 'eth_accounts') => {
+    // 'any' lets the provider follow chain switches instead of throwing on network change
+    const provider = new ethers.providers.Web3Provider(connector.provider, 'any');
+    const { chainId } = await provider.getNetwork();
+
+    if (!supportedChains.includes(chainId)) {
+      throw new UnsupportedChainError(chainId);
+    }
+
+    const accounts: string[] = await provider.send(method, []);
+    if (!accounts || accounts.length === 0) {
+      throw new UnauthorizedError({ message: 'No accounts authorized for this site.' });
+    }
+    const address = ethers.utils.getAddress(accounts[0]);
+
+    setWallet(() => ({
+      status: 'connected',
+      provider,
+      network: chainId,
+      walletAddress: address,
+      ensName: null,
+      balance: null,
+      connectorId: connector.id,
+      error: null,
+    }));
+  };
+
+  // Connect using the given connector, or the first discovered wallet
+  const connectWallet = async (connectorId?: string) => {
+    const { connectors } = state.getSnapshot();
+    const connector = connectorId
+      ? connectors.find((item) => item.id === connectorId)
+      : getActiveConnector() || connectors[0];
+
+    if (!connector) {
+      const error = new WalletNotFoundError(connectorId ? { message: `Wallet "${connectorId}" was not found.` } : {});
+      setWallet((prev) => ({ ...prev, error }));
+      throw error;
+    }
+
+    // An explicit connect supersedes any pending reconnect
+    pendingSession = null;
+    setWallet((prev) => ({ ...prev, status: 'connecting', error: null }));
+
+    try {
+      await establishSession(connector, 'eth_requestAccounts');
+    } catch (err) {
+      const error = normalizeError(err, 'Failed to connect the wallet');
+      resetState(error);
+      throw error;
+    }
+  };
+
+  // Disconnect wallet and forget the session so it isn't restored on the next load
+  const disconnectWallet = () => {
+    pendingSession = null;
+    if (persistOptions) clearSession(persistOptions);
+    resetState();
+  };
+
+  // Silently restore the remembered session once its wallet has been discovered
+  const restoreSession = () => {
+    const session = pendingSession;
+    if (!session) return;
+
+    const connector = state.getSnapshot().connectors.find((item) => item.id === session.connectorId);
+    if (!connector) return;
+
+    pendingSession = null;
+    establishSession(connector, 'eth_accounts').catch((err) => {
+      const error = normalizeError(err, 'Failed to restore the wallet session');
+      console.error('Failed to restore wallet session', error);
+      if (persistOptions) clearSession(persistOptions);
+      resetState(error);
+    });
+  };
+
+  // Ask the wallet to switch, adding the chain from the registry if the wallet doesn't know it
+  const requestChain = async (provider: Connector['provider'], chainId: number) => {
+    const requestSwitch = () => provider.request({
+      method: 'wallet_switchEthereumChain',
+      params: [{ chainId: `0x${chainId.toString(16)}` }],
+    });
+
+    try {
+      await requestSwitch();
+    } catch (switchError) {
+      const error = normalizeError(switchError);
+      if (!(error instanceof UnrecognizedChainError)) {
+        throw error;
+      }
+
+      const chain = chains[chainId];
+      if (!chain) {
+        throw new UnrecognizedChainError({
+          message: 'This network is not available in your wallet, please add it manually.',
+          cause: switchError,
+          rpcCode: error.rpcCode,
+        });
+      }
+
+      await provider.request({
+        method: 'wallet_addEthereumChain',
+        params: [toAddEthereumChainParameter(chain)],
+      });
+      await requestSwitch();
+    }
+  };
+
+  // Switch network to a supported chain
+  const switchNetwork = async (chainId: number) => {
+    const activeConnector = getActiveConnector();
+    if (!activeConnector) {
+      throw new WalletNotConnectedError({ message: 'No Web3 wallet connected' });
+    }
+
+    try {
+      await requestChain(activeConnector.provider, chainId);
+      setWallet((prev) => (prev.error ? { ...prev, error: null } : prev));
+    } catch (err) {
+      const error = normalizeError(err, 'Failed to switch network');
+      setWallet((prev) => ({ ...prev, error }));
+      throw error;
+    }
+  };
+
+  // Handle chain change with debounce
+  const handleChainChanged = debounce((chainId: string) => {
+    const newNetwork = parseInt(chainId, 16);
+    setWallet((prev) => ({ ...prev, network: newNetwork, balance: null }));
+  }, 300);
+
+  // Handle account change with throttle
+  const handleAccountsChanged = throttle((accounts: string[]) => {
+    if (accounts.length > 0) {
+      setWallet((prev) => ({ ...prev, walletAddress: ethers.utils.getAddress(accounts[0]), ensName: null, balance: null }));
+    } else {
+      disconnectWallet();
+    }
+  }, 300);
+
+  // Keep event listeners for account and network changes on the selected wallet only
+  let listenedConnector: Connector | null = null;
+  const syncListeners = () => {
+    const connector = started ? getActiveConnector() : null;
+    if (connector === listenedConnector) return;
+
+    if (listenedConnector) {
+      listenedConnector.provider.removeListener('chainChanged', handleChainChanged);
+      listenedConnector.provider.removeListener('accountsChanged', handleAccountsChanged);
+    }
+    listenedConnector = connector;
+    if (connector) {
+      connector.provider.on('chainChanged', handleChainChanged);
+      connector.provider.on('accountsChanged', handleAccountsChanged);
+    }
+  };
+
+  const setConnectors = (connectors: Connector[]) => {
+    state.setState((snapshot) => ({ ...snapshot, connectors }));
+    syncListeners();
+    restoreSession();
+  };
+
+  const start = () => {
+    started = true;
+
+    if (!sessionLoaded) {
+      sessionLoaded = true;
+      pendingSession = persistOptions ? loadSession(persistOptions) : null;
+      setWallet((prev) => {
+        if (pendingSession) return { ...prev, ...reconnectingState(pendingSession) };
+        // The server expected a session the client doesn't have
+        return prev.status === 'reconnecting' ? DISCONNECTED : prev;
+      });
+    }
+
+    // Discover injected wallets (EIP-6963 plus legacy window.ethereum)
+    const unwatchConnectors = watchConnectors(setConnectors);
+
+    // Give up reconnecting if the remembered wallet never shows up
+    const reconnectTimer = pendingSession
+      ? setTimeout(() => {
+        if (pendingSession) {
+          pendingSession = null;
+          resetState();
+        }
+      }, reconnectTimeout)
+      : null;
+
+    return () => {
+      started = false;
+      unwatchConnectors();
+      if (reconnectTimer) clearTimeout(reconnectTimer);
+      handleChainChanged.cancel();
+      handleAccountsChanged.cancel();
+      syncListeners();
+    };
+  };
+
+  const actions: WalletActions = {
+    connectWallet,
+    disconnectWallet,
+    switchNetwork,
+  };
+
+  return {
+    getSnapshot: state.getSnapshot,
+    subscribe: state.subscribe,
+    chains,
+    getReadProvider,
+    actions,
+  };
+};
+
+export type WalletStore = ReturnType<typeof createWalletStore>;